@@ -1,12 +1,41 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useSyncExternalStore, createContext, useContext } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
   signInAnonymously, 
   signInWithCustomToken, 
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signInWithPopup,
+  signInWithCredential,
+  linkWithCredential,
+  linkWithPopup,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  updateProfile,
+  EmailAuthProvider,
+  GoogleAuthProvider,
   onAuthStateChanged, 
-  signOut 
+  signOut,
+  connectAuthEmulator
 } from 'firebase/auth';
+import {
+  getFirestore,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  serverTimestamp,
+  connectFirestoreEmulator
+} from 'firebase/firestore';
 import { 
   LayoutDashboard, 
   Type, 
@@ -24,560 +53,10411 @@ import {
   Menu,
   X,
   LogOut,
-  Lock
+  Lock,
+  Square,
+  Settings,
+  History,
+  Search,
+  FolderOpen,
+  Pencil,
+  CopyPlus,
+  Trash2,
+  Eye,
+  Code,
+  Download,
+  ArrowRightLeft,
+  ArrowUp,
+  ArrowDown,
+  Plus,
+  RefreshCw,
+  Layers,
+  ClipboardCheck,
+  Braces,
+  Send,
+  Workflow,
+  Play,
+  GitCompare,
+  Wrench,
+  Megaphone,
+  Languages,
+  Rows3,
+  Gauge,
+  Mail,
+  UserPlus,
+  Users,
+  Calendar,
+  ChevronLeft,
+  Link2,
+  Globe
 } from 'lucide-react';
 
 /**
  * FIREBASE CONFIGURATION
- * Initializes Firebase Auth for user management.
+ * Initializes Firebase Auth for user management and Firestore for saved data.
  */
 const firebaseConfig = JSON.parse(__firebase_config);
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
+const db = getFirestore(app);
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+// Local development against `firebase emulators:start` (see firebase.json and firestore.rules)
+if (typeof __use_firebase_emulators !== 'undefined' && __use_firebase_emulators) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+}
 
 /**
- * GEMINI API UTILITIES
- * Handles authentication and exponential backoff for robustness.
+ * ACCOUNTS
+ * Email/password and Google sign-in. A guest who creates an account is linked in place,
+ * so their uid, history and settings carry over.
  */
-const apiKey = ""; // Injected at runtime
+const googleProvider = new GoogleAuthProvider();
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address doesn\'t look right.',
+  'auth/missing-email': 'Enter your email address.',
+  'auth/missing-password': 'Enter your password.',
+  'auth/user-disabled': 'This account has been disabled. Contact your administrator.',
+  'auth/user-not-found': 'No account uses that email. Check it or create an account.',
+  'auth/wrong-password': 'That password is incorrect.',
+  'auth/invalid-credential': 'The email or password is incorrect.',
+  'auth/invalid-login-credentials': 'The email or password is incorrect.',
+  'auth/email-already-in-use': 'An account already uses that email. Sign in instead.',
+  'auth/weak-password': 'Choose a password with at least 6 characters.',
+  'auth/too-many-requests': 'Too many attempts. Wait a few minutes or reset your password.',
+  'auth/network-request-failed': 'Couldn\'t reach the sign-in service. Check your connection.',
+  'auth/popup-closed-by-user': 'The Google window was closed before sign-in finished.',
+  'auth/cancelled-popup-request': 'Another sign-in window is already open.',
+  'auth/popup-blocked': 'The browser blocked the Google window. Allow pop-ups for this site and try again.',
+  'auth/account-exists-with-different-credential': 'An account already uses this email with a different sign-in method. Sign in with email and password.',
+  'auth/credential-already-in-use': 'That account is already linked to another user.',
+  'auth/provider-already-linked': 'This account is already linked to that sign-in method.',
+  'auth/requires-recent-login': 'For security, sign out and sign back in, then try again.',
+  'auth/operation-not-allowed': 'This sign-in method isn\'t enabled for the studio.',
+  'auth/admin-restricted-operation': 'This sign-in method isn\'t enabled for the studio.',
+  'auth/unauthorized-domain': 'Sign-in isn\'t allowed from this domain.',
+  'auth/expired-action-code': 'That link has expired. Request a new one.',
+  'auth/invalid-action-code': 'That link is invalid or has already been used.',
+  'auth/user-token-expired': 'Your session expired. Sign in again.',
+  'auth/internal-error': 'The sign-in service had a problem. Please try again.',
+  unverified: 'Not verified yet. Open the link in the email, then try again.'
+};
+
+const authErrorMessage = (err) =>
+  AUTH_ERROR_MESSAGES[err?.code] || `Sign-in failed${err?.code ? ` (${err.code})` : ''}. Please try again.`;
+
+const displayNameOf = (user) => user.displayName || user.email?.split('@')[0] || (user.isAnonymous ? 'Guest User' : 'User');
+
+const initialsOf = (user) => {
+  if (user.isAnonymous && !user.displayName) return 'G';
+  const words = displayNameOf(user).split(/[\s._-]+/).filter(Boolean);
+  return (words.length > 1 ? words[0][0] + words[1][0] : words[0]?.[0] || 'U').toUpperCase();
+};
+
+// The studio's own session: the injected token where the host provides one, otherwise a guest
+const signInAsGuest = () => (typeof __initial_auth_token !== 'undefined' && __initial_auth_token
+  ? signInWithCustomToken(auth, __initial_auth_token)
+  : signInAnonymously(auth));
+
+const signInWithEmail = (email, password) => signInWithEmailAndPassword(auth, email.trim(), password);
+
+// Guests are upgraded in place; everyone else gets a fresh account
+const signUpWithEmail = async ({ name, email, password }) => {
+  const current = auth.currentUser;
+  const { user } = current?.isAnonymous
+    ? await linkWithCredential(current, EmailAuthProvider.credential(email.trim(), password))
+    : await createUserWithEmailAndPassword(auth, email.trim(), password);
+  if (name.trim()) await updateProfile(user, { displayName: name.trim() });
+  await sendEmailVerification(user);
+  return user;
+};
+
+/**
+ * Links a guest to their Google account. If that Google account already belongs to a
+ * studio user, signs into it instead, leaving the guest session behind.
+ */
+const signInWithGoogle = async () => {
+  const current = auth.currentUser;
+  if (!current?.isAnonymous) return (await signInWithPopup(auth, googleProvider)).user;
+  try {
+    return (await linkWithPopup(current, googleProvider)).user;
+  } catch (err) {
+    const credential = err.code === 'auth/credential-already-in-use' && GoogleAuthProvider.credentialFromError(err);
+    if (!credential) throw err;
+    return (await signInWithCredential(auth, credential)).user;
+  }
+};
+
+const resetPassword = (email) => sendPasswordResetEmail(auth, email.trim());
+
+const resendVerification = () => sendEmailVerification(auth.currentUser);
+
+const updateDisplayName = (name) => updateProfile(auth.currentUser, { displayName: name.trim() });
+
+/**
+ * PERSISTENT STORES
+ * Small localStorage-backed stores readable from both plain functions and components.
+ */
+const readStorage = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    if (saved === null) return fallback;
+    const parsed = JSON.parse(saved);
+    // Merge saved objects over the defaults so newly added settings get a value
+    const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    return isPlainObject(fallback) && isPlainObject(parsed) ? { ...fallback, ...parsed } : parsed;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // Storage can be unavailable in sandboxed iframes; keep the in-memory value
+    console.warn(`Could not persist ${key}`, e);
+  }
+};
 
-const generateContent = async (prompt, systemInstruction) => {
-  const model = "gemini-2.5-flash-preview-09-2025";
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+const createPersistentStore = (key, initialValue) => {
+  let value = readStorage(key, initialValue);
+  const listeners = new Set();
 
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    systemInstruction: { parts: [{ text: systemInstruction }] }
+  return {
+    get: () => value,
+    set: (next) => {
+      value = typeof next === 'function' ? next(value) : next;
+      writeStorage(key, value);
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
   };
+};
 
-  const delays = [1000, 2000, 4000, 8000, 16000];
-  
-  for (let i = 0; i <= delays.length; i++) {
+const useStore = (store) => useSyncExternalStore(store.subscribe, store.get);
+
+const createId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// A scope is a uid for personal data, or a workspace key for data shared with its members
+const workspaceScope = (workspaceId) => `workspace:${workspaceId}`;
+
+const scopePath = (scope) => (scope.startsWith('workspace:')
+  ? ['workspaces', scope.slice('workspace:'.length)]
+  : ['users', scope]);
+
+/**
+ * Per-scope collection (see workspaceScope) backed by Firestore with a localStorage mirror.
+ * Every write lands locally first; if Firestore rejects it (offline, rules, no config)
+ * the item is kept as `localOnly` and merged back into later listings.
+ */
+const createCollectionStore = (name) => {
+  const localKey = (scope) => `seoStudio.${name}.${scope}`;
+  const readLocal = (scope) => readStorage(localKey(scope), []);
+  const writeLocal = (scope, items) => writeStorage(localKey(scope), items);
+  const remote = (scope) => collection(db, 'artifacts', appId, ...scopePath(scope), name);
+
+  const syncRemote = async (scope, item, operation) => {
+    try {
+      await operation();
+      if (item?.localOnly) {
+        writeLocal(scope, readLocal(scope).map(i => (i.id === item.id ? { ...i, localOnly: false } : i)));
+      }
+      return true;
+    } catch (e) {
+      console.warn(`Firestore unavailable for ${name}, keeping local copy`, e);
+      if (item) writeLocal(scope, readLocal(scope).map(i => (i.id === item.id ? { ...i, localOnly: true } : i)));
+      return false;
+    }
+  };
+
+  return {
+    list: async (scope) => {
+      const local = readLocal(scope);
+      try {
+        const snapshot = await getDocs(remote(scope));
+        const remoteItems = snapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+        const remoteIds = new Set(remoteItems.map(i => i.id));
+        const items = [...remoteItems, ...local.filter(i => i.localOnly && !remoteIds.has(i.id))];
+        writeLocal(scope, items);
+        return items;
+      } catch (e) {
+        console.warn(`Firestore unavailable for ${name}, using local copy`, e);
+        return local;
+      }
+    },
+    add: async (scope, data) => {
+      const now = Date.now();
+      const item = { ...data, id: createId(), createdAt: now, updatedAt: now };
+      writeLocal(scope, [item, ...readLocal(scope)]);
+      await syncRemote(scope, item, () => setDoc(doc(remote(scope), item.id), item));
+      return item;
+    },
+    update: async (scope, id, patch) => {
+      const changes = { ...patch, updatedAt: Date.now() };
+      const item = readLocal(scope).find(i => i.id === id);
+      writeLocal(scope, readLocal(scope).map(i => (i.id === id ? { ...i, ...changes } : i)));
+      // Items that never reached Firestore need a full write rather than a patch
+      await syncRemote(scope, item, () => (item?.localOnly
+        ? setDoc(doc(remote(scope), id), { ...item, ...changes, localOnly: false })
+        : updateDoc(doc(remote(scope), id), changes)));
+    },
+    remove: async (scope, id) => {
+      writeLocal(scope, readLocal(scope).filter(i => i.id !== id));
+      await syncRemote(scope, null, () => deleteDoc(doc(remote(scope), id)));
+    }
+  };
+};
+
+const historyStore = createCollectionStore('history');
+const pipelineStore = createCollectionStore('pipelines');
+const customToolStore = createCollectionStore('customTools');
+const brandProfileStore = createCollectionStore('brandProfiles');
+
+// A copy of the selected brand profile, so runTask can read it without waiting on Firestore
+const activeBrandStore = createPersistentStore('seoStudio.activeBrand', { profile: null });
+
+/**
+ * WORKSPACES
+ * Shared spaces with owner, editor and viewer roles. The workspace document holds its
+ * members and shared URL rules; shared collections live beneath it. Invites are keyed
+ * by workspace and email so security rules can look them up when someone joins.
+ * Access is enforced by firestore.rules; the checks here only shape the UI.
+ */
+const WORKSPACE_ROLES = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'viewer', label: 'Viewer' }
+];
+
+const canEditWorkspace = (role) => role === 'owner' || role === 'editor';
+
+const normalizeEmail = (email = '') => email.trim().toLowerCase();
+
+const workspacesCollection = () => collection(db, 'artifacts', appId, 'workspaces');
+const workspaceDoc = (id) => doc(workspacesCollection(), id);
+const invitesCollection = () => collection(db, 'artifacts', appId, 'invites');
+const inviteDoc = (workspaceId, email) => doc(invitesCollection(), `${workspaceId}_${normalizeEmail(email)}`);
+
+// A snapshot of the selected workspace ({ id, name, role, urlRules, uid }) for plain functions
+const activeWorkspaceStore = createPersistentStore('seoStudio.activeWorkspace', { workspace: null });
+
+// Ignores a selection left behind by another account on this browser
+const activeWorkspace = () => {
+  const { workspace } = activeWorkspaceStore.get();
+  return workspace && workspace.uid === auth.currentUser?.uid ? workspace : null;
+};
+
+const currentScope = () => {
+  const workspace = activeWorkspace();
+  return workspace ? workspaceScope(workspace.id) : auth.currentUser?.uid;
+};
+
+const workspaceSnapshot = (workspace, uid) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: workspace.members[uid]?.role || 'viewer',
+  urlRules: workspace.urlRules || null,
+  uid
+});
+
+const memberProfile = (user, role) => ({
+  role,
+  email: normalizeEmail(user.email || ''),
+  name: user.displayName || user.email || 'Member'
+});
+
+const listWorkspaces = async (uid) => {
+  const snapshot = await getDocs(query(workspacesCollection(), where('memberIds', 'array-contains', uid)));
+  return snapshot.docs.map(d => ({ ...d.data(), id: d.id })).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const createWorkspace = async (user, name) => {
+  const ref = doc(workspacesCollection());
+  const workspace = {
+    name: name.trim(),
+    ownerId: user.uid,
+    memberIds: [user.uid],
+    members: { [user.uid]: memberProfile(user, 'owner') },
+    urlRules: null,
+    createdAt: Date.now()
+  };
+  await setDoc(ref, workspace);
+  return { ...workspace, id: ref.id };
+};
+
+const deleteWorkspace = (id) => deleteDoc(workspaceDoc(id));
+
+const inviteMember = (workspace, email, role, inviter) => setDoc(inviteDoc(workspace.id, email), {
+  workspaceId: workspace.id,
+  workspaceName: workspace.name,
+  email: normalizeEmail(email),
+  role,
+  invitedBy: inviter.displayName || inviter.email || 'A teammate',
+  createdAt: Date.now()
+});
+
+const listWorkspaceInvites = async (workspaceId) => {
+  const snapshot = await getDocs(query(invitesCollection(), where('workspaceId', '==', workspaceId)));
+  return snapshot.docs.map(d => d.data());
+};
+
+const listMyInvites = async (user) => {
+  if (!user.email) return [];
+  const snapshot = await getDocs(query(invitesCollection(), where('email', '==', normalizeEmail(user.email))));
+  return snapshot.docs.map(d => d.data());
+};
+
+const revokeInvite = (invite) => deleteDoc(inviteDoc(invite.workspaceId, invite.email));
+
+// Joining takes the role from the invite; the rules check the two match
+const acceptInvite = async (user, invite) => {
+  await updateDoc(workspaceDoc(invite.workspaceId), {
+    memberIds: arrayUnion(user.uid),
+    [`members.${user.uid}`]: memberProfile(user, invite.role)
+  });
+  await revokeInvite(invite);
+};
+
+const setMemberRole = (workspaceId, uid, role) => updateDoc(workspaceDoc(workspaceId), { [`members.${uid}.role`]: role });
+
+const removeMember = (workspaceId, uid) => updateDoc(workspaceDoc(workspaceId), {
+  memberIds: arrayRemove(uid),
+  [`members.${uid}`]: deleteField()
+});
+
+const saveWorkspaceRules = async (workspaceId, urlRules) => {
+  await updateDoc(workspaceDoc(workspaceId), { urlRules });
+  activeWorkspaceStore.set(({ workspace }) => ({ workspace: workspace?.id === workspaceId ? { ...workspace, urlRules } : workspace }));
+};
+
+/**
+ * LLM PROVIDER UTILITIES
+ * Every AI tool talks to one interface; the active provider and model come from settings.
+ */
+const apiKey = ""; // Injected at runtime
+const GEMINI_MODEL = "gemini-2.5-flash-preview-09-2025";
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+const REQUEST_TIMEOUT_MS = 120000;
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_CAP_MS = 20000;
+// Waits longer than this are handed back to the user instead of slept through
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Failure kinds shared by every provider. `retryable` kinds are retried automatically
+ * with backoff; the rest surface straight away.
+ */
+const AI_ERROR_KINDS = {
+  rate_limited: { title: 'Rate limited', retryable: true, hint: 'The provider is throttling requests. Wait a moment and retry.' },
+  quota: { title: 'Quota exhausted', retryable: false, hint: 'No quota remains for this key or account. Raise the limit or try again later.' },
+  safety_blocked: { title: 'Blocked by safety filters', retryable: false, hint: 'Rephrase the input or remove the flagged content, then retry.' },
+  invalid_request: { title: 'Request rejected', retryable: false, hint: 'Check the provider, model and API key in Settings.' },
+  network: { title: 'Network error', retryable: true, hint: 'The provider could not be reached. Check your connection or the base URL in Settings.' },
+  timeout: { title: 'Timed out', retryable: true, hint: 'The provider took too long to respond.' },
+  server: { title: 'Provider unavailable', retryable: true, hint: 'The provider returned a server error.' },
+  empty: { title: 'Empty response', retryable: false, hint: 'The model finished without writing anything.' },
+  forbidden: { title: 'View-only access', retryable: false, hint: 'Ask a workspace owner for the editor role, or switch to your personal space.' }
+};
+
+// Errors carry `kind` plus optional status, retryAfter (ms), finishReason and promptFeedback
+const aiError = (kind, message, details = {}) =>
+  Object.assign(new Error(message), { name: 'AiError', kind, ...details });
+
+// Retry-After is either delay-seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const ms = /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+};
+
+// Gemini puts its retry hint in the error details, as e.g. "30s"
+const detailRetryDelay = (details = []) => {
+  const info = details.find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(info?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+const isQuotaFailure = (status, error) =>
+  status === 402
+  || error.code === 'insufficient_quota'
+  || (error.details || []).some(detail => (detail.violations || []).some(v => /PerDay/i.test(v.quotaId || '')));
+
+// Turns a non-2xx response into a typed error, reading whatever body the provider sent
+const responseError = async (response) => {
+  const body = await response.text().catch(() => '');
+  let error = {};
+  try {
+    error = JSON.parse(body).error || {};
+  } catch (e) {
+    error = { message: body.slice(0, 300) };
+  }
+  if (typeof error === 'string') error = { message: error };
+  const { status } = response;
+  const message = error.message || `${response.statusText || 'Request failed'} (HTTP ${status})`;
+  const retryAfter = parseRetryAfter(response.headers.get('Retry-After')) ?? detailRetryDelay(error.details);
+
+  if (isQuotaFailure(status, error)) return aiError('quota', message, { status, retryAfter });
+  if (status === 429) return aiError('rate_limited', message, { status, retryAfter });
+  if (status === 408) return aiError('timeout', message, { status });
+  if (status >= 500) return aiError('server', message, { status, retryAfter });
+  return aiError('invalid_request', message, { status });
+};
+
+// Full jitter: a random wait up to the exponential ceiling, so clients don't retry in step
+const backoffDelay = (attempt) => Math.random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+/**
+ * POSTs with a per-attempt timeout, retrying retryable failures with jittered backoff.
+ * A Retry-After hint replaces the backoff for that attempt. Aborts are rethrown straight
+ * away, never retried. The timeout covers the wait for response headers; streamed bodies
+ * are read without one. A successful response stays linked to `signal`, so aborting it
+ * also cancels reading the body.
+ */
+const fetchWithRetry = async (url, payload, { signal, headers = {}, timeout = REQUEST_TIMEOUT_MS } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    let response;
+    let error;
     try {
-      const response = await fetch(url, {
+      response = await fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload),
+        signal: controller.signal
       });
+      if (response.ok) return response;
+      error = await responseError(response);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      error = timedOut
+        ? aiError('timeout', `No response within ${Math.round(timeout / 1000)} seconds.`)
+        : aiError('network', err.message || 'The request could not be sent.');
+    } finally {
+      clearTimeout(timer);
+      if (!response?.ok) signal?.removeEventListener('abort', abort);
+    }
 
-      if (!response.ok) {
-        // If it's a 429 or 5xx, we might want to retry
-        if (response.status === 429 || response.status >= 500) {
-          throw new Error(`API Error: ${response.status}`);
-        }
-        // For 400s (bad request), fail immediately
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || "API Request Failed");
-      }
+    const retryable = AI_ERROR_KINDS[error.kind]?.retryable;
+    if (!retryable || attempt + 1 >= MAX_ATTEMPTS || error.retryAfter > MAX_RETRY_AFTER_MS) throw error;
+    await wait(error.retryAfter ?? backoffDelay(attempt), signal);
+  }
+};
 
-      const data = await response.json();
-      return data.candidates?.[0]?.content?.parts?.[0]?.text || "No response generated.";
+// Reads a server-sent event stream, handing each `data:` payload to onData
+const readEventStream = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
 
-    } catch (error) {
-      if (i === delays.length) throw error; // Rethrow after last attempt
-      await new Promise(resolve => setTimeout(resolve, delays[i]));
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are newline-delimited; keep any trailing partial line for the next read
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  }
+};
+
+// Accumulates streamed chunks and reports the full text so far after each one
+const collectStream = async (response, parseChunk, onChunk) => {
+  let text = '';
+  await readEventStream(response, (data) => {
+    const chunk = parseChunk(data);
+    if (chunk) {
+      text += chunk;
+      onChunk?.(text);
+    }
+  });
+  return text;
+};
+
+const geminiText = (data) =>
+  (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+const geminiFinishReason = (data) => data.candidates?.[0]?.finishReason || null;
+
+// Keeps only the block reason and the safety categories that were actually flagged
+const geminiFeedback = (data) => {
+  const feedback = data.promptFeedback;
+  const ratings = [...(feedback?.safetyRatings || []), ...(data.candidates?.[0]?.safetyRatings || [])]
+    .filter(rating => rating.blocked || !['NEGLIGIBLE', 'LOW'].includes(rating.probability));
+  if (!feedback?.blockReason && !ratings.length) return null;
+  return { blockReason: feedback?.blockReason || null, flagged: ratings.map(rating => `${rating.category.replace(/^HARM_CATEGORY_/, '')} (${rating.probability})`) };
+};
+
+const geminiUsage = (data) => (data.usageMetadata
+  ? { promptTokens: data.usageMetadata.promptTokenCount || 0, outputTokens: data.usageMetadata.candidatesTokenCount || 0 }
+  : null);
+
+const openAiUsage = (data) => (data.usage
+  ? { promptTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+  : null);
+
+const geminiUrl = (model, method, key) =>
+  `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}${method.startsWith('stream') ? '?alt=sse&' : '?'}key=${key || apiKey}`;
+
+const geminiPayload = (prompt, systemInstruction) => ({
+  contents: [{ parts: [{ text: prompt }] }],
+  systemInstruction: { parts: [{ text: systemInstruction }] }
+});
+
+const openAiPayload = (prompt, systemInstruction, model, stream) => ({
+  model,
+  stream,
+  // Streams only report token usage in a final chunk when asked to
+  ...(stream ? { stream_options: { include_usage: true } } : {}),
+  messages: [
+    { role: 'system', content: systemInstruction },
+    { role: 'user', content: prompt }
+  ]
+});
+
+const openAiHeaders = (key) => (key ? { Authorization: `Bearer ${key}` } : {});
+
+const SAFETY_FINISH_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY', 'content_filter']);
+const NORMAL_FINISH_REASONS = new Set(['STOP', 'stop', 'FINISH_REASON_UNSPECIFIED']);
+
+/**
+ * Empty output is an error: safety blocks say what was flagged, anything else says why
+ * the model stopped. Non-empty output passes through with its finishReason.
+ */
+const checkCompletion = ({ text, usage, finishReason = null, promptFeedback = null }) => {
+  if (promptFeedback?.blockReason) {
+    throw aiError('safety_blocked', `The prompt was blocked (${promptFeedback.blockReason}).`, { finishReason, promptFeedback });
+  }
+  if (text) return { text, usage, finishReason };
+  if (SAFETY_FINISH_REASONS.has(finishReason)) {
+    throw aiError('safety_blocked', 'The response was withheld by the provider\'s safety filters.', { finishReason, promptFeedback });
+  }
+  throw aiError('empty', finishReason ? `The model stopped without output (${finishReason}).` : 'The model returned no text.', { finishReason, promptFeedback });
+};
+
+// Finish reasons worth telling the user about when there is output
+const finishNote = (finishReason) => {
+  if (!finishReason || NORMAL_FINISH_REASONS.has(finishReason)) return null;
+  if (finishReason === 'MAX_TOKENS' || finishReason === 'length') return 'The output hit the model\'s length limit and may be cut off.';
+  if (SAFETY_FINISH_REASONS.has(finishReason)) return 'The provider\'s safety filters cut the output short.';
+  return `The model stopped early (${finishReason}).`;
+};
+
+// Deterministic text derived from the request, so tests and demos never touch the network
+const mockResponse = (prompt, systemInstruction) => {
+  let hash = 0;
+  for (const ch of `${systemInstruction}\n${prompt}`) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  const subject = prompt.split('\n')[0].replace(/^[^:]*:\s*/, '').slice(0, 80) || 'your request';
+
+  return `# Mock Response: ${subject}
+
+This is deterministic placeholder output from the mock provider (fingerprint \`${hash.toString(16)}\`).
+
+## Key Points
+- The same prompt always produces this same text.
+- No network request was made.
+- Switch provider in Settings to generate real content.
+
+## Summary
+Use this output to demo the studio offline or to exercise the tools in tests.`;
+};
+
+/**
+ * Provider registry. Each entry implements `generate` and `stream` with the same
+ * arguments: { prompt, systemInstruction, model, signal, onChunk, ...providerConfig },
+ * and resolves to { text, usage, finishReason, promptFeedback } where usage is
+ * { promptTokens, outputTokens } or null. Failures are thrown as aiError kinds.
+ */
+const LLM_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    models: [GEMINI_MODEL, 'gemini-2.5-pro', 'gemini-2.0-flash'],
+    defaults: { model: GEMINI_MODEL, apiKey: '' },
+    generate: async ({ prompt, systemInstruction, model, apiKey: key, signal }) => {
+      const response = await fetchWithRetry(geminiUrl(model, 'generateContent', key), geminiPayload(prompt, systemInstruction), { signal });
+      const data = await response.json();
+      return { text: geminiText(data), usage: geminiUsage(data), finishReason: geminiFinishReason(data), promptFeedback: geminiFeedback(data) };
+    },
+    stream: async ({ prompt, systemInstruction, model, apiKey: key, signal, onChunk }) => {
+      const response = await fetchWithRetry(geminiUrl(model, 'streamGenerateContent', key), geminiPayload(prompt, systemInstruction), { signal });
+      // Every event carries the running totals; the last one wins
+      let usage = null;
+      let finishReason = null;
+      let promptFeedback = null;
+      const text = await collectStream(response, (data) => {
+        const event = JSON.parse(data);
+        usage = geminiUsage(event) || usage;
+        finishReason = geminiFinishReason(event) || finishReason;
+        promptFeedback = geminiFeedback(event) || promptFeedback;
+        return geminiText(event);
+      }, onChunk);
+      return { text, usage, finishReason, promptFeedback };
+    }
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    models: ['gpt-4o-mini', 'gpt-4o', 'llama3.1', 'mistral'],
+    defaults: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1', apiKey: '' },
+    generate: async ({ prompt, systemInstruction, model, baseUrl, apiKey: key, signal }) => {
+      const response = await fetchWithRetry(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, openAiPayload(prompt, systemInstruction, model, false), { signal, headers: openAiHeaders(key) });
+      const data = await response.json();
+      return { text: data.choices?.[0]?.message?.content || '', usage: openAiUsage(data), finishReason: data.choices?.[0]?.finish_reason || null };
+    },
+    stream: async ({ prompt, systemInstruction, model, baseUrl, apiKey: key, signal, onChunk }) => {
+      const response = await fetchWithRetry(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, openAiPayload(prompt, systemInstruction, model, true), { signal, headers: openAiHeaders(key) });
+      let usage = null;
+      let finishReason = null;
+      const text = await collectStream(response, (data) => {
+        if (data === '[DONE]') return '';
+        const event = JSON.parse(data);
+        usage = openAiUsage(event) || usage;
+        finishReason = event.choices?.[0]?.finish_reason || finishReason;
+        return event.choices?.[0]?.delta?.content;
+      }, onChunk);
+      return { text, usage, finishReason };
+    }
+  },
+  mock: {
+    label: 'Mock (offline)',
+    models: ['mock-1'],
+    defaults: { model: 'mock-1' },
+    generate: async ({ prompt, systemInstruction, signal }) => {
+      await wait(300, signal);
+      return { text: mockResponse(prompt, systemInstruction), usage: null };
+    },
+    stream: async ({ prompt, systemInstruction, signal, onChunk }) => {
+      const words = mockResponse(prompt, systemInstruction).split(/(?<=\s)/);
+      let text = '';
+      for (const word of words) {
+        await wait(15, signal);
+        text += word;
+        onChunk?.(text);
+      }
+      return { text, usage: null };
     }
   }
 };
 
+const llmSettingsStore = createPersistentStore('seoStudio.llmSettings', {
+  provider: 'gemini',
+  gemini: LLM_PROVIDERS.gemini.defaults,
+  openai: LLM_PROVIDERS.openai.defaults,
+  mock: LLM_PROVIDERS.mock.defaults
+});
+
+const getActiveProvider = (settings = llmSettingsStore.get()) => {
+  const id = LLM_PROVIDERS[settings.provider] ? settings.provider : 'gemini';
+  const provider = LLM_PROVIDERS[id];
+  return { id, provider, config: { ...provider.defaults, ...settings[id] } };
+};
+
+// Resolves to { text, usage, finishReason }; usage is null when the provider doesn't report token counts
+const generateContent = async (prompt, systemInstruction, { signal } = {}) => {
+  const { provider, config } = getActiveProvider();
+  return checkCompletion(await provider.generate({ ...config, prompt, systemInstruction, signal }));
+};
+
 /**
- * COMPONENTS
+ * Streaming variant of generateContent.
+ * `onChunk` receives the full text accumulated so far after every event.
  */
+const streamContent = async (prompt, systemInstruction, { signal, onChunk } = {}) => {
+  const { provider, config } = getActiveProvider();
+  return checkCompletion(await provider.stream({ ...config, prompt, systemInstruction, signal, onChunk }));
+};
 
-// --- Shared UI Components ---
+// Models sometimes wrap JSON in Markdown fences or add a sentence around it
+const parseJsonResponse = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start === -1 || end < start) throw new Error('The model did not return JSON.');
+  return JSON.parse(candidate.slice(start, end + 1));
+};
 
-const Card = ({ children, className = "" }) => (
-  <div className={`bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden ${className}`}>
-    {children}
-  </div>
-);
+/**
+ * USAGE METERING
+ * Every request is recorded with its token counts, user, tool and model. Records land in a
+ * local ledger first, which quota checks read, and are mirrored to a shared Firestore
+ * collection for the team dashboard. Quotas are daily token limits set by admins.
+ * They are advisory: calls go from the browser straight to the provider, so the check runs
+ * here and can be skipped by anyone who edits the client. Hard caps belong on the provider
+ * key; the rules only keep the shared records well-formed.
+ */
+// USD per million tokens, [input, output]; models not listed (local, mock) count as free
+const MODEL_PRICES = {
+  'gemini-2.5-flash-preview-09-2025': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00],
+  'gemini-2.0-flash': [0.10, 0.40],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00]
+};
 
-const Button = ({ onClick, disabled, loading, children, variant = "primary", className = "" }) => {
-  const baseStyles = "inline-flex items-center justify-center px-4 py-2 rounded-lg font-medium transition-all focus:outline-none focus:ring-2 focus:ring-offset-1 disabled:opacity-50 disabled:cursor-not-allowed";
-  const variants = {
-    primary: "bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-indigo-500 shadow-sm",
-    secondary: "bg-white text-slate-700 border border-slate-300 hover:bg-slate-50 focus:ring-slate-400",
-    ghost: "bg-transparent text-slate-600 hover:bg-slate-100 focus:ring-slate-400",
-    danger: "bg-red-50 text-red-600 hover:bg-red-100 focus:ring-red-400"
-  };
-  
-  return (
-    <button 
-      onClick={onClick} 
-      disabled={disabled || loading}
-      className={`${baseStyles} ${variants[variant]} ${className}`}
-    >
-      {loading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
-      {children}
-    </button>
-  );
+const DEFAULT_DAILY_QUOTA = 200000;
+const GUEST_DAILY_QUOTA = 20000;
+const USAGE_RETENTION_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_OUTPUT_TOKENS = 1000;
+
+// About four characters per token for English; close enough for an up-front estimate
+const estimateTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+// Expected response sizes for the up-front estimate; rewrites come back about as long as they went in
+const OUTPUT_TOKEN_GUESSES = {
+  writer: () => 2500,
+  writerOutline: () => 500,
+  writerSection: ({ words }) => Math.round((Number(words) || 200) * 1.4),
+  improver: ({ content }) => estimateTokens(content),
+  proofreader: ({ content }) => estimateTokens(content) * 2,
+  translate: ({ content }) => Math.round(estimateTokens(content) * 1.2),
+  serp: ({ count }) => 80 * (Number(count) || 3),
+  clusters: ({ clusters }) => 25 * clusters.length,
+  strategy: ({ weeks }) => 600 + 180 * (Number(weeks) || 4),
+  linker: ({ candidates }) => 12 * candidates.length
 };
 
-const Label = ({ children }) => (
-  <label className="block text-sm font-semibold text-slate-700 mb-1">{children}</label>
-);
+const usageCost = (model, promptTokens, outputTokens) => {
+  const price = MODEL_PRICES[model];
+  return price ? (promptTokens * price[0] + outputTokens * price[1]) / 1e6 : 0;
+};
 
-const TextArea = ({ value, onChange, placeholder, rows = 6, className = "" }) => (
-  <textarea
-    value={value}
-    onChange={onChange}
-    placeholder={placeholder}
-    rows={rows}
-    className={`w-full p-3 rounded-lg border border-slate-300 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 transition-colors resize-none text-slate-800 text-sm ${className}`}
-  />
-);
+const formatCost = (cost) => `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
 
-const Input = ({ value, onChange, placeholder, className = "" }) => (
-  <input
-    type="text"
-    value={value}
-    onChange={onChange}
-    placeholder={placeholder}
-    className={`w-full p-2.5 rounded-lg border border-slate-300 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 transition-colors text-slate-800 text-sm ${className}`}
-  />
-);
+// Local calendar day, so "daily" matches the user's own midnight
+const dayKey = (time = Date.now()) => new Date(time).toLocaleDateString('en-CA');
+
+const usageLedgerStore = createPersistentStore('seoStudio.usage', []);
+
+const quotaStore = createPersistentStore('seoStudio.quotas', {
+  defaultQuota: DEFAULT_DAILY_QUOTA,
+  guestQuota: GUEST_DAILY_QUOTA,
+  users: {},
+  admins: []
+});
+
+const usageCollection = () => collection(db, 'artifacts', appId, 'public', 'data', 'usage');
+const quotaDoc = () => doc(db, 'artifacts', appId, 'public', 'data', 'settings', 'quotas');
+
+const recordTokens = (record) => record.promptTokens + record.outputTokens;
+
+const dailyQuota = (user, settings = quotaStore.get()) =>
+  settings.users[user.uid] ?? (user.isAnonymous ? settings.guestQuota : settings.defaultQuota);
+
+// Today's Firestore records for one user, so other browsers and devices count against the same quota
+let sharedUsageToday = { uid: null, day: null, records: [] };
+
+// Offline leaves the cache empty for the day, so only this browser's ledger counts
+const loadTodayUsage = async (uid) => {
+  const day = dayKey();
+  try {
+    const snapshot = await getDocs(query(usageCollection(), where('uid', '==', uid), where('day', '==', day)));
+    sharedUsageToday = { uid, day, records: snapshot.docs.map(d => d.data()) };
+  } catch (e) {
+    console.warn('Firestore unavailable for usage, counting local copy only', e);
+    sharedUsageToday = { uid, day, records: [] };
+  }
+};
+
+// Shared records plus local ones that haven't synced yet
+const tokensUsedToday = (uid) => {
+  const day = dayKey();
+  const shared = sharedUsageToday.uid === uid && sharedUsageToday.day === day ? sharedUsageToday.records : [];
+  const sharedIds = new Set(shared.map(record => record.id));
+  const local = usageLedgerStore.get().filter(record => record.uid === uid && record.day === day && !sharedIds.has(record.id));
+  return [...shared, ...local].reduce((sum, record) => sum + recordTokens(record), 0);
+};
+
+// Estimates held for calls still in flight, so concurrent requests can't all pass the same check
+const quotaReservations = new Map();
+
+const reservedTokens = (uid) => [...quotaReservations.values()]
+  .filter(reservation => reservation.uid === uid)
+  .reduce((sum, reservation) => sum + reservation.tokens, 0);
+
+// Holds `tokens` against the quota until the returned release is called, once the call is metered
+const reserveQuota = async (user, tokens) => {
+  if (sharedUsageToday.uid !== user.uid || sharedUsageToday.day !== dayKey()) await loadTodayUsage(user.uid);
+  const quota = dailyQuota(user);
+  const used = tokensUsedToday(user.uid) + reservedTokens(user.uid);
+  if (used + tokens > quota) {
+    throw aiError('quota', `Daily quota reached: this request needs about ${tokens.toLocaleString()} tokens and ${Math.max(0, quota - used).toLocaleString()} of your ${quota.toLocaleString()} remain today.`);
+  }
+  const id = createId();
+  quotaReservations.set(id, { uid: user.uid, tokens });
+  return () => quotaReservations.delete(id);
+};
+
+const estimateUsage = (taskId, inputs, text, model) => {
+  const guess = OUTPUT_TOKEN_GUESSES[taskId];
+  const promptTokens = estimateTokens(text);
+  const outputTokens = guess ? guess(inputs) : DEFAULT_OUTPUT_TOKENS;
+  return { promptTokens, outputTokens, cost: usageCost(model, promptTokens, outputTokens) };
+};
+
+const recordUsage = async (entry) => {
+  const record = { ...entry, id: createId(), day: dayKey(), createdAt: Date.now() };
+  const cutoff = Date.now() - USAGE_RETENTION_DAYS * DAY_MS;
+  usageLedgerStore.set(ledger => [record, ...ledger.filter(item => item.createdAt >= cutoff)]);
+  try {
+    // The rules require syncedAt to be the server's write time
+    await setDoc(doc(usageCollection(), record.id), { ...record, syncedAt: serverTimestamp() });
+  } catch (e) {
+    console.warn('Firestore unavailable for usage, keeping local copy', e);
+  }
+};
+
+// Everyone's records for admins (pass no uid), otherwise only the given user's; the rules allow no more
+const listUsage = async (uid = null) => {
+  const local = usageLedgerStore.get().filter(record => !uid || record.uid === uid);
+  try {
+    const snapshot = await getDocs(uid ? query(usageCollection(), where('uid', '==', uid)) : usageCollection());
+    const remote = snapshot.docs.map(d => d.data());
+    const remoteIds = new Set(remote.map(record => record.id));
+    return [...remote, ...local.filter(record => !remoteIds.has(record.id))];
+  } catch (e) {
+    console.warn('Firestore unavailable for usage, using local copy', e);
+    return local;
+  }
+};
+
+const loadQuotaSettings = async () => {
+  try {
+    const snapshot = await getDoc(quotaDoc());
+    if (snapshot.exists()) quotaStore.set(current => ({ ...current, ...snapshot.data() }));
+  } catch (e) {
+    console.warn('Firestore unavailable for quotas, using local copy', e);
+  }
+};
+
+// Totals per key (day, tool, user) over a list of usage records
+const summarizeUsage = (records, keyOf) => {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    const group = groups.get(key) || { key, requests: 0, promptTokens: 0, outputTokens: 0, cost: 0 };
+    group.requests++;
+    group.promptTokens += record.promptTokens;
+    group.outputTokens += record.outputTokens;
+    group.cost += record.cost;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+};
+
+const saveQuotaSettings = async (settings) => {
+  quotaStore.set(settings);
+  await setDoc(quotaDoc(), settings);
+};
+
+/**
+ * LOCALES
+ * Languages we publish in. AI tools send one of these with their inputs and runTask
+ * adds the matching language instruction; `dir` marks right-to-left scripts.
+ */
+const LOCALES = [
+  { value: 'en-US', label: 'English (US)', language: 'American English', dir: 'ltr' },
+  { value: 'en-GB', label: 'English (UK)', language: 'British English', dir: 'ltr' },
+  { value: 'es', label: 'Español', language: 'Spanish', dir: 'ltr' },
+  { value: 'de', label: 'Deutsch', language: 'German', dir: 'ltr' },
+  { value: 'fr', label: 'Français', language: 'French', dir: 'ltr' },
+  { value: 'ar', label: 'العربية', language: 'Modern Standard Arabic', dir: 'rtl' }
+];
+const DEFAULT_LOCALE = 'en-US';
+
+const localeById = (value) => LOCALES.find(locale => locale.value === value) || LOCALES[0];
+
+const RTL_LETTERS = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}]/gu;
+
+// Right-to-left when most letters are from an RTL script, so Latin brand names and URLs don't flip it
+const textDirection = (text = '') => {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const rtl = (text.match(RTL_LETTERS) || []).length;
+  return letters && rtl * 2 > letters ? 'rtl' : 'ltr';
+};
+
+const withLocale = (systemInstruction, value) => {
+  if (!value) return systemInstruction;
+  const { language } = localeById(value);
+  return `${systemInstruction}\n\nLanguage: ${language} (${value}). Write in this language and follow its spelling, grammar, punctuation, number and date conventions. Keep JSON keys, fixed values listed in these instructions, Markdown syntax and URLs unchanged.`;
+};
+
+/**
+ * AI TASKS
+ * Prompt definitions for each AI tool. Providers receive them unchanged.
+ */
+const TONES = ['Professional', 'Conversational', 'Witty & Fun', 'Authoritative', 'Empathetic'];
+const IMPROVEMENT_GOALS = ['Readability', 'SEO Optimization', 'Engagement', 'Persuasion', 'Conciseness'];
+
+const AI_TASKS = {
+  writer: {
+    label: 'Article Writer',
+    buildPrompt: ({ topic, keywords, tone }) => `Topic: ${topic}\nTarget Keywords: ${keywords}\nTone: ${tone}`,
+    systemInstruction: `You are a professional, industry-grade SEO Article Writer. 
+      Write a comprehensive, engaging, and human-like article based on the provided topic.
+      - Structure the article with a catchy H1 title, an engaging introduction, multiple H2/H3 subheadings, and a strong conclusion.
+      - Seamlessly integrate the provided target keywords without "keyword stuffing".
+      - Use the requested tone.
+      - Use markdown formatting for headings, bold text, and lists.
+      - Ensure the content provides real value to the reader.`
+  },
+  improver: {
+    label: 'Article Improver',
+    buildPrompt: ({ content, goal }) => `Content to Improve: ${content}\nGoal: ${goal}`,
+    systemInstruction: `You are an expert Content Editor and SEO Specialist.
+      Rewrite the provided text to improve it based on the specified goal.
+      - Maintain the original meaning but enhance clarity, flow, and engagement.
+      - Use markdown for formatting.
+      - If the goal is 'SEO', focus on keyword placement and structure.
+      - If the goal is 'Readability', focus on shorter sentences and simple words.
+      - Provide ONLY the rewritten version.`
+  },
+  proofreader: {
+    label: 'Proofreader',
+    buildPrompt: ({ content }) => `Text to Proofread: ${content}`,
+    systemInstruction: `You are a strict and meticulous Proofreader.
+      1. Find all spelling, grammar, punctuation, and syntax errors, plus awkward phrasing, judged by the conventions of the language given below. Spellings from another variant of the language (e.g., American spellings in British English) count as spelling errors.
+      2. Report every fix as a separate change record. "original" must be copied exactly from the text (at least one whole word, including the neighbouring word for inserted punctuation) and "replacement" is what should stand in its place.
+      3. Set "category" to one of: spelling, grammar, punctuation, style.
+      4. Give a short "reason" for each change (e.g., "Corrected spelling of 'recieve'").
+      5. Also return the fully corrected text in "correctedText".
+      6. Respond with JSON only, no Markdown: {"correctedText": "...", "changes": [{"original": "...", "replacement": "...", "category": "...", "reason": "..."}]}`
+  },
+  translate: {
+    label: 'Translation',
+    buildPrompt: ({ content, locale, keywords }) =>
+      `Target Language: ${localeById(locale).language} (${locale})\nKeywords to Keep: ${keywords || 'None'}\n\nContent to Translate:\n${content}`,
+    systemInstruction: `You are a professional Translator and SEO Localization Specialist.
+      Translate and localize the provided content into the target language.
+      - Adapt idioms, examples, units, currencies and date formats for readers in the target locale rather than translating them word for word.
+      - Keep the Markdown structure exactly: the same headings at the same levels, and the same lists, tables, code blocks and links in the same order.
+      - Translate link text but never link targets, URLs or code.
+      - Use every keyword under "Keywords to Keep" verbatim, wherever the source uses the matching term.
+      - Provide ONLY the translated Markdown.`
+  },
+  strategy: {
+    label: 'Strategy Maker',
+    buildPrompt: ({ bizType, audience, goals, weeks, startDate }) =>
+      `Business: ${bizType}\nAudience: ${audience}\nGoals: ${goals}\nCalendar: ${weeks} weeks starting ${startDate}`,
+    systemInstruction: `You are a Chief Marketing Officer (CMO). Create a detailed Content Marketing Strategy.
+      - summary: a brief overview of the strategy.
+      - personas: 1-3 audience personas with their needs and pain points, based on the input.
+      - pillars: 3-5 core topics to focus on.
+      - channels: where to publish (Blog, LinkedIn, Instagram, etc.) and why.
+      - kpis: metrics to track success, each with a concrete target.
+      - calendar: 2-4 pieces per week for the requested number of weeks, dated from the start date in YYYY-MM-DD form. Every piece names one of the pillars and one of the channels, a format (e.g. Blog Post, Video, Newsletter) and the keyword it targets.
+      - Respond with JSON only, no Markdown: {"summary": "...", "personas": [{"name": "...", "needs": "...", "painPoints": "..."}], "pillars": [{"name": "...", "description": "..."}], "channels": [{"name": "...", "rationale": "..."}], "kpis": [{"metric": "...", "target": "..."}], "calendar": [{"date": "YYYY-MM-DD", "title": "...", "pillar": "...", "channel": "...", "format": "...", "keyword": "..."}]}`
+  },
+  writerOutline: {
+    label: 'Article Outline',
+    buildPrompt: ({ topic, keywords, tone, targetWords }) =>
+      `Topic: ${topic}\nTarget Keywords: ${keywords}\nTone: ${tone}\nTarget Length: ${targetWords} words`,
+    systemInstruction: `You are a professional, industry-grade SEO Content Strategist.
+      Plan the structure of a comprehensive article on the provided topic before it is written.
+      - Propose a catchy H1 title that includes the main keyword.
+      - Start with an introduction section and finish with a conclusion section.
+      - Use H2 headings for main sections and H3 headings for sub-points beneath them.
+      - Work the target keywords into headings where it reads naturally.
+      - Give every section a target word count; together they should add up to roughly the target length.
+      - Respond with JSON only, no Markdown: {"title": "...", "sections": [{"level": 2, "heading": "...", "words": 200}]}`
+  },
+  writerSection: {
+    label: 'Article Section',
+    buildPrompt: ({ title, keywords, tone, outline, heading, level, words, previousHeading, previousText, nextHeading }) => [
+      `Article Title: ${title}`,
+      `Target Keywords: ${keywords}`,
+      `Tone: ${tone}`,
+      `Full Outline:\n${outline}`,
+      `Section to Write: ${heading} (H${level}, about ${words} words)`,
+      `Previous Section: ${previousHeading || 'None (this is the first section)'}`,
+      previousText ? `End of Previous Section:\n${previousText}` : '',
+      `Next Section: ${nextHeading || 'None (this is the last section)'}`
+    ].filter(Boolean).join('\n\n'),
+    systemInstruction: `You are a professional, industry-grade SEO Article Writer working through an article one section at a time.
+      Write only the body of the requested section.
+      - Do not repeat the section heading and do not write any other section.
+      - Continue naturally from the previous section and lead into the next one without summarizing either.
+      - Stay close to the requested word count.
+      - Seamlessly integrate the target keywords without "keyword stuffing".
+      - Use the requested tone.
+      - Use markdown for bold text and lists; use H4 or smaller if you need sub-headings.
+      - Ensure the content provides real value to the reader.`
+  },
+  audit: {
+    label: 'On-Page Audit',
+    buildPrompt: ({ page, title, description, findings, headings, excerpt }) =>
+      `Page: ${page}\nTitle: ${title || '(none)'}\nMeta Description: ${description || '(none)'}\n\nFailing Checks:\n${findings}\n\nHeadings:\n${headings || '(none)'}\n\nContent Excerpt:\n${excerpt}`,
+    systemInstruction: `You are a professional, industry-grade Technical SEO Consultant.
+      You are given the failing checks from an on-page audit, with the page's title, meta description, headings and an excerpt of its content.
+      For each failing check, in the order given:
+      - Use the check name as an H3 heading.
+      - Explain in one or two sentences why it matters for this page.
+      - Give the concrete fix, including ready-to-paste HTML (such as a rewritten title or meta description) where it applies.
+      Do not comment on checks that passed.`
+  },
+  schema: {
+    label: 'Structured Data',
+    buildPrompt: ({ article, type }) => `Schema Type: ${type}\n\nArticle:\n${article}`,
+    systemInstruction: `You are a professional, industry-grade Structured Data Specialist.
+      Extract schema.org data of the requested type from the provided article. Only use facts stated in the article.
+      - For FAQPage, collect the questions the article answers, with concise but complete answers taken from the text.
+      - For HowTo, collect the task name, a one-sentence description, the total time as an ISO 8601 duration if stated, the supplies, the tools and the ordered steps.
+      - Respond with JSON only, no Markdown.
+      FAQPage: {"questions": [{"question": "...", "answer": "..."}]}
+      HowTo: {"name": "...", "description": "...", "totalTime": "PT30M", "supplies": ["..."], "tools": ["..."], "steps": [{"name": "...", "text": "..."}]}`
+  },
+  clusters: {
+    label: 'Keyword Clusters',
+    buildPrompt: ({ clusters }) => clusters
+      .map(cluster => `${cluster.id}: ${cluster.members.slice(0, 8).map(member => member.keyword).join(', ')}`)
+      .join('\n'),
+    systemInstruction: `You are a professional, industry-grade SEO Keyword Strategist.
+      Each line is a numbered cluster of related search keywords.
+      - Give every cluster a short, descriptive topic label of 2-5 words.
+      - Assign the dominant search intent: informational, navigational, commercial or transactional.
+      - Respond with JSON only, no Markdown: {"clusters": [{"id": "1", "label": "...", "intent": "informational"}]}`
+  },
+  linker: {
+    label: 'Internal Links',
+    buildPrompt: ({ topic, candidates }) => [
+      `Article: ${topic}`,
+      'Candidate Links:',
+      ...candidates.map(c => `${c.id}: "${c.anchor}" -> ${c.url}${c.title ? ` (${c.title})` : ''}\n   In: ${c.context}`)
+    ].join('\n'),
+    systemInstruction: `You are a professional, industry-grade SEO Content Editor who places internal links.
+      Each numbered candidate proposes linking the quoted anchor text, in the sentence shown, to another page on the same site.
+      - Score every candidate from 0 (irrelevant or misleading) to 10 (exactly the page a reader of that sentence would want next).
+      - Judge by what the target page is about, not only by the words it shares with the anchor.
+      - Respond with JSON only, no Markdown: {"links": [{"id": "1", "score": 7}]}`
+  },
+  serp: {
+    label: 'SERP Snippets',
+    buildPrompt: ({ summary, keyword, brand, count }) =>
+      `Page Summary: ${summary}\nTarget Keyword: ${keyword}\nBrand: ${brand || 'None'}\nNumber of Options: ${count}`,
+    systemInstruction: `You are an SEO copywriter who writes search result snippets.
+      Write distinct title tag and meta description options for the page described.
+      - Keep titles under 60 characters and lead with the target keyword where it reads naturally.
+      - Keep meta descriptions between 140 and 155 characters, use the keyword once, and end with a clear call to action.
+      - Append the brand to titles after " | " only when a brand is provided.
+      - Vary the angle of each option (benefit, question, number, urgency).
+      - Respond with JSON only, no Markdown: {"options": [{"title": "...", "description": "..."}]}`
+  }
+};
+
+// Output tokens to meter a failed call at, or null when the provider never got to work on it.
+// Stopped and timed-out calls may still run to the end on the provider's side, so without
+// streamed text to count they are metered at the estimate.
+const failedOutputTokens = (error, estimate, streamed) => {
+  const interrupted = error.name === 'AbortError' || error.kind === 'timeout';
+  if (streamed) return estimateTokens(streamed);
+  if (interrupted) return streamed === null ? estimate.outputTokens : 0;
+  return ['safety_blocked', 'empty'].includes(error.kind) ? 0 : null;
+};
+
+/**
+ * Runs one of the AI_TASKS through the active provider; `task` overrides the lookup for
+ * tools defined at runtime. `inputs.locale` sets the output language. Streams when `onChunk`
+ * is given, otherwise waits for the complete response.
+ * Reserves the estimate against the user's daily quota first and meters the call;
+ * `onUsage` receives { estimate, actual }, first with only the estimate and again once the
+ * response is in.
+ * `actual.finishReason` is how the model stopped. Stopped and failed calls are metered too,
+ * for what they streamed or by estimate. Failures throw aiError kinds, including `forbidden`
+ * for viewers of the active workspace.
+ */
+const runTask = async (taskId, inputs, { signal, onChunk, onUsage, task = AI_TASKS[taskId] } = {}) => {
+  const prompt = task.buildPrompt(inputs);
+  const systemInstruction = withBrandVoice(withLocale(task.systemInstruction, inputs.locale), activeBrandStore.get().profile);
+  const { id: provider, config } = getActiveProvider();
+  const user = auth.currentUser;
+  const workspace = activeWorkspace();
+  if (workspace && !canEditWorkspace(workspace.role)) {
+    throw aiError('forbidden', `You're a viewer in ${workspace.name}, so you can read its work but not generate.`);
+  }
+  const estimate = estimateUsage(taskId, inputs, `${systemInstruction}\n${prompt}`, config.model);
+  const release = user ? await reserveQuota(user, estimate.promptTokens + estimate.outputTokens) : null;
+  onUsage?.({ estimate, actual: null });
+
+  const meter = (promptTokens, outputTokens, estimated, finishReason) => {
+    const actual = { promptTokens, outputTokens, cost: usageCost(config.model, promptTokens, outputTokens), estimated, finishReason };
+    recordUsage({ uid: user?.uid || 'signed-out', anonymous: Boolean(user?.isAnonymous), tool: taskId, provider, model: config.model, ...actual });
+    return actual;
+  };
+
+  // The text a stream has produced so far, which is all a stopped stream is metered for
+  let streamed = onChunk ? '' : null;
+  const trackChunk = (sofar) => {
+    streamed = sofar;
+    onChunk(sofar);
+  };
+
+  try {
+    const { text, usage, finishReason } = onChunk
+      ? await streamContent(prompt, systemInstruction, { signal, onChunk: trackChunk })
+      : await generateContent(prompt, systemInstruction, { signal });
+
+    // Providers that don't report usage are metered by estimate
+    const actual = meter(usage?.promptTokens ?? estimate.promptTokens, usage?.outputTokens ?? estimateTokens(text), !usage, finishReason);
+    onUsage?.({ estimate, actual });
+    return text;
+  } catch (error) {
+    const outputTokens = failedOutputTokens(error, estimate, streamed);
+    if (outputTokens !== null) meter(estimate.promptTokens, outputTokens, true, error.kind || 'aborted');
+    throw error;
+  } finally {
+    // The ledger entry written by meter replaces the reservation in the same tick
+    release?.();
+  }
+};
+
+/**
+ * CUSTOM TOOL UTILITIES
+ * User-defined tools: input fields, a system instruction and a prompt template with
+ * {{field}} placeholders. They run through runTask just like the built-in AI_TASKS.
+ */
+const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'textarea', label: 'Text Area' },
+  { value: 'select', label: 'Dropdown' },
+  { value: 'chips', label: 'Chips' }
+];
+const CUSTOM_TOOL_ICONS = {
+  Sparkles, FileText, Type, TrendingUp, CheckCircle, Hash, Search, Layers, Braces, LayoutDashboard, ClipboardCheck, Send
+};
+const CUSTOM_TOOL_EXPORT_VERSION = 1;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]*$/i;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/gi;
+
+const customToolId = (tool) => `custom-${tool.id}`;
+
+const hasOptions = (field) => field.type === 'select' || field.type === 'chips';
+
+const defaultFieldValue = (field) => (hasOptions(field) ? field.options[0] : '');
+
+const fieldKeyFromLabel = (label) => label.toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .replace(/^(\d)/, 'field_$1');
+
+const templatePlaceholders = (template) =>
+  [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+// Unknown placeholders are left as written so a typo is visible in the prompt
+const fillTemplate = (template, values) =>
+  template.replace(PLACEHOLDER_PATTERN, (match, key) => (key in values ? String(values[key] ?? '') : match));
+
+const customToolTask = (tool) => ({
+  label: tool.name,
+  buildPrompt: (inputs) => fillTemplate(tool.template, inputs),
+  systemInstruction: tool.systemInstruction
+});
+
+/**
+ * Checks and cleans a tool definition from the editor or an imported file.
+ * Options may be an array or a comma-separated string. Throws a readable message
+ * when the definition cannot be used.
+ */
+const normalizeCustomTool = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Each tool must be a JSON object.');
+  const name = String(raw.name || '').trim();
+  if (!name) throw new Error('Every tool needs a name.');
+  const template = String(raw.template || '').trim();
+  if (!template) throw new Error(`"${name}" has no prompt template.`);
+
+  const keys = new Set();
+  const fields = (Array.isArray(raw.fields) ? raw.fields : []).map(field => {
+    const type = CUSTOM_FIELD_TYPES.some(option => option.value === field?.type) ? field.type : 'text';
+    const key = String(field?.key || '').trim();
+    const label = String(field?.label || '').trim() || key;
+    const options = (Array.isArray(field?.options) ? field.options : String(field?.options || '').split(','))
+      .map(option => String(option).trim())
+      .filter(Boolean);
+    if (!FIELD_KEY_PATTERN.test(key)) throw new Error(`"${name}": field key "${key}" must start with a letter and use only letters, numbers and underscores.`);
+    if (keys.has(key)) throw new Error(`"${name}": field key "${key}" is used twice.`);
+    if (hasOptions({ type }) && !options.length) throw new Error(`"${name}": field "${label}" needs at least one option.`);
+    keys.add(key);
+    return { key, label, type, options: hasOptions({ type }) ? options : [], placeholder: String(field?.placeholder || '') };
+  });
+
+  const unknown = templatePlaceholders(template).filter(key => !keys.has(key));
+  if (unknown.length) throw new Error(`"${name}": the template uses ${unknown.map(key => `{{${key}}}`).join(', ')}, which no field defines.`);
+
+  return {
+    name,
+    icon: CUSTOM_TOOL_ICONS[raw.icon] ? raw.icon : 'Sparkles',
+    description: String(raw.description || '').trim(),
+    fields,
+    systemInstruction: String(raw.systemInstruction || '').trim(),
+    template
+  };
+};
+
+// Accepts an export file, a bare array of tools or a single tool
+const parseCustomToolsJson = (text) => {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.tools) ? data.tools : [data];
+  return list.map(normalizeCustomTool);
+};
+
+const customToolsJson = (tools) => JSON.stringify({
+  version: CUSTOM_TOOL_EXPORT_VERSION,
+  tools: tools.map(normalizeCustomTool)
+}, null, 2);
+
+/**
+ * MARKDOWN UTILITIES
+ * One small parser feeds the on-screen renderer and the HTML and DOCX exporters.
+ * Nothing is ever injected as raw HTML; unsupported markup stays plain text.
+ */
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// Only web, mail and relative links survive; anything else (javascript:, data:) renders as text
+const safeUrl = (href) => {
+  const scheme = href.match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase();
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme) ? href : null;
+};
+
+const INLINE_PATTERN = /\*\*(.+?)\*\*|__(.+?)__|\*(?![\s*])(.+?)\*|(?<!\w)_(?![\s_])(.+?)_(?!\w)|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+const parseInline = (text) => {
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) tokens.push({ type: 'text', text: text.slice(last, match.index) });
+    const [, strong, strongAlt, em, emAlt, code, linkText, href] = match;
+    if (strong || strongAlt) tokens.push({ type: 'strong', children: parseInline(strong || strongAlt) });
+    else if (em || emAlt) tokens.push({ type: 'em', children: parseInline(em || emAlt) });
+    else if (code) tokens.push({ type: 'code', text: code });
+    else tokens.push({ type: 'link', href, children: parseInline(linkText) });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) tokens.push({ type: 'text', text: text.slice(last) });
+  return tokens;
+};
+
+// Turns consecutive list lines into a tree, nesting items by indentation
+const buildList = (lines) => {
+  const newList = (marker, indent) => ({
+    type: 'list',
+    ordered: /\d/.test(marker),
+    start: parseInt(marker, 10) || 1,
+    indent,
+    items: []
+  });
+
+  const first = lines[0].match(LIST_ITEM);
+  const root = newList(first[2], first[1].length);
+  const stack = [root];
+
+  for (const line of lines) {
+    const match = line.match(LIST_ITEM);
+    let top = stack[stack.length - 1];
+    if (!match) {
+      // Indented continuation of the previous item
+      const item = top.items[top.items.length - 1];
+      if (item) item.text += ` ${line.trim()}`;
+      continue;
+    }
+
+    const indent = match[1].replace(/\t/g, '    ').length;
+    while (stack.length > 1 && indent < top.indent) {
+      stack.pop();
+      top = stack[stack.length - 1];
+    }
+    if (indent > top.indent && top.items.length) {
+      const child = newList(match[2], indent);
+      top.items[top.items.length - 1].children = child;
+      stack.push(child);
+      top = child;
+    }
+    top.items.push({ text: match[3], children: null });
+  }
+  return root;
+};
+
+const splitTableRow = (line) =>
+  line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+const parseMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      flushParagraph();
+      continue;
+    }
+
+    if (trimmed.startsWith('```')) {
+      flushParagraph();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', language: trimmed.slice(3).trim(), text: code.join('\n') });
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push({ type: 'hr' });
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quote = [];
+      for (; i < lines.length && lines[i].trim().startsWith('>'); i++) quote.push(lines[i].trim().replace(/^>\s?/, ''));
+      i--;
+      blocks.push({ type: 'blockquote', text: quote.join(' ') });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      flushParagraph();
+      const items = [];
+      // A top-level item of the other kind (bullet vs numbered) starts a new list
+      const sameKind = (l) => {
+        const [, indent, marker] = l.match(LIST_ITEM);
+        return indent.length > line.match(LIST_ITEM)[1].length || /\d/.test(marker) === /\d/.test(line.match(LIST_ITEM)[2]);
+      };
+      for (; i < lines.length; i++) {
+        if ((LIST_ITEM.test(lines[i]) && sameKind(lines[i])) || (/^\s+\S/.test(lines[i]) && !LIST_ITEM.test(lines[i]) && items.length)) {
+          items.push(lines[i]);
+          continue;
+        }
+        // Models often leave blank lines between items; keep the list going if another item follows
+        const next = lines.slice(i).findIndex(l => l.trim());
+        if (!lines[i].trim() && next > 0 && LIST_ITEM.test(lines[i + next]) && sameKind(lines[i + next])) {
+          i += next - 1;
+          continue;
+        }
+        break;
+      }
+      i--;
+      blocks.push(buildList(items));
+      continue;
+    }
+
+    if (trimmed.startsWith('|') && /^\|?\s*:?-{3,}/.test(lines[i + 1]?.trim() || '')) {
+      flushParagraph();
+      const header = splitTableRow(trimmed);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) rows.push(splitTableRow(lines[i]));
+      i--;
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    paragraph.push(trimmed);
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+const countListItems = (list) =>
+  list.items.reduce((sum, item) => sum + 1 + (item.children ? countListItems(item.children) : 0), 0);
+
+// The structural skeleton of a document: what a translation must keep intact
+const markdownShape = (source) => {
+  const blocks = parseMarkdown(source);
+  const ofType = (type) => blocks.filter(block => block.type === type);
+  return {
+    headings: ofType('heading').map(block => `H${block.level}`).join(' '),
+    listItems: ofType('list').reduce((sum, list) => sum + countListItems(list), 0),
+    tables: ofType('table').length,
+    codeBlocks: ofType('code').length,
+    links: [...source.matchAll(/\]\(([^)\s]+)/g)].map(match => match[1]).join(' ')
+  };
+};
+
+/**
+ * Compares the Markdown structure of a source and its translation. Returns one row per
+ * feature with both values shown as text and whether they match.
+ */
+const compareMarkdownShape = (source, output) => {
+  const before = markdownShape(source);
+  const after = markdownShape(output);
+  const count = (text) => (text ? text.split(' ').length : 0);
+  return [
+    { label: 'Headings', source: count(before.headings), output: count(after.headings), ok: before.headings === after.headings },
+    { label: 'List items', source: before.listItems, output: after.listItems, ok: before.listItems === after.listItems },
+    { label: 'Tables', source: before.tables, output: after.tables, ok: before.tables === after.tables },
+    { label: 'Code blocks', source: before.codeBlocks, output: after.codeBlocks, ok: before.codeBlocks === after.codeBlocks },
+    { label: 'Links', source: count(before.links), output: count(after.links), ok: before.links === after.links }
+  ];
+};
+
+/**
+ * EXPORT UTILITIES
+ * Clipboard, file download, HTML and DOCX conversion for generated content.
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Strips characters XML 1.0 forbids before escaping
+const escapeXml = (text) => escapeHtml(String(text).replace(/[^\x09\x0A\x0D\x20-\u{D7FF}\u{E000}-\u{FFFD}\u{10000}-\u{10FFFF}]/gu, ''));
+
+const slugify = (text) =>
+  String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'document';
+
+// Fallback for iframe environments where clipboard API might be restricted
+const copyToClipboard = (text) => {
+  const textArea = document.createElement("textarea");
+  textArea.value = text;
+  document.body.appendChild(textArea);
+  textArea.select();
+  document.execCommand('copy');
+  document.body.removeChild(textArea);
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',' || ch === '\t') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(r => r.map(cell => cell.trim())).filter(r => r.some(Boolean));
+};
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const downloadFile = (filename, content, type = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const inlineToHtml = (tokens) => tokens.map(token => {
+  switch (token.type) {
+    case 'strong': return `<strong>${inlineToHtml(token.children)}</strong>`;
+    case 'em': return `<em>${inlineToHtml(token.children)}</em>`;
+    case 'code': return `<code>${escapeHtml(token.text)}</code>`;
+    case 'link': {
+      const href = safeUrl(token.href);
+      return href ? `<a href="${escapeHtml(href)}">${inlineToHtml(token.children)}</a>` : inlineToHtml(token.children);
+    }
+    default: return escapeHtml(token.text);
+  }
+}).join('');
+
+const listToHtml = (list) => {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+  const items = list.items
+    .map(item => `<li>${inlineToHtml(parseInline(item.text))}${item.children ? listToHtml(item.children) : ''}</li>`)
+    .join('');
+  return `<${tag}${start}>${items}</${tag}>`;
+};
+
+// Semantic HTML fragment with no classes or inline styles, ready to paste into a CMS
+const markdownToHtml = (source) => parseMarkdown(source).map(block => {
+  switch (block.type) {
+    case 'heading': return `<h${block.level}>${inlineToHtml(parseInline(block.text))}</h${block.level}>`;
+    case 'list': return listToHtml(block);
+    case 'blockquote': return `<blockquote><p>${inlineToHtml(parseInline(block.text))}</p></blockquote>`;
+    case 'code': return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    case 'hr': return '<hr>';
+    case 'table': {
+      const head = block.header.map(cell => `<th>${inlineToHtml(parseInline(cell))}</th>`).join('');
+      const body = block.rows
+        .map(row => `<tr>${row.map(cell => `<td>${inlineToHtml(parseInline(cell))}</td>`).join('')}</tr>`)
+        .join('');
+      return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+    default: return `<p>${inlineToHtml(parseInline(block.text))}</p>`;
+  }
+}).join('\n');
+
+const markdownToHtmlDocument = (source, title) => `<!DOCTYPE html>
+<html lang="en" dir="${textDirection(source)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${markdownToHtml(source)}
+</body>
+</html>
+`;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Builds an uncompressed (stored) zip archive.
+ * `files` is a list of { name, content } where content is a string or Uint8Array.
+ */
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${[32, 28, 24, 22, 22, 22].map((size, i) => `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="475569"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F1F5F9"/><w:spacing w:after="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>
+</w:styles>`;
+
+const docxLevels = (formats) => formats.map(([numFmt, text], level) =>
+  `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${numFmt}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+).join('');
+
+/**
+ * Converts Markdown into a .docx Blob using Word's built-in heading, quote and list styles.
+ */
+const markdownToDocx = (source) => {
+  const links = [];
+  const orderedLists = [];
+  const body = [];
+
+  const addLink = (href) => {
+    links.push(href);
+    return `rIdLink${links.length}`;
+  };
+
+  const run = (text, style) => {
+    const props = [
+      style.code && '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>',
+      style.bold && '<w:b/>',
+      style.italic && '<w:i/>',
+      style.link && '<w:color w:val="4F46E5"/>',
+      style.link && '<w:u w:val="single"/>'
+    ].filter(Boolean).join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+  };
+
+  const runs = (tokens, style = {}) => tokens.map(token => {
+    switch (token.type) {
+      case 'strong': return runs(token.children, { ...style, bold: true });
+      case 'em': return runs(token.children, { ...style, italic: true });
+      case 'code': return run(token.text, { ...style, code: true });
+      case 'link': {
+        const href = safeUrl(token.href);
+        return href
+          ? `<w:hyperlink r:id="${addLink(href)}">${runs(token.children, { ...style, link: true })}</w:hyperlink>`
+          : runs(token.children, style);
+      }
+      default: return run(token.text, style);
+    }
+  }).join('');
+
+  const paragraph = (content, props = '') => `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+
+  const addList = (list, level, numId) => {
+    for (const item of list.items) {
+      body.push(paragraph(
+        runs(parseInline(item.text)),
+        `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`
+      ));
+      if (item.children) {
+        // Nested ordered lists share their parent's numbering instance so levels restart naturally
+        const childNumId = item.children.ordered ? (list.ordered ? numId : newOrderedList(item.children.start)) : 1;
+        addList(item.children, Math.min(level + 1, 2), childNumId);
+      }
+    }
+  };
+
+  const newOrderedList = (start) => {
+    orderedLists.push(start);
+    return orderedLists.length + 1;
+  };
+
+  for (const block of parseMarkdown(source)) {
+    switch (block.type) {
+      case 'heading':
+        body.push(paragraph(runs(parseInline(block.text)), `<w:pStyle w:val="Heading${block.level}"/>`));
+        break;
+      case 'list':
+        addList(block, 0, block.ordered ? newOrderedList(block.start) : 1);
+        break;
+      case 'blockquote':
+        body.push(paragraph(runs(parseInline(block.text)), '<w:pStyle w:val="Quote"/>'));
+        break;
+      case 'code':
+        body.push(paragraph(
+          block.text.split('\n').map((line, i) => `${i ? '<w:r><w:br/></w:r>' : ''}${run(line, {})}`).join(''),
+          '<w:pStyle w:val="Code"/>'
+        ));
+        break;
+      case 'hr':
+        body.push(paragraph('', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="CBD5E1"/></w:pBdr>'));
+        break;
+      case 'table': {
+        const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="CBD5E1"/>`;
+        const cell = (text, bold) => `<w:tc>${paragraph(runs(parseInline(text), { bold }))}</w:tc>`;
+        const rows = [
+          `<w:tr>${block.header.map(text => cell(text, true)).join('')}</w:tr>`,
+          ...block.rows.map(row => `<w:tr>${row.map(text => cell(text, false)).join('')}</w:tr>`)
+        ];
+        body.push(`<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>${rows.join('')}</w:tbl>`);
+        // Word requires a paragraph after a table before the section properties
+        body.push(paragraph(''));
+        break;
+      }
+      default:
+        body.push(paragraph(runs(parseInline(block.text))));
+    }
+  }
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const numbering = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${docxLevels([['bullet', '•'], ['bullet', '◦'], ['bullet', '▪']])}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${docxLevels([['decimal', '%1.'], ['lowerLetter', '%2.'], ['lowerRoman', '%3.']])}</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+${orderedLists.map((start, i) => `<w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`).join('\n')}
+</w:numbering>`;
+
+  const relationships = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+${links.map((href, i) => `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`).join('\n')}
+</Relationships>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+</Types>` },
+    { name: '_rels/.rels', content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>` },
+    { name: 'word/document.xml', content: document },
+    { name: 'word/styles.xml', content: DOCX_STYLES },
+    { name: 'word/numbering.xml', content: numbering },
+    { name: 'word/_rels/document.xml.rels', content: relationships }
+  ]);
+};
+
+/**
+ * TEXT ANALYSIS UTILITIES
+ * Local readability and keyword metrics. Shared by the Word Counter and anything
+ * else that needs to score body text.
+ */
+const STOPWORDS = new Set(`a about above after again against all am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has have having he her here hers
+herself him himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or
+other our ours ourselves out over own same she should so some such than that the their theirs them themselves then there these
+they this those through to too under until up very was we were what when where which while who whom why will with would you
+your yours yourself yourselves also may might must shall us get got let its it's i'm you're we're they're don't can't won't`.split(/\s+/));
+
+const WORDS_PER_MINUTE = 200;
+// Chinese and Japanese are timed by characters; word counts mean little there
+const CHARS_PER_MINUTE = 500;
+const LONG_SENTENCE_WORDS = 25;
+
+// Irregular past participles that the "-ed" rule would miss
+const IRREGULAR_PARTICIPLES = `known written done made given taken seen shown found built chosen driven eaten forgotten held kept
+left lost paid put read said sent set sold spent told thought understood won brought bought caught taught begun broken hidden
+spoken stolen drawn grown thrown born worn torn frozen gone hit hurt cut shut led fed met`.split(/\s+/);
+
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const UNSPACED_CHARS = new RegExp(UNSPACED_SCRIPT.source, 'gu');
+
+// Dictionary-based word breaks for unspaced scripts, where the runtime supports it
+const wordSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+const segmentWords = (token) => [...wordSegmenter.segment(token)]
+  .filter(segment => segment.isWordLike)
+  .map(segment => segment.segment);
+
+const tokenizeWords = (text) => {
+  const tokens = text.match(/[\p{L}\p{N}\p{M}]+(?:['’-][\p{L}\p{N}\p{M}]+)*/gu) || [];
+  if (!wordSegmenter || !UNSPACED_SCRIPT.test(text)) return tokens;
+  return tokens.flatMap(token => (UNSPACED_SCRIPT.test(token) ? segmentWords(token) : token));
+};
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?؟])\s+|(?<=[。！？])|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => tokenizeWords(sentence).length > 0);
+
+const splitParagraphs = (text) => text.trim() === '' ? [] : text.trim().split(/\n\s*\n/);
+
+// Vowel-group heuristic; accurate enough for Flesch scoring of English text
+const countSyllables = (word) => {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const stripped = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (stripped.match(/[aeiouy]{1,2}/g) || []).length);
+};
+
+const readingEaseLabel = (score) => {
+  if (score >= 90) return 'Very Easy';
+  if (score >= 80) return 'Easy';
+  if (score >= 70) return 'Fairly Easy';
+  if (score >= 60) return 'Standard';
+  if (score >= 50) return 'Fairly Difficult';
+  if (score >= 30) return 'Difficult';
+  return 'Very Difficult';
+};
+
+const countNgrams = (sentences, n, totalWords, limit) => {
+  const counts = new Map();
+  for (const sentence of sentences) {
+    const tokens = tokenizeWords(sentence.toLowerCase());
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + n);
+      // Skip grams that start or end on a stopword ("of the", "the best")
+      if (STOPWORDS.has(gram[0]) || STOPWORDS.has(gram[n - 1]) || gram.every(t => /^\d+$/.test(t))) continue;
+      const key = gram.join(' ');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([phrase, count]) => ({ phrase, count, density: totalWords ? (count * n / totalWords) * 100 : 0 }));
+};
+
+const findPhrase = (tokens, phrase) => {
+  const positions = [];
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((t, j) => tokens[i + j] === t)) positions.push(i);
+  }
+  return positions;
+};
+
+const analyzeKeyword = (text, keyword, totalWords, buckets = 10) => {
+  const phrase = tokenizeWords(keyword.toLowerCase());
+  if (!phrase.length) return null;
+
+  const tokens = tokenizeWords(text.toLowerCase());
+  const positions = findPhrase(tokens, phrase);
+  const firstParagraph = tokenizeWords((splitParagraphs(text)[0] || '').toLowerCase());
+  const inFirstParagraph = findPhrase(firstParagraph, phrase);
+
+  const distribution = Array(buckets).fill(0);
+  positions.forEach(pos => {
+    distribution[Math.min(buckets - 1, Math.floor((pos / tokens.length) * buckets))]++;
+  });
+
+  return {
+    count: positions.length,
+    density: totalWords ? (positions.length * phrase.length / totalWords) * 100 : 0,
+    firstPosition: positions.length ? positions[0] + 1 : null,
+    inFirstParagraph: inFirstParagraph.length > 0,
+    firstParagraphPosition: inFirstParagraph.length ? inFirstParagraph[0] + 1 : null,
+    firstParagraphWords: firstParagraph.length,
+    distribution
+  };
+};
+
+/**
+ * Computes counts, readability and keyword metrics for a block of text.
+ * Flesch scores are null when there is nothing to score.
+ */
+const analyzeText = (text, { keyword = '', topN = 10 } = {}) => {
+  const words = tokenizeWords(text);
+  const sentences = splitSentences(text);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordsPerSentence = sentences.length ? words.length / sentences.length : 0;
+  const syllablesPerWord = words.length ? syllables / words.length : 0;
+  // Flesch formulas count Latin syllables, so other scripts get no score
+  const latinWords = words.filter(word => /\p{Script=Latin}/u.test(word)).length;
+  const hasText = words.length > 0 && sentences.length > 0 && latinWords * 2 >= words.length;
+  const unspacedChars = (text.match(UNSPACED_CHARS) || []).length;
+  const spacedWords = words.filter(word => !UNSPACED_SCRIPT.test(word)).length;
+
+  const readingEase = hasText ? 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord : null;
+
+  return {
+    words: words.length,
+    chars: text.length,
+    charsNoSpace: text.replace(/\s/g, '').length,
+    sentences: sentences.length,
+    paragraphs: splitParagraphs(text).length,
+    readMinutes: Math.ceil(spacedWords / WORDS_PER_MINUTE + unspacedChars / CHARS_PER_MINUTE),
+    readBasis: unspacedChars > spacedWords ? 'characters' : 'words',
+    avgSentenceLength: wordsPerSentence,
+    readingEase,
+    readingEaseLabel: readingEase === null ? '' : readingEaseLabel(readingEase),
+    gradeLevel: hasText ? 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59 : null,
+    passiveSentences: sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)),
+    longSentences: sentences.filter(sentence => tokenizeWords(sentence).length > LONG_SENTENCE_WORDS),
+    ngrams: {
+      1: countNgrams(sentences, 1, words.length, topN),
+      2: countNgrams(sentences, 2, words.length, topN),
+      3: countNgrams(sentences, 3, words.length, topN)
+    },
+    keyword: keyword.trim() ? analyzeKeyword(text, keyword, words.length) : null
+  };
+};
+
+/**
+ * KEYWORD CLUSTER UTILITIES
+ * Groups keyword exports by the terms they share. Each keyword is reduced to a set of
+ * singular, stopword-free terms and joins the closest existing cluster; candidates come
+ * from an inverted index so lists of 10k+ keywords stay fast.
+ */
+const CLUSTER_THRESHOLDS = [
+  { value: '0.34', label: 'Loose' },
+  { value: '0.5', label: 'Balanced' },
+  { value: '0.67', label: 'Strict' }
+];
+const CLUSTER_CHUNK_SIZE = 500;
+const SEARCH_INTENTS = ['informational', 'navigational', 'commercial', 'transactional'];
+
+const KEYWORD_COLUMNS = {
+  keyword: /^(keywords?|query|queries|term|search term)$/i,
+  volume: /volume|searches/i,
+  difficulty: /difficulty|^kd\b|competition/i
+};
+
+// Light plural folding, enough to merge "shoe"/"shoes" and "city"/"cities" without a full stemmer
+const singularize = (word) => {
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+const keywordTerms = (keyword) => {
+  const words = tokenizeWords(keyword.toLowerCase());
+  const meaningful = words.filter(word => !STOPWORDS.has(word));
+  return [...new Set((meaningful.length ? meaningful : words).map(singularize))].sort();
+};
+
+const parseMetric = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/[,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads a pasted keyword list or a CSV/TSV export. Columns are found by header name;
+ * without a header the columns are keyword, volume, difficulty. Keywords that normalize
+ * to the same terms are merged into the highest-volume spelling, the rest kept as variants.
+ */
+const parseKeywordList = (text) => {
+  const rows = parseCsv(text).filter(row => row.some(cell => cell.trim()));
+  if (!rows.length) return [];
+  const header = rows[0].map(cell => cell.trim());
+  const findColumn = (pattern) => header.findIndex(cell => pattern.test(cell));
+  const hasHeader = Object.values(KEYWORD_COLUMNS).some(pattern => findColumn(pattern) !== -1);
+  const columns = hasHeader
+    ? { keyword: Math.max(0, findColumn(KEYWORD_COLUMNS.keyword)), volume: findColumn(KEYWORD_COLUMNS.volume), difficulty: findColumn(KEYWORD_COLUMNS.difficulty) }
+    : { keyword: 0, volume: 1, difficulty: 2 };
+
+  const merged = new Map();
+  (hasHeader ? rows.slice(1) : rows).forEach(row => {
+    const keyword = (row[columns.keyword] || '').trim().replace(/\s+/g, ' ');
+    const terms = keywordTerms(keyword);
+    if (!terms.length) return;
+    const item = {
+      keyword,
+      terms,
+      volume: parseMetric(row[columns.volume]),
+      difficulty: parseMetric(row[columns.difficulty]),
+      variants: []
+    };
+    const key = terms.join(' ');
+    const existing = merged.get(key);
+    const seen = existing && [existing.keyword, ...existing.variants].some(known => known.toLowerCase() === keyword.toLowerCase());
+    if (seen) return;
+    if (!existing) {
+      merged.set(key, item);
+    } else if ((item.volume ?? -1) > (existing.volume ?? -1)) {
+      merged.set(key, { ...item, variants: [...existing.variants, existing.keyword] });
+    } else {
+      existing.variants.push(keyword);
+    }
+  });
+  return [...merged.values()];
+};
+
+const summarizeCluster = (members, idx) => {
+  const volumes = members.map(member => member.volume).filter(value => value !== null);
+  const difficulties = members.map(member => member.difficulty).filter(value => value !== null);
+  return {
+    id: String(idx + 1),
+    label: members[0].keyword,
+    pillar: members[0].keyword,
+    intent: '',
+    volume: volumes.length ? volumes.reduce((sum, value) => sum + value, 0) : null,
+    difficulty: difficulties.length ? difficulties.reduce((sum, value) => sum + value, 0) / difficulties.length : null,
+    members
+  };
+};
+
+/**
+ * Leader clustering by Jaccard similarity of keyword terms. Keywords are visited by
+ * volume (then by length), so the first member of each cluster is its pillar keyword.
+ * Work is split into chunks that yield to the browser and honour `signal`.
+ */
+const clusterKeywords = async (items, { threshold = 0.5, signal, onProgress } = {}) => {
+  const sorted = [...items].sort((a, b) => (b.volume ?? -1) - (a.volume ?? -1) || a.terms.length - b.terms.length);
+  const clusters = [];
+  const index = new Map();
+
+  for (let start = 0; start < sorted.length; start += CLUSTER_CHUNK_SIZE) {
+    sorted.slice(start, start + CLUSTER_CHUNK_SIZE).forEach(item => {
+      const shared = new Map();
+      item.terms.forEach(term => {
+        (index.get(term) || []).forEach(id => shared.set(id, (shared.get(id) || 0) + 1));
+      });
+      let best = -1;
+      let bestScore = 0;
+      shared.forEach((count, id) => {
+        const score = count / (item.terms.length + clusters[id].terms.length - count);
+        if (score > bestScore) {
+          best = id;
+          bestScore = score;
+        }
+      });
+      if (best !== -1 && bestScore >= threshold) {
+        clusters[best].members.push(item);
+        return;
+      }
+      item.terms.forEach(term => {
+        if (!index.has(term)) index.set(term, []);
+        index.get(term).push(clusters.length);
+      });
+      clusters.push({ terms: item.terms, members: [item] });
+    });
+    onProgress?.(Math.min(1, (start + CLUSTER_CHUNK_SIZE) / sorted.length));
+    await wait(0, signal);
+  }
+
+  return clusters.map((cluster, idx) => summarizeCluster(cluster.members, idx));
+};
+
+/**
+ * URL UTILITIES
+ * A raw URL parser that keeps the original spelling of every part, so canonicalization
+ * rules only change what they are asked to change (the WHATWG URL class would silently
+ * lowercase hosts, drop default ports and re-encode queries).
+ */
+const URL_PATTERN = /^([a-z][a-z0-9+.-]*):\/\/(?:([^@/?#]*)@)?(\[[^\]]+\]|[^:/?#]*)(?::(\d*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/i;
+const DEFAULT_PORTS = { http: '80', https: '443' };
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+};
+
+// Returns null for anything that is not an absolute http(s) URL
+const parseUrl = (input) => {
+  const match = input.trim().match(URL_PATTERN);
+  if (!match || !/^https?$/i.test(match[1])) return null;
+  try {
+    new URL(input.trim());
+  } catch (e) {
+    return null;
+  }
+
+  const [, scheme, userinfo, host, port, path, query, fragment] = match;
+  return {
+    scheme,
+    userinfo: userinfo ?? null,
+    host,
+    port: port || null,
+    path,
+    params: query ? query.split('&').filter(Boolean).map(raw => ({ raw, name: decodeParam(raw.split('=')[0]) })) : [],
+    hasQuery: query !== undefined,
+    fragment: fragment ?? null
+  };
+};
+
+const formatUrl = (parts) => {
+  const auth = parts.userinfo !== null ? `${parts.userinfo}@` : '';
+  const port = parts.port ? `:${parts.port}` : '';
+  const query = parts.params.length ? `?${parts.params.map(p => p.raw).join('&')}` : '';
+  const fragment = parts.fragment !== null ? `#${parts.fragment}` : '';
+  return `${parts.scheme}://${auth}${parts.host}${port}${parts.path || '/'}${query}${fragment}`;
+};
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+
+const parsePatternList = (text) => text.split(/[\n,]/).map(p => p.trim()).filter(Boolean);
+
+const DEFAULT_URL_RULES = {
+  mode: 'remove',
+  removeParams: ['utm_*', 'fbclid', 'gclid', 'ref', '_ga'],
+  allowParams: ['id', 'page', 'q'],
+  lowercaseHost: true,
+  stripWww: false,
+  stripFragment: false,
+  trailingSlash: 'keep',
+  forceHttps: false,
+  sortParams: false,
+  removeDefaultPort: true,
+  dedupe: true
+};
+
+/**
+ * Applies canonicalization rules to one URL.
+ * Returns { url, changes } with a human-readable entry for every rule that fired,
+ * or null when the input is not a valid http(s) URL.
+ */
+const canonicalizeUrl = (input, rules = DEFAULT_URL_RULES) => {
+  const parts = parseUrl(input);
+  if (!parts) return null;
+  const changes = [];
+
+  if (rules.forceHttps && parts.scheme.toLowerCase() === 'http') {
+    parts.scheme = 'https';
+    if (parts.port === DEFAULT_PORTS.http) parts.port = null;
+    changes.push('Forced https');
+  }
+  if (parts.scheme !== parts.scheme.toLowerCase()) parts.scheme = parts.scheme.toLowerCase();
+
+  if (rules.lowercaseHost && parts.host !== parts.host.toLowerCase()) {
+    parts.host = parts.host.toLowerCase();
+    changes.push('Lowercased host');
+  }
+  if (rules.stripWww && /^www\./i.test(parts.host)) {
+    parts.host = parts.host.slice(4);
+    changes.push('Stripped www.');
+  }
+  if (rules.removeDefaultPort && parts.port && parts.port === DEFAULT_PORTS[parts.scheme]) {
+    parts.port = null;
+    changes.push(`Removed default port :${DEFAULT_PORTS[parts.scheme]}`);
+  }
+
+  const lastSegment = parts.path.split('/').pop();
+  if (rules.trailingSlash === 'add' && parts.path && !parts.path.endsWith('/') && !lastSegment.includes('.')) {
+    parts.path += '/';
+    changes.push('Added trailing slash');
+  } else if (rules.trailingSlash === 'remove' && parts.path.length > 1 && parts.path.endsWith('/')) {
+    parts.path = parts.path.replace(/\/+$/, '') || '/';
+    changes.push('Removed trailing slash');
+  }
+
+  const patterns = (rules.mode === 'allow' ? rules.allowParams : rules.removeParams).map(globToRegExp);
+  const matches = (param) => patterns.some(re => re.test(param.name));
+  const kept = parts.params.filter(param => (rules.mode === 'allow' ? matches(param) : !matches(param)));
+  if (kept.length !== parts.params.length) {
+    const dropped = [...new Set(parts.params.filter(p => !kept.includes(p)).map(p => p.name))];
+    changes.push(`Removed params: ${dropped.join(', ')}`);
+    parts.params = kept;
+  }
+
+  if (rules.sortParams && parts.params.length > 1) {
+    const sorted = [...parts.params].sort((a, b) => a.name.localeCompare(b.name));
+    if (sorted.some((p, i) => p !== parts.params[i])) {
+      parts.params = sorted;
+      changes.push('Sorted query params');
+    }
+  }
+
+  if (rules.stripFragment && parts.fragment !== null) {
+    parts.fragment = null;
+    changes.push('Removed fragment');
+  }
+
+  return { url: formatUrl(parts), changes };
+};
+
+/**
+ * REDIRECT UTILITIES
+ * Matching, validation and server-rule output for site migrations. URLs go through the
+ * same parser and saved canonicalization rules as the URL Cleaner, so `/Page/?utm_x=1`
+ * and `/page` compare equal when the rules say they should.
+ */
+const RELATIVE_HOST = 'relative.invalid';
+const MATCH_THRESHOLD = 0.35;
+
+// Accepts absolute URLs or root-relative paths; fragments never reach the server so they are dropped
+const parseRedirectUrl = (raw, rules) => {
+  const trimmed = raw.trim();
+  const relative = trimmed.startsWith('/');
+  const result = canonicalizeUrl(relative ? `https://${RELATIVE_HOST}${trimmed}` : trimmed, rules);
+  if (!result) return null;
+
+  const parts = parseUrl(result.url);
+  const query = parts.params.map(p => p.raw).join('&');
+  const pathQuery = `${parts.path || '/'}${query ? `?${query}` : ''}`;
+  return {
+    raw: trimmed,
+    host: relative ? '' : parts.host,
+    path: parts.path || '/',
+    query,
+    pathQuery,
+    url: relative ? pathQuery : formatUrl({ ...parts, fragment: null })
+  };
+};
+
+const pathSegments = (path) => path.toLowerCase().split('/').filter(Boolean);
+
+const slugOf = (path) => (pathSegments(path).pop() || '').replace(/\.[a-z0-9]+$/, '');
+
+const bigramSet = (text) => {
+  const grams = new Set();
+  for (let i = 0; i < text.length - 1; i++) grams.add(text.slice(i, i + 2));
+  return grams;
+};
+
+const dice = (a, b) => {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  a.forEach(gram => { if (b.has(gram)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+};
+
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (!setA.size && !setB.size) return 1;
+  let shared = 0;
+  setA.forEach(item => { if (setB.has(item)) shared++; });
+  return shared / (setA.size + setB.size - shared);
+};
+
+const matchProfile = (parsed) => {
+  const segments = pathSegments(parsed.path);
+  const slug = slugOf(parsed.path);
+  return {
+    parsed,
+    segments,
+    parents: segments.slice(0, -1),
+    slugGrams: bigramSet(slug.replace(/[-_.]+/g, '')),
+    slugTokens: slug.split(/[-_.]+/).filter(Boolean)
+  };
+};
+
+/**
+ * Scores how likely `target` is the new home of `source` (0–1).
+ * Slug similarity dominates; shared parent folders and equal depth break ties.
+ */
+const redirectMatchScore = (source, target) => {
+  if (source.parsed.path.toLowerCase() === target.parsed.path.toLowerCase()) return 1;
+  const depth = Math.max(source.segments.length, target.segments.length) || 1;
+  return 0.5 * dice(source.slugGrams, target.slugGrams)
+    + 0.2 * jaccard(source.slugTokens, target.slugTokens)
+    + 0.2 * jaccard(source.parents, target.parents)
+    + 0.1 * (1 - Math.abs(source.segments.length - target.segments.length) / depth);
+};
+
+const autoMatchRedirects = (oldUrls, newUrls, rules) => {
+  const targets = newUrls
+    .map(raw => parseRedirectUrl(raw, rules))
+    .filter(Boolean)
+    .map(matchProfile);
+
+  return oldUrls.map(raw => {
+    const parsed = parseRedirectUrl(raw, rules);
+    if (!parsed) return { id: createId(), source: raw, target: '', score: 0 };
+    const source = matchProfile(parsed);
+
+    let best = null;
+    let bestScore = 0;
+    for (const target of targets) {
+      const score = redirectMatchScore(source, target);
+      if (score > bestScore) {
+        best = target;
+        bestScore = score;
+      }
+    }
+    return bestScore >= MATCH_THRESHOLD
+      ? { id: createId(), source: raw, target: best.parsed.raw, score: bestScore }
+      : { id: createId(), source: raw, target: '', score: bestScore };
+  });
+};
+
+// A host-less (relative) side matches the same path on any host
+const sameLocation = (a, b) => a.pathQuery === b.pathQuery && (!a.host || !b.host || a.host === b.host);
+
+/**
+ * Flags invalid URLs, self-redirects, duplicate sources, chains and loops.
+ * Returns rows decorated with { issues, finalTarget } plus the parsed source and target.
+ */
+const analyzeRedirects = (rows, rules) => {
+  const parsedRows = rows.map(row => ({
+    ...row,
+    from: parseRedirectUrl(row.source, rules),
+    to: row.target ? parseRedirectUrl(row.target, rules) : null
+  }));
+
+  const findRule = (location) => parsedRows.find(r => r.from && r.to && sameLocation(r.from, location));
+
+  return parsedRows.map((row, idx) => {
+    const issues = [];
+    let finalTarget = null;
+
+    if (!row.from) issues.push({ type: 'invalid', label: 'Invalid source URL' });
+    if (row.target && !row.to) issues.push({ type: 'invalid', label: 'Invalid target URL' });
+    if (!row.target) issues.push({ type: 'unmatched', label: 'No target' });
+
+    if (row.from && parsedRows.some((other, j) => j !== idx && other.from && sameLocation(other.from, row.from))) {
+      issues.push({ type: 'duplicate', label: 'Duplicate source' });
+    }
+
+    if (row.from && row.to) {
+      if (sameLocation(row.from, row.to)) {
+        issues.push({ type: 'loop', label: 'Redirects to itself' });
+      } else {
+        // Follow the chain until it leaves the map or revisits a URL
+        const visited = [row.from];
+        let current = row.to;
+        let hops = 0;
+        let next = findRule(current);
+        while (next) {
+          if (visited.some(v => sameLocation(v, current))) break;
+          visited.push(current);
+          current = next.to;
+          hops++;
+          next = findRule(current);
+        }
+        if (visited.some(v => sameLocation(v, current))) {
+          issues.push({ type: 'loop', label: 'Redirect loop' });
+        } else if (hops > 0) {
+          finalTarget = current.raw;
+          issues.push({ type: 'chain', label: `Chain of ${hops + 1} hops` });
+        }
+      }
+    }
+
+    return { ...row, issues, finalTarget };
+  });
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Servers see both /page and /page/, so source patterns accept either
+const optionalSlashPattern = (path) => {
+  const trimmed = path.replace(/\/+$/, '');
+  return trimmed ? `${escapeRegex(trimmed)}/?` : escapeRegex(path);
+};
+
+// Same-host targets are written as paths; cross-domain targets keep the full URL
+const redirectTarget = (row) =>
+  row.to.host && row.to.host !== row.from.host ? row.to.url : row.to.pathQuery;
+
+const REDIRECT_FORMATS = {
+  htaccess: {
+    label: 'Apache .htaccess',
+    filename: '.htaccess',
+    build: (rows) => {
+      const hosts = new Set(rows.map(r => r.from.host).filter(Boolean));
+      const lines = ['RewriteEngine On', ''];
+      rows.forEach(row => {
+        lines.push(`# ${row.from.pathQuery} -> ${redirectTarget(row)}`);
+        if (hosts.size > 1 && row.from.host) lines.push(`RewriteCond %{HTTP_HOST} ^${escapeRegex(row.from.host)}$ [NC]`);
+        if (row.from.query) lines.push(`RewriteCond %{QUERY_STRING} ^${escapeRegex(row.from.query)}$`);
+        lines.push(`RewriteRule ^${optionalSlashPattern(row.from.path.replace(/^\//, ''))}$ ${redirectTarget(row)} [R=301,L${row.from.query ? ',QSD' : ''}]`);
+      });
+      return lines.join('\n');
+    }
+  },
+  nginx: {
+    label: 'nginx map',
+    filename: 'redirects.conf',
+    build: (rows) => [
+      '# Place the map in the http {} block and the if () in your server {} block',
+      'map $request_uri $redirect_target {',
+      '    default "";',
+      // Sources without a query match any query string; sources with one match exactly
+      ...rows.map(row => (row.from.query
+        ? `    "${row.from.pathQuery}" "${redirectTarget(row)}";`
+        : `    "~^${optionalSlashPattern(row.from.path)}(?:\\?.*)?$" "${redirectTarget(row)}";`)),
+      '}',
+      '',
+      'if ($redirect_target) {',
+      '    return 301 $redirect_target;',
+      '}'
+    ].join('\n')
+  },
+  netlify: {
+    label: 'Netlify _redirects',
+    filename: '_redirects',
+    build: (rows) => rows.map(row => {
+      const query = row.from.query ? ` ${row.from.query.split('&').join(' ')}` : '';
+      return `${row.from.path}${query}  ${redirectTarget(row)}  301`;
+    }).join('\n')
+  },
+  csv: {
+    label: 'CSV',
+    filename: 'redirects.csv',
+    build: (rows) => toCsv([
+      ['Source', 'Target', 'Status'],
+      ...rows.map(row => [row.from.url, row.to.url, 301])
+    ])
+  }
+};
+
+/**
+ * INTERNAL LINK UTILITIES
+ * Builds a page inventory from sitemaps or URL lists and finds phrases in an article that
+ * match a page's title or slug. Matching is local; the optional AI step only re-orders it.
+ * Pages are compared through parseRedirectUrl, so the saved URL rules decide what counts
+ * as the same page.
+ */
+const LINK_LIMITS = ['5', '10', '15', '25'];
+const MAX_ANCHOR_WORDS = 5;
+// Share of a title's or slug's terms an anchor must cover
+const LINK_MATCH_THRESHOLD = 0.5;
+const LINK_CANDIDATES_PER_PAGE = 3;
+const LINK_CONTEXT_CHARS = 220;
+const RERANK_CANDIDATES = 40;
+// AI scores run 0-10; below this a suggestion is dropped
+const RERANK_MIN_SCORE = 4;
+const SITEMAP_FETCH_LIMIT = 50;
+
+const linkInventoryStore = createPersistentStore('seoStudio.linkInventory', { pages: [] });
+
+// <loc> of each <url> and child <sitemap>; image and video locations are ignored
+const parseSitemapXml = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('The sitemap is not valid XML.');
+  const locsOf = (tag) => [...doc.getElementsByTagNameNS('*', tag)]
+    .map(node => [...node.children].find(child => child.localName === 'loc')?.textContent.trim())
+    .filter(Boolean);
+  return { pages: locsOf('url').map(url => ({ url, title: '' })), sitemaps: locsOf('sitemap') };
+};
+
+/**
+ * Reads a sitemap, sitemap index or URL list. List lines hold a URL or path, optionally
+ * followed by a comma or tab and the page title; lines without a URL (headers) are skipped.
+ */
+const parseLinkInventory = (text, rules) => {
+  if (text.trim().startsWith('<')) return parseSitemapXml(text);
+  const pages = parseCsv(text)
+    .filter(([url]) => parseRedirectUrl(url, rules))
+    .map(([url, ...title]) => ({ url, title: title.join(', ').trim() }));
+  return { pages, sitemaps: [] };
+};
+
+// Later copies of a page only fill in a missing title. Pages are bucketed by path so large
+// inventories do not compare every pair.
+const mergeLinkPages = (pages, additions, rules) => {
+  const merged = [];
+  const byPath = new Map();
+  [...pages, ...additions].forEach(page => {
+    const parsed = parseRedirectUrl(page.url, rules);
+    if (!parsed) return;
+    const bucket = byPath.get(parsed.pathQuery) || [];
+    const match = bucket.find(entry => sameLocation(entry.parsed, parsed));
+    if (match) {
+      if (!merged[match.idx].title && page.title) merged[match.idx] = { ...merged[match.idx], title: page.title };
+      return;
+    }
+    byPath.set(parsed.pathQuery, [...bucket, { parsed, idx: merged.length }]);
+    merged.push(page);
+  });
+  return merged;
+};
+
+// "Trail Running Shoes | RunLab" -> "Trail Running Shoes"
+const stripTitleSuffix = (title) => title.split(/\s+[|–—·-]\s+/)[0];
+
+const linkPhrases = (page, parsed) => [
+  { source: 'title', terms: keywordTerms(stripTitleSuffix(page.title)) },
+  { source: 'slug', terms: keywordTerms(slugOf(parsed.path).replace(/[-_.]+/g, ' ')) }
+].filter(phrase => phrase.terms.length);
+
+// Markdown link targets already in the article
+const existingLinkTargets = (text) => [...text.matchAll(/\]\(\s*<?([^)\s>]+)/g)].map(match => match[1]);
+
+// Spans of the article that must never gain a link: code, links, images, HTML and bare URLs
+const LINK_MASK = /`[^`\n]*`|!?\[[^\]\n]*\]\([^)\n]*\)|\[[^\]\n]*\]|<[^>\n]+>|https?:\/\/\S+/g;
+
+// Prose words with their offsets; headings and fenced code are skipped
+const linkableWords = (text) => {
+  const words = [];
+  let offset = 0;
+  let fenced = false;
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      fenced = !fenced;
+    } else if (!fenced && !/^\s*#/.test(line)) {
+      const masked = line.replace(LINK_MASK, match => ' '.repeat(match.length));
+      for (const match of masked.matchAll(/[\p{L}\p{N}\p{M}]+(?:['’-][\p{L}\p{N}\p{M}]+)*/gu)) {
+        const start = offset + match.index;
+        words.push({ word: match[0].toLowerCase(), start, end: start + match[0].length });
+      }
+    }
+    offset += line.length + 1;
+  }
+  return words;
+};
+
+// The sentence around an anchor, split into the text before and after it
+const sentenceAround = (text, start, end) => {
+  const from = Math.max(text.slice(0, start).search(/[^.!?\n]*$/), start - LINK_CONTEXT_CHARS / 2);
+  const after = text.slice(end).search(/[.!?\n]/);
+  const to = Math.min(after === -1 ? text.length : end + after + 1, end + LINK_CONTEXT_CHARS / 2);
+  return { before: text.slice(from, start).trimStart(), after: text.slice(end, to).trimEnd() };
+};
+
+/**
+ * Finds candidate links: runs of up to MAX_ANCHOR_WORDS words, starting and ending on a
+ * non-stopword, whose terms all belong to one of a page's phrases and cover at least
+ * LINK_MATCH_THRESHOLD of it. Single words only match single-term phrases. The article's
+ * own page and pages it already links to are left out. Each page keeps its best few spans.
+ */
+const findLinkCandidates = (text, pages, { pageUrl = '', rules }) => {
+  const self = pageUrl.trim() ? parseRedirectUrl(pageUrl, rules) : null;
+  const linked = existingLinkTargets(text).map(url => parseRedirectUrl(url, rules)).filter(Boolean);
+  const skipped = { self: 0, existing: 0 };
+
+  const targets = [];
+  pages.forEach(page => {
+    const parsed = parseRedirectUrl(page.url, rules);
+    if (!parsed) return;
+    if (self && sameLocation(self, parsed)) {
+      skipped.self++;
+      return;
+    }
+    if (linked.some(url => sameLocation(url, parsed))) {
+      skipped.existing++;
+      return;
+    }
+    const phrases = linkPhrases(page, parsed);
+    if (phrases.length) targets.push({ ...page, phrases });
+  });
+
+  const byTerm = new Map();
+  targets.forEach((target, idx) => target.phrases.forEach(phrase => phrase.terms.forEach(term => {
+    if (!byTerm.has(term)) byTerm.set(term, new Set());
+    byTerm.get(term).add(idx);
+  })));
+
+  const words = linkableWords(text);
+  const found = new Map();
+  for (let i = 0; i < words.length; i++) {
+    if (STOPWORDS.has(words[i].word)) continue;
+    for (let n = 1; n <= MAX_ANCHOR_WORDS && i + n <= words.length; n++) {
+      const last = words[i + n - 1];
+      // Only plain spaces may separate anchor words, so anchors never cross punctuation, formatting or masked spans
+      if (n > 1 && !/^[ \t]+$/.test(text.slice(words[i + n - 2].end, last.start))) break;
+      if (STOPWORDS.has(last.word)) continue;
+
+      const terms = keywordTerms(words.slice(i, i + n).map(w => w.word).join(' '));
+      const postings = byTerm.get(terms[0]);
+      if (!postings) continue;
+
+      postings.forEach(idx => {
+        let score = 0;
+        targets[idx].phrases.forEach(phrase => {
+          if ((terms.length > 1 || phrase.terms.length === 1) && terms.every(term => phrase.terms.includes(term))) {
+            score = Math.max(score, terms.length / phrase.terms.length);
+          }
+        });
+        if (score < LINK_MATCH_THRESHOLD) return;
+        const candidate = { target: targets[idx], start: words[i].start, end: last.end, score };
+        found.set(idx, [...(found.get(idx) || []), candidate]);
+      });
+    }
+  }
+
+  const candidates = [...found.values()].flatMap(list => list
+    .sort((a, b) => b.score - a.score || (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .slice(0, LINK_CANDIDATES_PER_PAGE))
+    .map((candidate, idx) => ({
+      id: String(idx + 1),
+      url: candidate.target.url,
+      title: candidate.target.title,
+      anchor: text.slice(candidate.start, candidate.end),
+      start: candidate.start,
+      end: candidate.end,
+      score: candidate.score,
+      context: sentenceAround(text, candidate.start, candidate.end)
+    }));
+
+  return { candidates, skipped, pages: targets.length };
+};
+
+const rankLocally = (a, b) => b.score - a.score || a.start - b.start;
+
+// Candidates the model scored come first, in its order; ones it skipped keep their local order after them
+const rankWithAi = (aiScores) => (a, b) => (aiScores[b.id] ?? -1) - (aiScores[a.id] ?? -1) || rankLocally(a, b);
+
+/**
+ * Picks up to `maxLinks` suggestions in rank order: one link per target, no overlapping
+ * anchors and no anchor text used twice. Candidates the model scored below
+ * RERANK_MIN_SCORE are dropped. Returned in article order.
+ */
+const selectLinks = (candidates, { maxLinks, aiScores = null }) => {
+  const pool = aiScores
+    ? candidates.filter(candidate => (aiScores[candidate.id] ?? RERANK_MIN_SCORE) >= RERANK_MIN_SCORE).sort(rankWithAi(aiScores))
+    : [...candidates].sort(rankLocally);
+  const chosen = [];
+  for (const candidate of pool) {
+    if (chosen.length >= maxLinks) break;
+    if (chosen.some(other => other.url === candidate.url
+      || other.anchor.toLowerCase() === candidate.anchor.toLowerCase()
+      || (candidate.start < other.end && other.start < candidate.end))) continue;
+    chosen.push(candidate);
+  }
+  return chosen.sort((a, b) => a.start - b.start);
+};
+
+const markdownUrl = (url) => url.replace(/[ ()]/g, ch => ({ ' ': '%20', '(': '%28', ')': '%29' })[ch]);
+
+// Inserts [anchor](url) for each suggestion, working from the end so offsets stay valid
+const applyInternalLinks = (text, suggestions) => [...suggestions]
+  .sort((a, b) => b.start - a.start)
+  .reduce((result, link) => `${result.slice(0, link.start)}[${result.slice(link.start, link.end)}](${markdownUrl(link.url)})${result.slice(link.end)}`, text);
+
+/**
+ * SITEMAP UTILITIES
+ * sitemap.xml generation from a URL list, and robots.txt parsing and testing. URLs go
+ * through canonicalizeUrl with the saved URL rules, as in the URL Cleaner. Robots matching
+ * follows Google's documented behaviour: the most specific user-agent group applies, the
+ * longest matching rule wins, and Allow wins a tie.
+ */
+const MAX_SITEMAP_URLS = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_SITEMAP_URL_LENGTH = 2048;
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+const SITEMAP_COLUMNS = {
+  url: /^(url|loc|location|address|page)$/i,
+  lastmod: /^(lastmod|last modified|modified|updated)$/i,
+  changefreq: /^(changefreq|change frequency|frequency)$/i,
+  priority: /^priority$/i
+};
+// W3C Datetime: a date, optionally with a time and zone
+const W3C_DATETIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+const ROBOTS_AGENTS = ['Googlebot', 'Googlebot-Image', 'Googlebot-News', 'Googlebot-Video', 'Bingbot', 'DuckDuckBot', '*'];
+
+const SITEMAP_HEAD = '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">';
+const SITEMAP_INDEX_HEAD = '<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">';
+
+/**
+ * Reads a URL list or CSV into sitemap entries. Columns are found by header name; without
+ * a header they are url, lastmod, changefreq, priority. Any other header that is a language
+ * code (en, de-AT, x-default) holds the row's alternate URL for that language. Paths are
+ * resolved against `siteUrl`. Rows that cannot be used are reported in `issues`; invalid
+ * optional fields are dropped with a warning.
+ */
+const parseSitemapList = (text, { siteUrl = '', rules, defaults = {} }) => {
+  const rows = parseCsv(text);
+  const issues = [];
+  if (!rows.length) return { entries: [], issues };
+
+  const header = rows[0];
+  const findColumn = (pattern) => header.findIndex(cell => pattern.test(cell));
+  const hasHeader = Object.values(SITEMAP_COLUMNS).some(pattern => findColumn(pattern) !== -1);
+  const columns = hasHeader
+    ? Object.fromEntries(Object.entries(SITEMAP_COLUMNS).map(([key, pattern]) => [key, findColumn(pattern)]))
+    : { url: 0, lastmod: 1, changefreq: 2, priority: 3 };
+  if (columns.url === -1) columns.url = 0;
+  const languages = hasHeader
+    ? header
+      .map((cell, idx) => ({ hreflang: cell, idx }))
+      .filter(({ hreflang, idx }) => !Object.values(columns).includes(idx) && HREFLANG_PATTERN.test(hreflang))
+    : [];
+
+  const base = siteUrl.trim().replace(/\/+$/, '');
+  const resolve = (raw = '') => {
+    const value = raw.trim();
+    if (!value) return null;
+    return canonicalizeUrl(value.startsWith('/') && base ? `${base}${value}` : value, rules)?.url || null;
+  };
+
+  const entries = [];
+  const seen = new Set();
+  let host = null;
+  (hasHeader ? rows.slice(1) : rows).forEach((row, idx) => {
+    const line = idx + (hasHeader ? 2 : 1);
+    const raw = row[columns.url] || '';
+    const url = resolve(raw);
+    const issue = (message, severity = 'warning') => issues.push({ line, url: url || raw, message, severity });
+
+    const rejection = !url
+      ? (raw.trim().startsWith('/') && !base ? 'Paths need a Site URL to resolve against.' : 'Invalid URL.')
+      : seen.has(url) ? 'Duplicate URL.'
+      : /\s/.test(url) ? 'Contains spaces; percent-encode them as %20.'
+      : url.length > MAX_SITEMAP_URL_LENGTH ? `Longer than ${MAX_SITEMAP_URL_LENGTH} characters.`
+      : null;
+    if (rejection) {
+      issue(rejection, 'error');
+      return;
+    }
+    seen.add(url);
+    const urlHost = parseUrl(url).host;
+    host = host ?? urlHost;
+    if (urlHost !== host) issue(`Host differs from ${host}; a sitemap should only list URLs from its own site.`);
+
+    const field = (key, valid, label) => {
+      const value = (columns[key] > -1 ? row[columns[key]] || '' : '').trim();
+      if (!value) return defaults[key] || '';
+      if (valid(value)) return value;
+      issue(`Ignored invalid ${label} "${value}".`);
+      return defaults[key] || '';
+    };
+
+    const alternates = [];
+    languages.forEach(({ hreflang, idx: column }) => {
+      const value = (row[column] || '').trim();
+      if (!value) return;
+      const alternate = resolve(value);
+      if (alternate) alternates.push({ hreflang, url: alternate });
+      else issue(`Ignored invalid ${hreflang} alternate "${value}".`);
+    });
+    if (alternates.length && !alternates.some(alternate => alternate.url === url)) {
+      issue('The hreflang alternates should include this URL itself.');
+    }
+
+    entries.push({
+      line,
+      url,
+      lastmod: field('lastmod', value => W3C_DATETIME.test(value) && isIsoDate(value.slice(0, 10)), 'lastmod'),
+      changefreq: field('changefreq', value => CHANGEFREQS.includes(value.toLowerCase()), 'changefreq').toLowerCase(),
+      priority: field('priority', value => /^(0(\.\d)?|1(\.0)?)$/.test(value), 'priority'),
+      alternates
+    });
+  });
+
+  // Every alternate needs its own <url> entry listing the same set, or Google ignores the annotations
+  entries.slice().forEach(entry => entry.alternates.forEach(alternate => {
+    if (seen.has(alternate.url)) return;
+    seen.add(alternate.url);
+    entries.push({ ...entry, url: alternate.url, added: true });
+  }));
+
+  return { entries, issues };
+};
+
+const sitemapUrlXml = (entry) => [
+  '  <url>',
+  `    <loc>${escapeXml(entry.url)}</loc>`,
+  entry.lastmod && `    <lastmod>${entry.lastmod}</lastmod>`,
+  entry.changefreq && `    <changefreq>${entry.changefreq}</changefreq>`,
+  entry.priority && `    <priority>${entry.priority}</priority>`,
+  ...entry.alternates.map(alternate => `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.url)}"/>`),
+  '  </url>'
+].filter(Boolean).join('\n');
+
+const renderSitemap = (items) => `${SITEMAP_HEAD}\n${items.join('\n')}\n</urlset>\n`;
+
+/**
+ * Writes entries into sitemap.xml, or into numbered sitemaps plus a sitemap index once
+ * they pass `maxUrls` URLs or `maxBytes` uncompressed bytes. `location` is the folder
+ * URL the files will be served from; the index points there.
+ */
+const buildSitemaps = (entries, { location, maxUrls = MAX_SITEMAP_URLS, maxBytes = MAX_SITEMAP_BYTES }) => {
+  const encoder = new TextEncoder();
+  const overhead = encoder.encode(renderSitemap([])).length;
+  const chunks = [];
+  let current = null;
+  entries.forEach(entry => {
+    const xml = sitemapUrlXml(entry);
+    const size = encoder.encode(xml).length + 1;
+    if (!current || current.items.length >= maxUrls || current.bytes + size > maxBytes) {
+      current = { items: [], entries: [], bytes: overhead };
+      chunks.push(current);
+    }
+    current.items.push(xml);
+    current.entries.push(entry);
+    current.bytes += size;
+  });
+
+  if (chunks.length <= 1) {
+    return { files: [{ name: 'sitemap.xml', content: renderSitemap(chunks[0]?.items || []), urls: entries.length }], index: null };
+  }
+
+  const folder = location.replace(/\/+$/, '');
+  const files = chunks.map((chunk, idx) => ({
+    name: `sitemap-${idx + 1}.xml`,
+    content: renderSitemap(chunk.items),
+    urls: chunk.items.length,
+    // Latest lastmod in the file; W3C dates compare correctly as text
+    lastmod: chunk.entries.map(entry => entry.lastmod).filter(Boolean).sort().pop() || ''
+  }));
+  const index = {
+    name: 'sitemap_index.xml',
+    content: [
+      SITEMAP_INDEX_HEAD,
+      ...files.map(file => [
+        '  <sitemap>',
+        `    <loc>${escapeXml(`${folder}/${file.name}`)}</loc>`,
+        file.lastmod && `    <lastmod>${file.lastmod}</lastmod>`,
+        '  </sitemap>'
+      ].filter(Boolean).join('\n')),
+      '</sitemapindex>'
+    ].join('\n') + '\n'
+  };
+  return { files, index };
+};
+
+/**
+ * Splits robots.txt into user-agent groups. Consecutive User-agent lines share a group;
+ * an empty Disallow allows everything and is dropped. Sitemap lines are collected and
+ * anything Google ignores is reported.
+ */
+const parseRobotsTxt = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  const issues = [];
+  let group = null;
+  let collectingAgents = false;
+
+  text.split(/\r\n|\r|\n/).forEach((raw, idx) => {
+    const line = idx + 1;
+    const content = raw.replace(/#.*$/, '').trim();
+    if (!content) return;
+    const match = content.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) {
+      issues.push({ line, message: `Not a directive: "${content}".` });
+      return;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!collectingAgents) {
+        group = { line, agents: [], rules: [] };
+        groups.push(group);
+      }
+      // Only the product token counts: "Googlebot/2.1" is googlebot
+      group.agents.push((value.match(/^\*|^[A-Za-z_-]+/)?.[0] || value).toLowerCase());
+      collectingAgents = true;
+      return;
+    }
+    collectingAgents = false;
+
+    if (field === 'allow' || field === 'disallow') {
+      if (!group) issues.push({ line, message: `${match[1]} before any User-agent is ignored.` });
+      else if (value) group.rules.push({ type: field, path: value, line });
+    } else if (field === 'sitemap') {
+      if (!parseUrl(value)) issues.push({ line, message: 'Sitemap must be an absolute URL.' });
+      sitemaps.push(value);
+    } else if (field === 'crawl-delay') {
+      issues.push({ line, message: 'Google ignores Crawl-delay.' });
+    } else {
+      issues.push({ line, message: `Unknown directive "${match[1]}" is ignored.` });
+    }
+  });
+
+  return { groups, sitemaps, issues };
+};
+
+// Both sides are compared percent-encoded, so /café and /caf%C3%A9 match
+const normalizeRobotsPath = (path) => {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch (e) {
+    return path;
+  }
+};
+
+// "*" matches any run of characters and a trailing "$" anchors the end; everything else is a prefix
+const robotsPattern = (path) => {
+  const anchored = path.endsWith('$');
+  const body = normalizeRobotsPath(anchored ? path.slice(0, -1) : path);
+  return new RegExp(`^${body.split('*').map(escapeRegex).join('.*')}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Returns a tester for one crawler. The crawler follows the group naming it exactly, then
+ * its parent (Googlebot-Image -> Googlebot), then "*"; groups naming the same agent merge.
+ * The tester takes a URL or path and resolves to { allowed, rule, agent }.
+ */
+const robotsTester = (robots, userAgent) => {
+  const token = userAgent.trim().toLowerCase() || '*';
+  const names = [...token.split('-').map((_, i, parts) => parts.slice(0, parts.length - i).join('-')), '*'];
+  const agent = names.find(name => robots.groups.some(group => group.agents.includes(name))) || null;
+  const rules = robots.groups
+    .filter(group => group.agents.includes(agent))
+    .flatMap(group => group.rules)
+    .map(rule => ({ ...rule, pattern: robotsPattern(rule.path) }));
+
+  return (url) => {
+    const parts = url.trim().startsWith('/') ? parseUrl(`https://${RELATIVE_HOST}${url.trim()}`) : parseUrl(url);
+    if (!parts) return null;
+    const path = parts.path || '/';
+    if (path === '/robots.txt') return { allowed: true, rule: null, agent };
+    const target = normalizeRobotsPath(`${path}${parts.hasQuery ? `?${parts.params.map(p => p.raw).join('&')}` : ''}`);
+
+    let best = null;
+    rules.forEach(rule => {
+      if (!rule.pattern.test(target)) return;
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.type === 'allow')) best = rule;
+    });
+    return { allowed: !best || best.type === 'allow', rule: best, agent };
+  };
+};
+
+/**
+ * SERP UTILITIES
+ * Pixel-width measurement against Google's truncation limits. Limits are the commonly
+ * cited rendered widths; Google does not publish exact values.
+ */
+const SERP_LIMITS = {
+  desktop: {
+    title: { font: '20px Arial', width: 600 },
+    description: { font: '14px Arial', width: 920 }
+  },
+  mobile: {
+    title: { font: '16px Arial', width: 600 },
+    description: { font: '14px Arial', width: 680 }
+  }
+};
+
+const SERP_ELLIPSIS = ' ...';
+
+let measureContext = null;
+const measureTextWidth = (text, font) => {
+  if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+  measureContext.font = font;
+  return measureContext.measureText(text).width;
+};
+
+/**
+ * Measures `text` against a SERP limit. When it overflows, finds the longest
+ * word-boundary prefix that still fits with an ellipsis, which is where Google cuts.
+ */
+const fitSerpText = (text, { font, width: limit }) => {
+  const width = measureTextWidth(text, font);
+  if (width <= limit) return { width, limit, visible: text, overflow: '', truncated: false };
+
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measureTextWidth(text.slice(0, mid).trimEnd() + SERP_ELLIPSIS, font) <= limit) low = mid;
+    else high = mid - 1;
+  }
+  const lastSpace = text.lastIndexOf(' ', low);
+  const cut = lastSpace > low * 0.6 ? lastSpace : low;
+  return { width, limit, visible: text.slice(0, cut).trimEnd(), overflow: text.slice(cut), truncated: true };
+};
+
+const snippetTags = ({ title, description }) =>
+  `<title>${escapeHtml(title)}</title>\n<meta name="description" content="${escapeHtml(description)}">`;
+
+// Title and description options from a `serp` task response; throws if there are none
+const parseSnippetOptions = (text) => {
+  const data = parseJsonResponse(text);
+  const options = (Array.isArray(data) ? data : data.options || [])
+    .map(option => ({ title: String(option.title || ''), description: String(option.description || '') }))
+    .filter(option => option.title || option.description);
+  if (!options.length) throw new Error('No options returned');
+  return options;
+};
+
+/**
+ * ON-PAGE AUDIT UTILITIES
+ * Local checks over raw HTML parsed with DOMParser. Every result reports a severity for
+ * display; the score is the share of check weight that passed, each check weighing the
+ * same whether it passes or fails.
+ */
+const AUDIT_SEVERITIES = {
+  critical: { label: 'Critical', weight: 10, rank: 0 },
+  warning: { label: 'Warning', weight: 5, rank: 1 },
+  notice: { label: 'Notice', weight: 2, rank: 2 }
+};
+// The severity each check is scored at, its worst failure
+const AUDIT_CHECK_WEIGHTS = {
+  title: 'critical',
+  'title-count': 'warning',
+  description: 'warning',
+  h1: 'critical',
+  'heading-order': 'warning',
+  alt: 'warning',
+  canonical: 'critical',
+  robots: 'critical',
+  lang: 'notice',
+  'open-graph': 'notice',
+  twitter: 'notice',
+  hreflang: 'warning',
+  'internal-links': 'warning',
+  'empty-links': 'notice',
+  'word-count': 'warning'
+};
+const MIN_TITLE_CHARS = 30;
+const MIN_DESCRIPTION_CHARS = 70;
+const MIN_BODY_WORDS = 300;
+const HREFLANG_PATTERN = /^([a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?|x-default)$/i;
+const OG_TAGS = ['og:title', 'og:description', 'og:image', 'og:url'];
+const BLOCK_SELECTOR = 'p, li, dt, dd, h1, h2, h3, h4, h5, h6, div, section, article, blockquote, pre, td, th, br';
+
+const metaContent = (doc, attr, value) =>
+  doc.querySelector(`meta[${attr}="${value}" i]`)?.getAttribute('content')?.trim() || '';
+
+// Visible body text with block boundaries kept, so sentence and paragraph counts match pasted text
+const bodyText = (doc) => {
+  const body = doc.body?.cloneNode(true);
+  if (!body) return '';
+  body.querySelectorAll('script, style, noscript, template, svg, iframe').forEach(el => el.remove());
+  body.querySelectorAll(BLOCK_SELECTOR).forEach(el => el.append('\n\n'));
+  return body.textContent
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./i, '').toLowerCase();
+  } catch (e) {
+    return '';
+  }
+};
+
+const auditResult = (id, label, severity, passed, detail) => ({ id, label, severity, passed, detail });
+
+/**
+ * Audits one HTML document. `pageUrl` (optional) decides which links count as internal;
+ * without it the canonical or og:url host is used.
+ */
+const auditHtml = (html, { pageUrl = '' } = {}) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const results = [];
+  const add = (...args) => results.push(auditResult(...args));
+
+  // Title and description, measured the way the SERP preview measures them
+  const title = doc.querySelector('title')?.textContent.replace(/\s+/g, ' ').trim() || '';
+  const titleFit = title ? fitSerpText(title, SERP_LIMITS.desktop.title) : null;
+  if (!title) add('title', 'Title tag', 'critical', false, 'The page has no <title>.');
+  else if (titleFit.truncated) add('title', 'Title tag', 'warning', false, `${title.length} characters, ${Math.round(titleFit.width)}px wide; Google cuts titles at about ${titleFit.limit}px.`);
+  else if (title.length < MIN_TITLE_CHARS) add('title', 'Title tag', 'notice', false, `Only ${title.length} characters; there is room for a more descriptive title.`);
+  else add('title', 'Title tag', 'critical', true, `${title.length} characters, ${Math.round(titleFit.width)}px wide.`);
+  const titleCount = doc.querySelectorAll('title').length;
+  add('title-count', 'Single title tag', 'warning', titleCount <= 1, titleCount > 1 ? `Found ${titleCount} <title> tags.` : 'No duplicate <title> tags.');
+
+  const description = metaContent(doc, 'name', 'description');
+  const descriptionFit = description ? fitSerpText(description, SERP_LIMITS.desktop.description) : null;
+  if (!description) add('description', 'Meta description', 'warning', false, 'No meta description; Google will pick a snippet from the page.');
+  else if (descriptionFit.truncated) add('description', 'Meta description', 'notice', false, `${description.length} characters, ${Math.round(descriptionFit.width)}px wide; likely truncated past ${descriptionFit.limit}px.`);
+  else if (description.length < MIN_DESCRIPTION_CHARS) add('description', 'Meta description', 'notice', false, `Only ${description.length} characters.`);
+  else add('description', 'Meta description', 'warning', true, `${description.length} characters, ${Math.round(descriptionFit.width)}px wide.`);
+
+  // Headings
+  const headings = [...doc.querySelectorAll('h1, h2, h3, h4, h5, h6')].map(el => ({
+    level: Number(el.tagName[1]),
+    text: el.textContent.replace(/\s+/g, ' ').trim()
+  }));
+  const h1Count = headings.filter(heading => heading.level === 1).length;
+  if (h1Count === 0) add('h1', 'One H1 heading', 'critical', false, 'The page has no H1.');
+  else if (h1Count > 1) add('h1', 'One H1 heading', 'warning', false, `Found ${h1Count} H1 headings.`);
+  else add('h1', 'One H1 heading', 'critical', true, headings.find(heading => heading.level === 1).text || '(empty H1)');
+
+  const skips = headings
+    .map((heading, idx) => ({ heading, previous: headings[idx - 1] }))
+    .filter(({ heading, previous }) => previous && heading.level > previous.level + 1);
+  add('heading-order', 'Heading order', 'warning', skips.length === 0, skips.length
+    ? `Skipped levels: ${skips.slice(0, 5).map(({ heading, previous }) => `H${previous.level} → H${heading.level} "${heading.text}"`).join('; ')}${skips.length > 5 ? ` and ${skips.length - 5} more` : ''}.`
+    : `${headings.length} headings in order.`);
+
+  // Images
+  const images = [...doc.querySelectorAll('img')];
+  const missingAlt = images.filter(img => !img.hasAttribute('alt'));
+  add('alt', 'Image alt text', 'warning', missingAlt.length === 0, missingAlt.length
+    ? `${missingAlt.length} of ${images.length} images have no alt attribute: ${missingAlt.slice(0, 3).map(img => img.getAttribute('src') || '(no src)').join(', ')}${missingAlt.length > 3 ? ' …' : ''}`
+    : `${images.length} images checked.`);
+
+  // Indexing
+  const canonicals = [...doc.querySelectorAll('link[rel~="canonical" i]')].map(link => link.getAttribute('href')?.trim() || '');
+  if (!canonicals.length) add('canonical', 'Canonical URL', 'warning', false, 'No rel="canonical" link.');
+  else if (canonicals.length > 1) add('canonical', 'Canonical URL', 'critical', false, `${canonicals.length} canonical links; Google may ignore all of them.`);
+  else if (!/^https?:\/\//i.test(canonicals[0])) add('canonical', 'Canonical URL', 'notice', false, `Canonical "${canonicals[0]}" is not an absolute URL.`);
+  else add('canonical', 'Canonical URL', 'warning', true, canonicals[0]);
+
+  const robots = [metaContent(doc, 'name', 'robots'), metaContent(doc, 'name', 'googlebot')].join(',').toLowerCase();
+  if (/\b(noindex|none)\b/.test(robots)) add('robots', 'Robots meta', 'critical', false, `The page is set to "${robots.replace(/^,|,$/g, '')}" and will be dropped from search.`);
+  else if (/\bnofollow\b/.test(robots)) add('robots', 'Robots meta', 'warning', false, 'Links on this page are set to nofollow.');
+  else add('robots', 'Robots meta', 'critical', true, robots.replace(/^,|,$/g, '') || 'No robots meta; the page is indexable.');
+
+  const lang = doc.documentElement.getAttribute('lang')?.trim();
+  add('lang', 'Language attribute', 'notice', Boolean(lang), lang ? `<html lang="${lang}">` : 'The <html> element has no lang attribute.');
+
+  // Social tags
+  const missingOg = OG_TAGS.filter(tag => !metaContent(doc, 'property', tag));
+  add('open-graph', 'Open Graph tags', 'notice', missingOg.length === 0, missingOg.length ? `Missing ${missingOg.join(', ')}.` : 'All core Open Graph tags are present.');
+  const twitterCard = metaContent(doc, 'name', 'twitter:card');
+  add('twitter', 'Twitter card', 'notice', Boolean(twitterCard), twitterCard ? `twitter:card is "${twitterCard}".` : 'No twitter:card meta tag.');
+
+  // hreflang is only scored when the page declares alternates
+  const alternates = [...doc.querySelectorAll('link[rel~="alternate" i][hreflang]')].map(link => ({
+    lang: link.getAttribute('hreflang').trim(),
+    href: link.getAttribute('href')?.trim() || ''
+  }));
+  if (alternates.length) {
+    const invalid = alternates.filter(alt => !HREFLANG_PATTERN.test(alt.lang) || !alt.href);
+    const seen = new Set();
+    const duplicates = alternates.filter(alt => seen.has(alt.lang.toLowerCase()) || !seen.add(alt.lang.toLowerCase()));
+    const problems = [
+      invalid.length ? `invalid codes or URLs: ${invalid.map(alt => alt.lang).join(', ')}` : '',
+      duplicates.length ? `repeated codes: ${[...new Set(duplicates.map(alt => alt.lang))].join(', ')}` : '',
+      alternates.some(alt => alt.lang.toLowerCase() === 'x-default') ? '' : 'no x-default'
+    ].filter(Boolean);
+    add('hreflang', 'hreflang annotations', 'warning', problems.length === 0, problems.length
+      ? `${alternates.length} alternates; ${problems.join('; ')}.`
+      : `${alternates.length} alternates, including x-default.`);
+  }
+
+  // Links
+  const siteHost = hostOf(pageUrl) || hostOf(canonicals[0] || '') || hostOf(metaContent(doc, 'property', 'og:url'));
+  const links = { internal: 0, external: 0, nofollow: 0, empty: 0 };
+  doc.querySelectorAll('a').forEach(a => {
+    const href = a.getAttribute('href')?.trim() || '';
+    if (!href || href === '#' || /^javascript:/i.test(href)) {
+      links.empty++;
+      return;
+    }
+    if (/^(mailto|tel):/i.test(href) || href.startsWith('#')) return;
+    const host = /^(https?:)?\/\//i.test(href) ? hostOf(href.startsWith('//') ? `https:${href}` : href) : siteHost;
+    if (!siteHost || host === siteHost) links.internal++;
+    else links.external++;
+    if (/\bnofollow\b/i.test(a.getAttribute('rel') || '')) links.nofollow++;
+  });
+  add('internal-links', 'Internal links', 'warning', links.internal > 0, `${links.internal} internal, ${links.external} external${links.nofollow ? `, ${links.nofollow} nofollow` : ''}.`);
+  add('empty-links', 'Link targets', 'notice', links.empty === 0, links.empty
+    ? `${links.empty} link${links.empty === 1 ? ' has' : 's have'} an empty, "#" or javascript: href.`
+    : 'Every link has a target.');
+
+  // Body text uses the same metrics as the Word Counter
+  const text = bodyText(doc);
+  const stats = analyzeText(text);
+  add('word-count', 'Content length', 'warning', stats.words >= MIN_BODY_WORDS, `${stats.words.toLocaleString()} words${stats.words < MIN_BODY_WORDS ? `; thin pages under ${MIN_BODY_WORDS} words rarely rank` : ''}.`);
+
+  const weightOf = (result) => AUDIT_SEVERITIES[AUDIT_CHECK_WEIGHTS[result.id]].weight;
+  const totalWeight = results.reduce((sum, result) => sum + weightOf(result), 0);
+  const earned = results.filter(result => result.passed).reduce((sum, result) => sum + weightOf(result), 0);
+  results.sort((a, b) => Number(a.passed) - Number(b.passed) || AUDIT_SEVERITIES[a.severity].rank - AUDIT_SEVERITIES[b.severity].rank);
+
+  return {
+    score: totalWeight ? Math.round((earned / totalWeight) * 100) : 0,
+    results,
+    page: { title, description, url: pageUrl || canonicals[0] || '', headings, links },
+    text,
+    stats
+  };
+};
+
+/**
+ * SCHEMA UTILITIES
+ * Form definitions, builders and validation rules for the JSON-LD types we support.
+ * Rules follow Google's rich result documentation. A rule path walks nested objects
+ * and every item of an array; "a|b" is satisfied by either property.
+ */
+const SCHEMA_AVAILABILITY = ['InStock', 'OutOfStock', 'PreOrder', 'BackOrder', 'Discontinued', 'LimitedAvailability', 'SoldOut'];
+const LOCAL_BUSINESS_TYPES = ['LocalBusiness', 'Restaurant', 'Store', 'ProfessionalService', 'MedicalBusiness', 'HomeAndConstructionBusiness', 'LodgingBusiness', 'AutomotiveBusiness'];
+
+const SCHEMA_TYPES = {
+  Article: {
+    fields: [
+      { key: 'headline', label: 'Headline' },
+      { key: 'description', label: 'Description', kind: 'textarea' },
+      { key: 'image', label: 'Image URLs (One per line)', kind: 'lines' },
+      { key: 'authorName', label: 'Author Name' },
+      { key: 'authorUrl', label: 'Author URL' },
+      { key: 'publisherName', label: 'Publisher Name' },
+      { key: 'publisherLogo', label: 'Publisher Logo URL' },
+      { key: 'datePublished', label: 'Date Published', type: 'date' },
+      { key: 'dateModified', label: 'Date Modified', type: 'date' }
+    ],
+    build: (v) => ({
+      headline: v.headline,
+      description: v.description,
+      image: splitLines(v.image),
+      author: { '@type': 'Person', name: v.authorName, url: v.authorUrl },
+      publisher: { '@type': 'Organization', name: v.publisherName, logo: { '@type': 'ImageObject', url: v.publisherLogo } },
+      datePublished: v.datePublished,
+      dateModified: v.dateModified
+    }),
+    required: ['headline'],
+    recommended: ['image', 'datePublished', 'dateModified', 'author.name', 'author.url']
+  },
+  FAQPage: {
+    fields: [
+      { key: 'questions', label: 'Questions', kind: 'group', fields: [
+        { key: 'question', label: 'Question' },
+        { key: 'answer', label: 'Answer', kind: 'textarea' }
+      ] }
+    ],
+    build: (v) => ({
+      mainEntity: v.questions.map(item => ({
+        '@type': 'Question',
+        name: item.question,
+        acceptedAnswer: { '@type': 'Answer', text: item.answer }
+      }))
+    }),
+    required: ['mainEntity', 'mainEntity.name', 'mainEntity.acceptedAnswer.text'],
+    recommended: []
+  },
+  HowTo: {
+    fields: [
+      { key: 'name', label: 'Name' },
+      { key: 'description', label: 'Description', kind: 'textarea' },
+      { key: 'image', label: 'Image URLs (One per line)', kind: 'lines' },
+      { key: 'totalTime', label: 'Total Time (ISO 8601, e.g. PT30M)' },
+      { key: 'supplies', label: 'Supplies (One per line)', kind: 'lines' },
+      { key: 'tools', label: 'Tools (One per line)', kind: 'lines' },
+      { key: 'steps', label: 'Steps', kind: 'group', fields: [
+        { key: 'name', label: 'Step Name' },
+        { key: 'text', label: 'Instructions', kind: 'textarea' }
+      ] }
+    ],
+    build: (v) => ({
+      name: v.name,
+      description: v.description,
+      image: splitLines(v.image),
+      totalTime: v.totalTime,
+      supply: splitLines(v.supplies).map(name => ({ '@type': 'HowToSupply', name })),
+      tool: splitLines(v.tools).map(name => ({ '@type': 'HowToTool', name })),
+      step: v.steps.map(item => ({ '@type': 'HowToStep', name: item.name, text: item.text }))
+    }),
+    required: ['name', 'step', 'step.text'],
+    recommended: ['description', 'image', 'totalTime', 'supply', 'tool', 'step.name']
+  },
+  Product: {
+    fields: [
+      { key: 'name', label: 'Name' },
+      { key: 'description', label: 'Description', kind: 'textarea' },
+      { key: 'image', label: 'Image URLs (One per line)', kind: 'lines' },
+      { key: 'brand', label: 'Brand' },
+      { key: 'sku', label: 'SKU' },
+      { key: 'price', label: 'Price' },
+      { key: 'priceCurrency', label: 'Currency (ISO 4217, e.g. USD)' },
+      { key: 'availability', label: 'Availability', kind: 'select', options: ['', ...SCHEMA_AVAILABILITY] },
+      { key: 'url', label: 'Product URL' },
+      { key: 'ratingValue', label: 'Rating Value' },
+      { key: 'reviewCount', label: 'Review Count' }
+    ],
+    build: (v) => ({
+      name: v.name,
+      description: v.description,
+      image: splitLines(v.image),
+      brand: { '@type': 'Brand', name: v.brand },
+      sku: v.sku,
+      offers: {
+        '@type': 'Offer',
+        price: v.price,
+        priceCurrency: v.priceCurrency,
+        availability: v.availability && `https://schema.org/${v.availability}`,
+        url: v.url
+      },
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: v.ratingValue, reviewCount: v.reviewCount }
+    }),
+    required: ['name', 'offers|review|aggregateRating'],
+    recommended: ['image', 'description', 'brand.name', 'sku', 'offers.price', 'offers.priceCurrency', 'offers.availability']
+  },
+  LocalBusiness: {
+    fields: [
+      { key: 'businessType', label: 'Business Type', kind: 'select', options: LOCAL_BUSINESS_TYPES },
+      { key: 'name', label: 'Name' },
+      { key: 'url', label: 'Website URL' },
+      { key: 'telephone', label: 'Telephone' },
+      { key: 'image', label: 'Image URLs (One per line)', kind: 'lines' },
+      { key: 'priceRange', label: 'Price Range (e.g. $$)' },
+      { key: 'streetAddress', label: 'Street Address' },
+      { key: 'addressLocality', label: 'City' },
+      { key: 'addressRegion', label: 'Region / State' },
+      { key: 'postalCode', label: 'Postal Code' },
+      { key: 'addressCountry', label: 'Country (ISO code, e.g. US)' },
+      { key: 'latitude', label: 'Latitude' },
+      { key: 'longitude', label: 'Longitude' },
+      { key: 'openingHours', label: 'Opening Hours (One per line, e.g. Mo-Fr 09:00-17:00)', kind: 'lines' }
+    ],
+    type: (v) => v.businessType || 'LocalBusiness',
+    build: (v) => ({
+      name: v.name,
+      url: v.url,
+      telephone: v.telephone,
+      image: splitLines(v.image),
+      priceRange: v.priceRange,
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: v.streetAddress,
+        addressLocality: v.addressLocality,
+        addressRegion: v.addressRegion,
+        postalCode: v.postalCode,
+        addressCountry: v.addressCountry
+      },
+      geo: { '@type': 'GeoCoordinates', latitude: v.latitude, longitude: v.longitude },
+      openingHours: splitLines(v.openingHours)
+    }),
+    required: ['name', 'address'],
+    recommended: ['url', 'telephone', 'image', 'priceRange', 'address.streetAddress', 'address.addressLocality', 'address.postalCode', 'address.addressCountry', 'geo.latitude', 'geo.longitude', 'openingHours|openingHoursSpecification']
+  },
+  BreadcrumbList: {
+    fields: [
+      { key: 'crumbs', label: 'Breadcrumbs', kind: 'group', fields: [
+        { key: 'name', label: 'Name' },
+        { key: 'url', label: 'URL' }
+      ] }
+    ],
+    build: (v) => ({
+      itemListElement: v.crumbs.map((item, idx) => ({
+        '@type': 'ListItem',
+        position: idx + 1,
+        name: item.name,
+        item: item.url
+      }))
+    }),
+    required: ['itemListElement', 'itemListElement.position', 'itemListElement.name'],
+    recommended: ['itemListElement.item']
+  },
+  Organization: {
+    fields: [
+      { key: 'name', label: 'Name' },
+      { key: 'url', label: 'Website URL' },
+      { key: 'logo', label: 'Logo URL' },
+      { key: 'description', label: 'Description', kind: 'textarea' },
+      { key: 'sameAs', label: 'Social Profiles (One per line)', kind: 'lines' },
+      { key: 'telephone', label: 'Contact Telephone' },
+      { key: 'email', label: 'Contact Email' }
+    ],
+    build: (v) => ({
+      name: v.name,
+      url: v.url,
+      logo: v.logo,
+      description: v.description,
+      sameAs: splitLines(v.sameAs),
+      contactPoint: (v.telephone || v.email) && {
+        '@type': 'ContactPoint',
+        telephone: v.telephone,
+        email: v.email,
+        contactType: 'customer service'
+      }
+    }),
+    required: ['name'],
+    recommended: ['url', 'logo', 'sameAs', 'description', 'contactPoint']
+  }
+};
+
+// Subtypes that share a parent's rules
+const SCHEMA_TYPE_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  ...Object.fromEntries(LOCAL_BUSINESS_TYPES.map(type => [type, 'LocalBusiness']))
+};
+
+const SCHEMA_URL_KEYS = new Set(['url', 'image', 'logo', 'item', 'sameAs']);
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const emptySchemaValues = (typeId) => Object.fromEntries(SCHEMA_TYPES[typeId].fields.map(field => [
+  field.key,
+  field.kind === 'group'
+    ? [Object.fromEntries(field.fields.map(sub => [sub.key, '']))]
+    : field.kind === 'select' ? field.options[0] : ''
+]));
+
+// Drops empty strings, arrays and objects, and objects left holding nothing but their @type
+const compactSchema = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(compactSchema).filter(item => item !== undefined);
+    return items.length ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compactSchema(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.some(([key]) => key !== '@type') ? Object.fromEntries(entries) : undefined;
+  }
+  if (typeof value === 'string') return value.trim() || undefined;
+  return value === null || value === false ? undefined : value;
+};
+
+const buildSchema = (typeId, values) => {
+  const definition = SCHEMA_TYPES[typeId];
+  return {
+    '@context': 'https://schema.org',
+    '@type': definition.type ? definition.type(values) : typeId,
+    ...compactSchema(definition.build(values))
+  };
+};
+
+const schemaScript = (data) =>
+  `<script type="application/ld+json">\n${JSON.stringify(data, null, 2).replace(/</g, '\\u003c')}\n</script>`;
+
+const isPresent = (value) => value !== undefined && value !== null && value !== ''
+  && !(Array.isArray(value) && value.length === 0);
+
+// One boolean per place the path should exist; arrays fan out so every item is checked
+const checkPath = (node, parts) => {
+  if (Array.isArray(node)) return node.length ? node.flatMap(item => checkPath(item, parts)) : [false];
+  if (!parts.length) return [isPresent(node)];
+  if (!node || typeof node !== 'object') return [false];
+  return checkPath(node[parts[0]], parts.slice(1));
+};
+
+const missingCount = (entity, rule) => {
+  const results = rule.split('|').map(path => checkPath(entity, path.split('.')));
+  // With alternatives, the best-covered one counts
+  return Math.min(...results.map(checks => checks.filter(ok => !ok).length));
+};
+
+const formatValues = (node, visit, key = '') => {
+  if (Array.isArray(node)) node.forEach(item => formatValues(item, visit, key));
+  else if (node && typeof node === 'object') Object.entries(node).forEach(([k, v]) => formatValues(v, visit, k));
+  else visit(key, node);
+};
+
+const validateEntity = (entity) => {
+  const types = [].concat(entity['@type'] || []);
+  const typeId = types.map(type => SCHEMA_TYPES[type] ? type : SCHEMA_TYPE_ALIASES[type]).find(Boolean);
+  const errors = [];
+  const warnings = [];
+
+  if (!types.length) errors.push('Missing @type.');
+  if (typeId) {
+    const { required, recommended } = SCHEMA_TYPES[typeId];
+    required.forEach(rule => {
+      const missing = missingCount(entity, rule);
+      if (missing) errors.push(`Missing required ${rule.replace(/\|/g, ' or ')}${missing > 1 ? ` (${missing} places)` : ''}.`);
+    });
+    recommended.forEach(rule => {
+      const missing = missingCount(entity, rule);
+      if (missing) warnings.push(`Missing recommended ${rule.replace(/\|/g, ' or ')}${missing > 1 ? ` (${missing} places)` : ''}.`);
+    });
+  } else if (types.length) {
+    warnings.push(`No rules for ${types.join(', ')}; only the syntax was checked.`);
+  }
+
+  formatValues(entity, (key, value) => {
+    if (SCHEMA_URL_KEYS.has(key) && typeof value === 'string' && !/^https?:\/\//i.test(value)) {
+      warnings.push(`${key} "${value}" should be an absolute URL.`);
+    }
+    if (/^date/.test(key) && typeof value === 'string' && !ISO_DATE_PATTERN.test(value)) {
+      errors.push(`${key} "${value}" is not an ISO 8601 date.`);
+    }
+  });
+
+  return { type: types.join(', ') || 'Unknown', errors, warnings };
+};
+
+// Maps an AI extraction (see AI_TASKS.schema) onto the builder's form values
+const schemaValuesFromResponse = (typeId, data) => {
+  const text = (value) => String(value ?? '').trim();
+  const list = (value) => (Array.isArray(value) ? value.map(text).filter(Boolean).join('\n') : '');
+  if (typeId === 'FAQPage') {
+    const questions = (Array.isArray(data.questions) ? data.questions : [])
+      .map(item => ({ question: text(item.question), answer: text(item.answer) }))
+      .filter(item => item.question);
+    if (!questions.length) throw new Error('No questions returned');
+    return { ...emptySchemaValues(typeId), questions };
+  }
+  const steps = (Array.isArray(data.steps) ? data.steps : [])
+    .map(item => ({ name: text(item.name), text: text(item.text) }))
+    .filter(item => item.text);
+  if (!steps.length) throw new Error('No steps returned');
+  return {
+    ...emptySchemaValues(typeId),
+    name: text(data.name),
+    description: text(data.description),
+    totalTime: text(data.totalTime),
+    supplies: list(data.supplies),
+    tools: list(data.tools),
+    steps
+  };
+};
+
+/**
+ * Validates pasted JSON-LD: bare JSON or one or more <script type="application/ld+json"> blocks,
+ * each holding an object, an array or an @graph. Returns one report per entity.
+ */
+const validateJsonLd = (input) => {
+  const blocks = [...input.matchAll(/<script[^>]*>([\s\S]*?)<\/script>/gi)].map(match => match[1]);
+  return (blocks.length ? blocks : [input]).flatMap((block, idx) => {
+    let data;
+    try {
+      data = JSON.parse(block);
+    } catch (e) {
+      return [{ type: blocks.length > 1 ? `Block ${idx + 1}` : 'JSON', errors: [`Invalid JSON: ${e.message}`], warnings: [] }];
+    }
+    const entities = [].concat(data).flatMap(item => (item && item['@graph'] ? item['@graph'] : [item]));
+    return entities.map(entity => {
+      if (!entity || typeof entity !== 'object' || Array.isArray(entity)) {
+        return { type: 'Unknown', errors: ['Each entity must be a JSON object.'], warnings: [] };
+      }
+      const report = validateEntity(entity);
+      const context = entity['@context'] || [].concat(data)[0]?.['@context'];
+      if (!/schema\.org/i.test(JSON.stringify(context || ''))) report.errors.unshift('Missing @context "https://schema.org".');
+      return report;
+    });
+  });
+};
+
+/**
+ * STRATEGY UTILITIES
+ * Normalizes strategy responses and exports the content calendar. Dates stay local
+ * YYYY-MM-DD strings (see dayKey) so moving an entry never shifts it across a time zone.
+ */
+const STRATEGY_WEEKS = ['2', '4', '8', '12'].map(value => ({ value, label: `${value} weeks` }));
+
+const parseIsoDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && dayKey(parseIsoDate(value)) === value;
+
+const addDays = (value, days) => {
+  const date = parseIsoDate(value);
+  date.setDate(date.getDate() + days);
+  return dayKey(date);
+};
+
+// Weeks start on Monday
+const startOfWeek = (value) => addDays(value, -((parseIsoDate(value).getDay() + 6) % 7));
+
+// Whole weeks covering the month that contains `value`
+const monthGrid = (value) => {
+  const date = parseIsoDate(value);
+  const first = dayKey(new Date(date.getFullYear(), date.getMonth(), 1));
+  const last = dayKey(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+  const days = [];
+  for (let day = startOfWeek(first); day <= last || days.length % 7; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+const cleanField = (value) => String(value ?? '').trim();
+
+const normalizeStrategy = (data) => {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const pick = (items, fields) => list(items)
+    .map(item => Object.fromEntries(fields.map(field => [field, cleanField(item?.[field])])))
+    .filter(item => item[fields[0]]);
+
+  return {
+    summary: cleanField(data?.summary),
+    personas: pick(data?.personas, ['name', 'needs', 'painPoints']),
+    pillars: pick(data?.pillars, ['name', 'description']),
+    channels: pick(data?.channels, ['name', 'rationale']),
+    kpis: pick(data?.kpis, ['metric', 'target']),
+    calendar: list(data?.calendar)
+      .map(entry => ({
+        // Saved plans keep their ids so re-exported events update instead of duplicating
+        id: cleanField(entry?.id) || createId(),
+        date: cleanField(entry?.date),
+        title: cleanField(entry?.title),
+        pillar: cleanField(entry?.pillar),
+        channel: cleanField(entry?.channel),
+        format: cleanField(entry?.format),
+        keyword: cleanField(entry?.keyword)
+      }))
+      .filter(entry => entry.title && isIsoDate(entry.date))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  };
+};
+
+const CALENDAR_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'title', label: 'Title' },
+  { key: 'pillar', label: 'Pillar' },
+  { key: 'channel', label: 'Channel' },
+  { key: 'format', label: 'Format' },
+  { key: 'keyword', label: 'Keyword' }
+];
+
+const entryDetails = (entry) => CALENDAR_COLUMNS.slice(2)
+  .filter(column => entry[column.key])
+  .map(column => `${column.label}: ${entry[column.key]}`)
+  .join('\n');
+
+const strategyToCsv = (strategy) => toCsv([
+  CALENDAR_COLUMNS.map(column => column.label),
+  ...strategy.calendar.map(entry => CALENDAR_COLUMNS.map(column => entry[column.key]))
+]);
+
+const icsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsEncoder = new TextEncoder();
+
+// RFC 5545 folds lines longer than 75 octets; continuation lines start with a space
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = icsEncoder.encode(ch).length;
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const icsDate = (value) => value.replace(/-/g, '');
+
+// Each entry becomes an all-day event
+const strategyToIcs = (strategy, name, now = new Date()) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//SEOPro Studio//Content Calendar//EN',
+  'CALSCALE:GREGORIAN',
+  `X-WR-CALNAME:${icsText(name)}`,
+  ...strategy.calendar.flatMap(entry => [
+    'BEGIN:VEVENT',
+    `UID:${entry.id}@seopro-studio`,
+    `DTSTAMP:${now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`,
+    `DTSTART;VALUE=DATE:${icsDate(entry.date)}`,
+    `DTEND;VALUE=DATE:${icsDate(addDays(entry.date, 1))}`,
+    `SUMMARY:${icsText(entry.title)}`,
+    entryDetails(entry) ? `DESCRIPTION:${icsText(entryDetails(entry))}` : '',
+    entry.pillar ? `CATEGORIES:${icsText(entry.pillar)}` : '',
+    'END:VEVENT'
+  ].filter(Boolean)),
+  'END:VCALENDAR'
+].map(foldIcsLine).join('\r\n') + '\r\n';
+
+const markdownCell = (value) => String(value || '-').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const markdownTable = (headings, rows) => [
+  `| ${headings.join(' | ')} |`,
+  `| ${headings.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+].join('\n');
+
+const strategyToMarkdown = (strategy, name) => [
+  `# Content Strategy: ${name}`,
+  strategy.summary && `## Executive Summary\n\n${strategy.summary}`,
+  strategy.personas.length && `## Audience Personas\n\n${strategy.personas.map(persona =>
+    [`### ${persona.name}`, persona.needs && `**Needs:** ${persona.needs}`, persona.painPoints && `**Pain Points:** ${persona.painPoints}`]
+      .filter(Boolean).join('\n\n')).join('\n\n')}`,
+  strategy.pillars.length && `## Content Pillars\n\n${strategy.pillars.map(pillar => `- **${pillar.name}**${pillar.description ? `: ${pillar.description}` : ''}`).join('\n')}`,
+  strategy.channels.length && `## Channel Strategy\n\n${strategy.channels.map(channel => `- **${channel.name}**${channel.rationale ? `: ${channel.rationale}` : ''}`).join('\n')}`,
+  strategy.kpis.length && `## KPIs\n\n${markdownTable(['Metric', 'Target'], strategy.kpis.map(kpi => [kpi.metric, kpi.target]))}`,
+  strategy.calendar.length && `## Content Calendar\n\n${markdownTable(
+    CALENDAR_COLUMNS.map(column => column.label),
+    strategy.calendar.map(entry => CALENDAR_COLUMNS.map(column => entry[column.key]))
+  )}`
+].filter(Boolean).join('\n\n') + '\n';
+
+/**
+ * DIFF UTILITIES
+ * Word-level comparison used for proofreading fallbacks and stage-to-stage diffs.
+ */
+const DIFF_CELL_LIMIT = 4000000;
+
+const tokenizeForDiff = (text) => text.match(/\s+|[\p{L}\p{N}'’]+|[^\s\p{L}\p{N}]/gu) || [];
+
+/**
+ * Returns a list of { type: 'equal' | 'delete' | 'insert', text } operations turning `a` into `b`.
+ * Uses an LCS table over tokens after trimming the common prefix and suffix; inputs too large
+ * for the table fall back to one delete/insert pair for the differing middle.
+ */
+const diffWords = (a, b) => {
+  const x = tokenizeForDiff(a);
+  const y = tokenizeForDiff(b);
+  let prefix = 0;
+  while (prefix < x.length && prefix < y.length && x[prefix] === y[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < x.length - prefix && suffix < y.length - prefix && x[x.length - 1 - suffix] === y[y.length - 1 - suffix]) suffix++;
+
+  const midA = x.slice(prefix, x.length - suffix);
+  const midB = y.slice(prefix, y.length - suffix);
+  const ops = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
+
+  push('equal', x.slice(0, prefix).join(''));
+
+  if ((midA.length + 1) * (midB.length + 1) > DIFF_CELL_LIMIT) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    const n = midA.length;
+    const m = midB.length;
+    const table = new Int32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * (m + 1) + j] = midA[i] === midB[j]
+          ? table[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+        push('delete', midA[i++]);
+      } else {
+        push('insert', midB[j++]);
+      }
+    }
+    while (i < n) push('delete', midA[i++]);
+    while (j < m) push('insert', midB[j++]);
+  }
+
+  push('equal', x.slice(x.length - suffix).join(''));
+  return ops;
+};
+
+/**
+ * PROOFREADING UTILITIES
+ * Turns the proofreader's change records into located spans over the original text.
+ */
+const PROOFREAD_CATEGORIES = ['spelling', 'grammar', 'punctuation', 'style'];
+
+const normalizeCategory = (category) => {
+  const value = String(category || '').toLowerCase();
+  return PROOFREAD_CATEGORIES.find(c => value.includes(c)) || 'style';
+};
+
+// Places each change on the first unused occurrence of its original span, in order.
+// Changes with no span to anchor on, or only overlapping ones, come back as `unlocated`.
+const locateChanges = (text, changes) => {
+  const located = [];
+  const unlocated = [];
+  let cursor = 0;
+  for (const change of changes) {
+    if (change.original === change.replacement) continue;
+    let start = change.original ? text.indexOf(change.original, cursor) : -1;
+    if (start === -1 && change.original) start = text.indexOf(change.original);
+    const end = start + change.original.length;
+    if (start === -1 || located.some(c => start < c.end && end > c.start)) {
+      unlocated.push(change);
+      continue;
+    }
+    located.push({ ...change, start, end });
+    cursor = end;
+  }
+  return { located: located.sort((a, b) => a.start - b.start), unlocated };
+};
+
+const guessCategory = (original, replacement) => {
+  const strip = (t) => t.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+  if (strip(original) === strip(replacement)) return 'punctuation';
+  if (!/\s/.test(original.trim()) && !/\s/.test(replacement.trim())) return 'spelling';
+  return 'grammar';
+};
+
+// Groups a word diff into change records, each spanning one run of edits
+const diffToChanges = (original, corrected) => {
+  const changes = [];
+  let position = 0;
+  let current = null;
+
+  for (const op of diffWords(original, corrected)) {
+    if (op.type === 'equal') {
+      if (current) changes.push(current);
+      current = null;
+      position += op.text.length;
+      continue;
+    }
+    if (!current) current = { start: position, end: position, original: '', replacement: '' };
+    if (op.type === 'delete') {
+      current.original += op.text;
+      current.end += op.text.length;
+      position += op.text.length;
+    } else {
+      current.replacement += op.text;
+    }
+  }
+  if (current) changes.push(current);
+
+  return changes.map(change => ({
+    ...change,
+    category: guessCategory(change.original, change.replacement),
+    reason: 'Found by comparing with the corrected text'
+  }));
+};
+
+/**
+ * Reads the proofreader response. Structured change records are used when at least half of
+ * them can be found in the text; otherwise the corrected text is diffed locally.
+ * Returns { changes, unlocated, source: 'model' | 'diff' }, where `unlocated` holds the
+ * model's records that could not be placed and so are not applied.
+ */
+const parseProofreadResponse = (text, response) => {
+  let data = null;
+  try {
+    data = parseJsonResponse(response);
+  } catch (e) {
+    data = null;
+  }
+
+  const records = Array.isArray(data?.changes)
+    ? data.changes
+      .filter(c => typeof c?.original === 'string' && typeof c?.replacement === 'string')
+      .map(c => ({ original: c.original, replacement: c.replacement, category: normalizeCategory(c.category), reason: String(c.reason || '') }))
+    : null;
+  const { located, unlocated } = records ? locateChanges(text, records) : { located: [], unlocated: [] };
+
+  if (records && located.length >= records.length / 2) {
+    return { changes: located.map((c, idx) => ({ ...c, id: idx, status: 'pending' })), unlocated, source: 'model' };
+  }
+
+  // Plain-text answers ("corrected text --- notes") still give us something to diff against
+  const looksLikeJson = /^\s*(```|[[{])/.test(response);
+  const corrected = typeof data?.correctedText === 'string'
+    ? data.correctedText
+    : looksLikeJson ? null : response.split(/\n-{3,}\s*\n/)[0];
+  if (corrected === null) throw new Error('The proofreader returned an unreadable response. Please try again.');
+
+  // Keep the original's surrounding whitespace so it never shows up as an edit
+  const [, lead, , trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return {
+    changes: diffToChanges(text, `${lead}${corrected.trim()}${trail}`).map((c, idx) => ({ ...c, id: idx, status: 'pending' })),
+    unlocated: [],
+    source: 'diff'
+  };
+};
+
+// Applies accepted changes only; pending and rejected spans keep the original text
+const applyChanges = (text, changes) => {
+  let output = '';
+  let position = 0;
+  for (const change of changes) {
+    output += text.slice(position, change.start);
+    output += change.status === 'accepted' ? change.replacement : change.original;
+    position = change.end;
+  }
+  return output + text.slice(position);
+};
+
+/**
+ * BULK GENERATION UTILITIES
+ * CSV rows become jobs in a queue persisted to localStorage. The queue runs outside any
+ * component, at most `concurrency` jobs at a time; each job goes through runTask, so the
+ * provider's 429/5xx backoff applies to every request.
+ */
+const BULK_CONCURRENCY = [1, 2, 3, 5].map(n => ({ value: n, label: `${n} at a time` }));
+const LOCALE_COLUMN = /^(language|locale|lang)$/i;
+
+const matchTone = (value) => TONES.find(tone => tone.toLowerCase() === String(value || '').trim().toLowerCase());
+
+const matchLocale = (value) => {
+  const wanted = String(value || '').trim().toLowerCase();
+  return LOCALES.find(locale => [locale.value, locale.label, locale.language].some(name => name.toLowerCase() === wanted))?.value;
+};
+
+const BULK_TASKS = {
+  writer: {
+    label: 'Articles',
+    columns: { topic: /^(topic|title|subject)s?$/i, keywords: /keyword/i, tone: /^tone/i, locale: LOCALE_COLUMN },
+    required: 'topic',
+    inputs: (row, defaults) => ({
+      topic: row.topic,
+      keywords: row.keywords || '',
+      tone: matchTone(row.tone) || defaults.tone,
+      locale: matchLocale(row.locale) || defaults.locale
+    }),
+    name: (inputs) => inputs.topic,
+    outputColumns: ['article'],
+    outputFields: (output) => [output],
+    markdown: (output) => output
+  },
+  serp: {
+    label: 'Meta Descriptions',
+    columns: { summary: /^(summary|topic|page|description)$/i, keyword: /keyword/i, brand: /^brand/i, url: /^(url|page url|address)$/i, locale: LOCALE_COLUMN },
+    required: 'summary',
+    inputs: (row, defaults) => ({
+      summary: row.summary,
+      keyword: row.keyword || '',
+      brand: row.brand || '',
+      url: row.url || '',
+      count: '1',
+      locale: matchLocale(row.locale) || defaults.locale
+    }),
+    name: (inputs) => inputs.keyword || inputs.summary,
+    outputColumns: ['title', 'meta_description'],
+    outputFields: (output) => {
+      const [option] = parseSnippetOptions(output);
+      return [option.title, option.description];
+    },
+    markdown: (output, inputs) => {
+      const [option] = parseSnippetOptions(output);
+      return [
+        `# ${inputs.keyword || inputs.summary}`,
+        inputs.url && `URL: ${inputs.url}`,
+        `**Title:** ${option.title}`,
+        `**Meta Description:** ${option.description}`,
+        `\`\`\`html\n${snippetTags(option)}\n\`\`\``
+      ].filter(Boolean).join('\n\n');
+    }
+  }
+};
+
+/**
+ * Turns CSV text into job inputs for a BULK_TASKS entry. Columns are matched by header;
+ * without a recognised header the first column is the required field and the second the keywords.
+ */
+const parseBulkCsv = (text, taskId, defaults) => {
+  const task = BULK_TASKS[taskId];
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const header = rows[0];
+  const columns = Object.fromEntries(Object.entries(task.columns)
+    .map(([key, pattern]) => [key, header.findIndex(cell => pattern.test(cell))]));
+  const hasHeader = columns[task.required] !== -1;
+  if (!hasHeader) {
+    Object.keys(columns).forEach((key, idx) => { columns[key] = idx < 2 ? idx : -1; });
+  }
+  return (hasHeader ? rows.slice(1) : rows)
+    .map(row => Object.fromEntries(Object.entries(columns).map(([key, idx]) => [key, idx === -1 ? '' : row[idx] || ''])))
+    .filter(row => row[task.required])
+    .map(row => task.inputs(row, defaults));
+};
+
+const bulkQueueStore = createPersistentStore('seoStudio.bulkQueue', { taskId: 'writer', status: 'idle', concurrency: 2, jobs: [] });
+
+// A reload cuts off in-flight jobs: put them back in line and wait for Resume
+bulkQueueStore.set(queue => ({
+  ...queue,
+  status: queue.status === 'running' ? 'paused' : queue.status,
+  jobs: queue.jobs.map(job => (job.status === 'running' ? { ...job, status: 'queued' } : job))
+}));
+
+const bulkControllers = new Map();
+
+const updateBulkJob = (id, patch) => bulkQueueStore.set(queue => ({
+  ...queue,
+  jobs: queue.jobs.map(job => (job.id === id ? { ...job, ...patch } : job))
+}));
+
+const runBulkJob = async (taskId, job) => {
+  const controller = new AbortController();
+  bulkControllers.set(job.id, controller);
+  updateBulkJob(job.id, { status: 'running', error: '' });
+  try {
+    const output = await runTask(taskId, job.inputs, { signal: controller.signal });
+    // Check structured output now, so a malformed response fails the row instead of the export
+    BULK_TASKS[taskId].outputFields(output);
+    updateBulkJob(job.id, { status: 'done', output });
+  } catch (error) {
+    updateBulkJob(job.id, error.name === 'AbortError'
+      ? { status: 'queued' }
+      : { status: 'failed', error: AI_ERROR_KINDS[error.kind] ? `${AI_ERROR_KINDS[error.kind].title}: ${error.message}` : error.message, attempts: job.attempts + 1 });
+  } finally {
+    bulkControllers.delete(job.id);
+    pumpBulkQueue();
+  }
+};
+
+// Starts queued jobs until `concurrency` are in flight; every finished job calls back in
+const pumpBulkQueue = () => {
+  const { status, jobs, concurrency, taskId } = bulkQueueStore.get();
+  if (status !== 'running') return;
+  const running = jobs.filter(job => job.status === 'running').length;
+  const next = jobs.filter(job => job.status === 'queued').slice(0, Math.max(0, concurrency - running));
+  if (!running && !next.length) {
+    bulkQueueStore.set(queue => ({ ...queue, status: 'idle' }));
+    return;
+  }
+  next.forEach(job => runBulkJob(taskId, job));
+};
+
+const bulkQueue = {
+  load: (taskId, inputs, concurrency) => {
+    bulkControllers.forEach(controller => controller.abort());
+    bulkQueueStore.set({
+      taskId,
+      concurrency,
+      status: 'idle',
+      jobs: inputs.map(jobInputs => ({ id: createId(), inputs: jobInputs, status: 'queued', output: '', error: '', attempts: 0 }))
+    });
+  },
+  start: () => {
+    bulkQueueStore.set(queue => ({ ...queue, status: 'running' }));
+    pumpBulkQueue();
+  },
+  // Running jobs are left to finish; nothing new starts until the queue is resumed
+  pause: () => bulkQueueStore.set(queue => ({ ...queue, status: 'paused' })),
+  retry: (ids) => {
+    bulkQueueStore.set(queue => ({
+      ...queue,
+      status: queue.status === 'paused' ? 'paused' : 'running',
+      jobs: queue.jobs.map(job => (job.status === 'failed' && (!ids || ids.includes(job.id)) ? { ...job, status: 'queued', error: '' } : job))
+    }));
+    pumpBulkQueue();
+  },
+  setConcurrency: (concurrency) => {
+    bulkQueueStore.set(queue => ({ ...queue, concurrency }));
+    pumpBulkQueue();
+  },
+  clear: () => {
+    bulkControllers.forEach(controller => controller.abort());
+    bulkQueueStore.set(queue => ({ ...queue, status: 'idle', jobs: [] }));
+  }
+};
+
+const bulkFileName = (task, job, idx) => `${String(idx + 1).padStart(3, '0')}-${slugify(task.name(job.inputs))}.md`;
+
+const bulkZip = ({ taskId, jobs }) => {
+  const task = BULK_TASKS[taskId];
+  return createZip(jobs
+    .map((job, idx) => ({ job, idx }))
+    .filter(({ job }) => job.status === 'done')
+    .map(({ job, idx }) => ({ name: bulkFileName(task, job, idx), content: task.markdown(job.output, job.inputs) })));
+};
+
+const bulkCsv = ({ taskId, jobs }) => {
+  const task = BULK_TASKS[taskId];
+  const inputKeys = Object.keys(task.columns);
+  return toCsv([
+    [...inputKeys, ...task.outputColumns, 'status', 'error'],
+    ...jobs.map(job => [
+      ...inputKeys.map(key => job.inputs[key]),
+      ...(job.status === 'done' ? task.outputFields(job.output) : task.outputColumns.map(() => '')),
+      job.status,
+      job.error
+    ])
+  ]);
+};
+
+/**
+ * BRAND VOICE UTILITIES
+ * The active brand profile is appended to every system instruction by runTask, and
+ * generated text is checked locally for banned words, non-preferred terms and reading level.
+ */
+const READING_LEVELS = [
+  { value: '', label: 'No target' },
+  { value: '6', label: 'Grade 6 (very easy)' },
+  { value: '8', label: 'Grade 8 (plain English)' },
+  { value: '10', label: 'Grade 10' },
+  { value: '12', label: 'Grade 12' },
+  { value: '14', label: 'College' }
+];
+
+// Grades above the target by more than this are flagged
+const READING_LEVEL_TOLERANCE = 2;
+
+// One rule per line, written "avoid -> use"; a line without an arrow just marks a term to avoid
+const parsePreferredTerms = (text) => splitLines(text || '')
+  .map(line => {
+    const [avoid, prefer = ''] = line.split(/\s*(?:->|=>|→)\s*/);
+    return { avoid: avoid.trim(), prefer: prefer.trim() };
+  })
+  .filter(term => term.avoid);
+
+const brandInstruction = (profile) => {
+  const banned = splitLines(profile.bannedWords || '');
+  const terms = parsePreferredTerms(profile.preferredTerms);
+  return [
+    `Brand Voice: write as ${profile.name}.`,
+    profile.styleGuide && `Style Guide:\n${profile.styleGuide}`,
+    profile.readingLevel && `Reading Level: aim for a Flesch-Kincaid grade of about ${profile.readingLevel}.`,
+    terms.length > 0 && `Terminology: ${terms.map(term => (term.prefer ? `use "${term.prefer}" instead of "${term.avoid}"` : `avoid "${term.avoid}"`)).join('; ')}.`,
+    banned.length > 0 && `Never use these words or phrases: ${banned.join(', ')}.`,
+    profile.sampleCopy && `Sample Copy (match its voice, do not reuse it):\n${profile.sampleCopy}`
+  ].filter(Boolean).join('\n');
+};
+
+const withBrandVoice = (systemInstruction, profile) =>
+  (profile ? [systemInstruction, brandInstruction(profile)].filter(Boolean).join('\n\n') : systemInstruction);
+
+// Whole-word, case-insensitive match for any of `terms`, longest first so phrases win over their words
+const termPattern = (terms) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${[...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+/**
+ * Checks `text` against a brand profile. Returns the issues found plus a `pattern` and
+ * `describe(match)` pair that MarkdownView uses to highlight each offending term.
+ */
+const checkBrandVoice = (text, profile) => {
+  if (!profile || !text) return { issues: [], pattern: null, describe: () => '' };
+  const rules = [
+    ...splitLines(profile.bannedWords || '').map(word => ({ type: 'banned', term: word, message: `Banned: "${word}"` })),
+    ...parsePreferredTerms(profile.preferredTerms).map(term => ({
+      type: 'term',
+      term: term.avoid,
+      message: term.prefer ? `Use "${term.prefer}" instead of "${term.avoid}"` : `Avoid "${term.avoid}"`
+    }))
+  ];
+  const byTerm = new Map(rules.map(rule => [rule.term.toLowerCase(), rule]));
+  const pattern = rules.length ? termPattern(byTerm.keys()) : null;
+  const counts = new Map();
+  if (pattern) {
+    for (const match of text.matchAll(pattern)) {
+      const rule = byTerm.get(match[0].toLowerCase());
+      if (rule) counts.set(rule, (counts.get(rule) || 0) + 1);
+    }
+  }
+
+  const issues = [...counts].map(([rule, count]) => ({ type: rule.type, message: rule.message, count }));
+  if (profile.readingLevel) {
+    const { gradeLevel } = analyzeText(text);
+    if (gradeLevel !== null && gradeLevel > Number(profile.readingLevel) + READING_LEVEL_TOLERANCE) {
+      issues.push({ type: 'reading', message: `Reads at grade ${gradeLevel.toFixed(1)}; the target is ${profile.readingLevel}`, count: 1 });
+    }
+  }
+
+  return {
+    issues,
+    pattern: counts.size ? pattern : null,
+    describe: (match) => byTerm.get(match.toLowerCase())?.message || ''
+  };
+};
+
+/**
+ * COMPONENTS
+ */
+
+// --- Shared Hooks ---
+
+const historyTitle = (taskId, inputs) => {
+  const firstInput = Object.values(inputs).find(v => typeof v === 'string' && v.trim());
+  return firstInput ? firstInput.trim().slice(0, 80) : AI_TASKS[taskId]?.label || 'Custom Tool';
+};
+
+const saveHistoryEntry = (taskId, inputs, output) => {
+  const scope = currentScope();
+  if (!scope || !output || !inputs) return;
+  historyStore.add(scope, {
+    tool: taskId,
+    title: historyTitle(taskId, inputs),
+    inputs,
+    output
+  }).catch(err => console.error("Failed to save history", err));
+};
+
+/**
+ * Streams a generation for one of the AI_TASKS into `result` and exposes a Stop control.
+ * A stopped run keeps its partial text until the user discards it. Finished (or kept)
+ * results are saved to the signed-in user's history unless `saveHistory` is false.
+ * Tasks that return JSON pass `{ stream: false }` so the result only ever holds a complete response.
+ * Custom tools pass their own `task` definition. Failures land in `error`, never in `result`,
+ * and `retry` reruns the last inputs.
+ */
+const useGeneration = (taskId, initialResult = '', { stream = true, saveHistory = true, task } = {}) => {
+  const [result, setResult] = useState(initialResult);
+  const [loading, setLoading] = useState(false);
+  const [stopped, setStopped] = useState(false);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const inputsRef = useRef(null);
+
+  // Cancel any in-flight request when the tool unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const saveToHistory = (output) => {
+    if (saveHistory) saveHistoryEntry(taskId, inputsRef.current, output);
+  };
+
+  const run = async (inputs) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    inputsRef.current = inputs;
+
+    setLoading(true);
+    setStopped(false);
+    setResult('');
+    setUsage(null);
+    setError(null);
+    try {
+      const content = await runTask(taskId, inputs, {
+        signal: controller.signal,
+        onChunk: stream ? setResult : undefined,
+        onUsage: (next) => controllerRef.current === controller && setUsage(next),
+        task
+      });
+      setResult(content);
+      saveToHistory(content);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (controllerRef.current === controller) setStopped(true);
+      } else if (controllerRef.current === controller) {
+        setResult('');
+        setError(error);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setLoading(false);
+      }
+    }
+  };
+
+  const stop = () => controllerRef.current?.abort();
+
+  const retry = () => inputsRef.current && run(inputsRef.current);
+
+  const keep = () => {
+    setStopped(false);
+    saveToHistory(result);
+  };
+
+  const discard = () => {
+    setResult('');
+    setStopped(false);
+  };
+
+  return { result, loading, stopped, usage, error, run, retry, stop, keep, discard };
+};
+
+/**
+ * Reads each finished response of a `{ stream: false }` generation: `parse` turns the text
+ * into a value (throwing when it can't) and `onParsed` applies it. A failed parse sets the
+ * returned error to "The model did not return {what}. Please try again." unless `onFailed`
+ * handles the text itself and returns true. Returns [error, setError].
+ */
+const useParsedResult = (generation, { what, parse, onParsed, onFailed }) => {
+  const [error, setError] = useState('');
+  const { result, loading } = generation;
+  // The latest callbacks, so each response is read against the current inputs
+  const handlersRef = useRef(null);
+  handlersRef.current = { what, parse, onParsed, onFailed };
+
+  useEffect(() => {
+    if (loading || !result) return;
+    const handlers = handlersRef.current;
+    let value;
+    try {
+      value = handlers.parse(result);
+    } catch {
+      setError(handlers.onFailed?.(result) ? '' : `The model did not return ${handlers.what}. Please try again.`);
+      return;
+    }
+    setError('');
+    handlers.onParsed(value);
+  }, [result, loading]);
+
+  return [error, setError];
+};
+
+/**
+ * Lists a collection store for one scope (a uid or workspaceScope) and re-lists after every mutation.
+ * Only the latest listing for the current scope lands, so a slow one for a previous
+ * workspace can't overwrite it.
+ */
+const useCollection = (store, scope) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+  const scopeRef = useRef(scope);
+  scopeRef.current = scope;
+
+  const refresh = async () => {
+    const request = ++requestRef.current;
+    const isLatest = () => request === requestRef.current && scope === scopeRef.current;
+    if (!scope) {
+      setItems([]);
+      setLoading(false);
+      return;
+    }
+    try {
+      const listed = await store.list(scope);
+      if (isLatest()) {
+        setItems(listed);
+        setError(null);
+      }
+    } catch (err) {
+      if (isLatest()) setError(err);
+    } finally {
+      if (isLatest()) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    refresh();
+  }, [store, scope]);
+
+  const mutate = (operation) => async (...args) => {
+    const result = await operation(scope, ...args);
+    await refresh();
+    return result;
+  };
+
+  return {
+    items,
+    loading,
+    error,
+    refresh,
+    add: mutate(store.add),
+    update: mutate(store.update),
+    remove: mutate(store.remove)
+  };
+};
+
+/**
+ * The user's workspaces and the invites waiting for them. Each refresh also updates the
+ * active workspace snapshot, dropping it once the user is no longer a member.
+ */
+const useWorkspaces = (user) => {
+  const [items, setItems] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const uid = user?.uid;
+
+  const refresh = async () => {
+    if (!uid) return;
+    try {
+      const workspaces = await listWorkspaces(uid);
+      setItems(workspaces);
+      const active = activeWorkspace();
+      if (active) {
+        const current = workspaces.find(workspace => workspace.id === active.id);
+        activeWorkspaceStore.set({ workspace: current ? workspaceSnapshot(current, uid) : null });
+      }
+    } catch (e) {
+      console.warn('Firestore unavailable for workspaces', e);
+    }
+    // Unverified emails can't read invites; that shouldn't hide the workspaces
+    setInvites(await listMyInvites(user).catch(() => []));
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    refresh();
+  }, [uid]);
+
+  return { items, invites, loading, refresh };
+};
+
+// Personal rules, or the active workspace's shared rules once someone has saved them
+const useUrlRules = () => {
+  const personal = useStore(urlRulesStore);
+  const { workspace } = useContext(ToolContext);
+  const rules = workspace?.urlRules ? { ...DEFAULT_URL_RULES, ...workspace.urlRules } : personal;
+  const save = (next) => (workspace ? saveWorkspaceRules(workspace.id, next) : urlRulesStore.set(next));
+  return [rules, save];
+};
+
+// --- Shared UI Components ---
+
+// Lets any ResultBox hand its output to another tool without threading props through every tool
+const ToolContext = createContext({
+  activeTool: null,
+  openTool: null,
+  customTools: null,
+  brandProfiles: null,
+  workspaces: null,
+  workspace: null,
+  scope: null,
+  readOnly: false,
+  selectWorkspace: null
+});
+
+// Tools that accept text from another tool's result, and the input it fills
+const SEND_TARGETS = [
+  { toolId: 'improver', label: 'Article Improver', field: 'content' },
+  { toolId: 'proofreader', label: 'Proofreader', field: 'content' },
+  { toolId: 'translate', label: 'Translator', field: 'content' },
+  { toolId: 'serp', label: 'SERP Snippets', field: 'summary' },
+  { toolId: 'schema', label: 'Schema Markup', field: 'article' },
+  { toolId: 'linker', label: 'Internal Linker', field: 'content' },
+  { toolId: 'counter', label: 'Word Counter', field: 'text' },
+  { toolId: 'pipelines', label: 'Pipelines', field: 'input' }
+];
+
+const Card = ({ children, className = "" }) => (
+  <div className={`bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden ${className}`}>
+    {children}
+  </div>
+);
+
+const Button = ({ onClick, disabled, loading, children, variant = "primary", title, className = "" }) => {
+  const baseStyles = "inline-flex items-center justify-center px-4 py-2 rounded-lg font-medium transition-all focus:outline-none focus:ring-2 focus:ring-offset-1 disabled:opacity-50 disabled:cursor-not-allowed";
+  const variants = {
+    primary: "bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-indigo-500 shadow-sm",
+    secondary: "bg-white text-slate-700 border border-slate-300 hover:bg-slate-50 focus:ring-slate-400",
+    ghost: "bg-transparent text-slate-600 hover:bg-slate-100 focus:ring-slate-400",
+    danger: "bg-red-50 text-red-600 hover:bg-red-100 focus:ring-red-400"
+  };
+  
+  return (
+    <button 
+      onClick={onClick} 
+      disabled={disabled || loading}
+      title={title}
+      className={`${baseStyles} ${variants[variant]} ${className}`}
+    >
+      {loading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+      {children}
+    </button>
+  );
+};
+
+const Label = ({ children }) => (
+  <label className="block text-sm font-semibold text-slate-700 mb-1">{children}</label>
+);
+
+const TextArea = ({ value, onChange, placeholder, rows = 6, className = "" }) => (
+  <textarea
+    value={value}
+    onChange={onChange}
+    placeholder={placeholder}
+    rows={rows}
+    dir="auto"
+    className={`w-full p-3 rounded-lg border border-slate-300 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 transition-colors resize-none text-slate-800 text-sm ${className}`}
+  />
+);
+
+const Input = ({ value, onChange, placeholder, type = "text", list, autoComplete, className = "" }) => (
+  <input
+    type={type}
+    list={list}
+    autoComplete={autoComplete}
+    value={value}
+    onChange={onChange}
+    placeholder={placeholder}
+    dir="auto"
+    className={`w-full p-2.5 rounded-lg border border-slate-300 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 transition-colors text-slate-800 text-sm ${className}`}
+  />
+);
+
+const Select = ({ value, onChange, options, disabled, className = "" }) => (
+  <select 
+    value={value} 
+    onChange={onChange}
+    disabled={disabled}
+    className={`w-full p-2.5 rounded-lg border border-slate-300 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 disabled:bg-slate-50 disabled:text-slate-400 text-sm text-slate-800 ${className}`}
+  >
+    {options.map(option => typeof option === 'string'
+      ? <option key={option}>{option}</option>
+      : <option key={option.value} value={option.value}>{option.label}</option>
+    )}
+  </select>
+);
+
+const Checkbox = ({ checked, onChange, label }) => (
+  <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer select-none">
+    <input 
+      type="checkbox" 
+      checked={checked} 
+      onChange={(e) => onChange(e.target.checked)}
+      className="w-4 h-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+    />
+    {label}
+  </label>
+);
+
+const Modal = ({ title, onClose, children }) => (
+  <div className="fixed inset-0 z-40 flex items-center justify-center p-4 bg-black/30" onClick={onClose}>
+    <div className="w-full max-w-lg max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-lg border border-slate-200" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center justify-between px-6 py-4 border-b border-slate-100">
+        <h2 className="text-lg font-semibold text-slate-800">{title}</h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="p-6 space-y-4">{children}</div>
+    </div>
+  </div>
+);
+
+// Wraps every match of `highlight.pattern` (see checkBrandVoice) in a flagged <mark>
+const highlightText = (text, highlight) => {
+  if (!highlight?.pattern) return text;
+  const parts = [];
+  let position = 0;
+  for (const match of text.matchAll(highlight.pattern)) {
+    parts.push(text.slice(position, match.index));
+    parts.push(
+      <mark key={match.index} title={highlight.describe(match[0])} className="bg-red-100 text-red-800 rounded px-0.5 underline decoration-wavy decoration-red-400">
+        {match[0]}
+      </mark>
+    );
+    position = match.index + match[0].length;
+  }
+  parts.push(text.slice(position));
+  return parts;
+};
+
+const renderInline = (tokens, highlight) => tokens.map((token, i) => {
+  switch (token.type) {
+    case 'strong': return <strong key={i} className="font-semibold text-slate-900">{renderInline(token.children, highlight)}</strong>;
+    case 'em': return <em key={i}>{renderInline(token.children, highlight)}</em>;
+    case 'code': return <code key={i} className="px-1 py-0.5 rounded bg-slate-200/70 font-mono text-[0.85em]">{token.text}</code>;
+    case 'link': {
+      const href = safeUrl(token.href);
+      return href 
+        ? <a key={i} href={href} target="_blank" rel="noopener noreferrer" className="text-indigo-600 underline hover:text-indigo-800">{renderInline(token.children, highlight)}</a>
+        : <span key={i}>{renderInline(token.children, highlight)}</span>;
+    }
+    default: return <React.Fragment key={i}>{highlightText(token.text, highlight)}</React.Fragment>;
+  }
+});
+
+const MarkdownList = ({ list, highlight }) => {
+  const Tag = list.ordered ? 'ol' : 'ul';
+  return (
+    <Tag start={list.ordered ? list.start : undefined} className={`ps-6 space-y-1 ${list.ordered ? 'list-decimal' : 'list-disc'}`}>
+      {list.items.map((item, i) => (
+        <li key={i}>
+          {renderInline(parseInline(item.text), highlight)}
+          {item.children && <MarkdownList list={item.children} highlight={highlight} />}
+        </li>
+      ))}
+    </Tag>
+  );
+};
+
+const HEADING_STYLES = {
+  1: "text-2xl font-bold text-slate-900",
+  2: "text-xl font-bold text-slate-900 pt-2",
+  3: "text-lg font-semibold text-slate-900 pt-1",
+  4: "text-base font-semibold text-slate-900",
+  5: "text-sm font-semibold text-slate-900",
+  6: "text-sm font-semibold text-slate-600"
+};
+
+// Renders Markdown as React elements, so model output can never inject markup.
+// An optional `highlight` flags terms in the text (see checkBrandVoice).
+const MarkdownView = ({ source, highlight }) => (
+  <div dir={textDirection(source)} className="space-y-3 text-sm text-slate-700 leading-relaxed">
+    {parseMarkdown(source).map((block, i) => {
+      switch (block.type) {
+        case 'heading': {
+          const Tag = `h${block.level}`;
+          return <Tag key={i} className={HEADING_STYLES[block.level]}>{renderInline(parseInline(block.text), highlight)}</Tag>;
+        }
+        case 'list':
+          return <MarkdownList key={i} list={block} highlight={highlight} />;
+        case 'blockquote':
+          return <blockquote key={i} className="ps-4 border-s-4 border-indigo-200 italic text-slate-600">{renderInline(parseInline(block.text), highlight)}</blockquote>;
+        case 'code':
+          return <pre key={i} className="p-3 rounded-lg bg-slate-800 text-slate-100 text-xs overflow-x-auto"><code>{block.text}</code></pre>;
+        case 'hr':
+          return <hr key={i} className="border-slate-200" />;
+        case 'table':
+          return (
+            <div key={i} className="overflow-x-auto">
+              <table className="min-w-full text-left border border-slate-200">
+                <thead className="bg-slate-100">
+                  <tr>{block.header.map((cell, c) => <th key={c} className="px-3 py-2 font-semibold border-b border-slate-200">{renderInline(parseInline(cell), highlight)}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {block.rows.map((row, r) => (
+                    <tr key={r} className="border-b border-slate-100">
+                      {row.map((cell, c) => <td key={c} className="px-3 py-2">{renderInline(parseInline(cell), highlight)}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        default:
+          return <p key={i}>{renderInline(parseInline(block.text), highlight)}</p>;
+      }
+    })}
+  </div>
+);
+
+const sumTokens = (a, b) => ({
+  promptTokens: a.promptTokens + b.promptTokens,
+  outputTokens: a.outputTokens + b.outputTokens,
+  cost: a.cost + b.cost,
+  estimated: Boolean(a.estimated || b.estimated),
+  finishReason: finishNote(b.finishReason) ? b.finishReason : a.finishReason
+});
+
+// Running totals over several requests: each one reports its estimate, then its actual usage
+const addUsage = (total, { estimate, actual }) => {
+  if (actual) return { ...total, actual: total.actual ? sumTokens(total.actual, actual) : actual };
+  return {
+    estimate: total ? sumTokens(total.estimate, estimate) : estimate,
+    actual: total?.actual || null
+  };
+};
+
+// Token and cost estimate while a request runs, replaced by the metered numbers when it finishes
+const UsageNote = ({ usage }) => {
+  if (!usage) return null;
+  const { estimate, actual } = usage;
+  const shown = actual || estimate;
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 text-xs text-slate-400">
+      <Gauge className="w-3 h-3" />
+      {actual ? (actual.estimated ? 'About ' : '') : 'Estimated '}
+      {(shown.promptTokens + shown.outputTokens).toLocaleString()} tokens ({shown.promptTokens.toLocaleString()} in / {shown.outputTokens.toLocaleString()} out) · {formatCost(shown.cost)}
+      {actual && ` · estimated ${formatCost(estimate.cost)}`}
+      {finishNote(actual?.finishReason) && (
+        <span className="flex items-center gap-1 ml-1 text-amber-600">
+          <AlertCircle className="w-3 h-3" />
+          {finishNote(actual.finishReason)}
+        </span>
+      )}
+    </div>
+  );
+};
+
+// A failed generation: what went wrong, what the provider reported, and a way to try again
+const ErrorBanner = ({ error, onRetry, className = "" }) => {
+  if (!error) return null;
+  const kind = AI_ERROR_KINDS[error.kind];
+  const feedback = error.promptFeedback;
+  const details = [
+    error.status && `HTTP ${error.status}`,
+    error.finishReason && `Finish reason: ${error.finishReason}`,
+    feedback?.blockReason && `Prompt blocked: ${feedback.blockReason}`,
+    ...(feedback?.flagged || []).map(category => `Flagged: ${category}`)
+  ].filter(Boolean);
+
+  return (
+    <div role="alert" className={`p-4 bg-red-50 border border-red-100 rounded-lg text-sm text-red-800 ${className}`}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="flex items-start gap-2 min-w-0">
+          <AlertCircle className="w-4 h-4 mt-0.5 shrink-0" />
+          <div className="min-w-0">
+            <div className="font-medium">{kind?.title || 'Generation failed'}</div>
+            <div className="mt-0.5 break-words">{error.message}</div>
+            {kind?.hint && <div className="mt-1 text-xs text-red-600">{kind.hint}</div>}
+            {error.retryAfter > 0 && (
+              <div className="mt-1 text-xs text-red-600">The provider asked to wait {Math.ceil(error.retryAfter / 1000)}s before retrying.</div>
+            )}
+          </div>
+        </div>
+        {onRetry && (
+          <Button variant="secondary" onClick={onRetry} className="!px-3 !py-1 text-xs">
+            <RefreshCw className="w-3 h-3 mr-1" /> Retry
+          </Button>
+        )}
+      </div>
+      {details.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mt-2 ps-6">
+          {details.map(detail => (
+            <span key={detail} className="px-2 py-0.5 rounded-full bg-white border border-red-200 text-xs">{detail}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ResultBox = ({ title, content, loading, stopped, onStop, onKeep, onDiscard, usage, error, onRetry, format = "markdown" }) => {
+  const [copied, setCopied] = useState('');
+  const [view, setView] = useState('preview');
+  const { activeTool, openTool } = useContext(ToolContext);
+  const { profile: brand } = useStore(activeBrandStore);
+  const isMarkdown = format === 'markdown';
+  const sendTargets = openTool ? SEND_TARGETS.filter(target => target.toolId !== activeTool) : [];
+  const brandCheck = useMemo(
+    () => (isMarkdown && !loading ? checkBrandVoice(content, brand) : null),
+    [isMarkdown, loading, content, brand]
+  );
+
+  const handleCopy = (text, label) => {
+    try {
+      copyToClipboard(text);
+      setCopied(label);
+      setTimeout(() => setCopied(''), 2000);
+    } catch (err) {
+      console.error("Failed to copy", err);
+    }
+  };
+
+  const exportName = () => {
+    const heading = parseMarkdown(content).find(block => block.type === 'heading');
+    return slugify(heading ? heading.text : title);
+  };
+
+  const exportActions = [
+    { label: 'Markdown (.md)', onClick: () => downloadFile(`${exportName()}.md`, content, 'text/markdown;charset=utf-8') },
+    { label: 'HTML (.html)', onClick: () => downloadFile(`${exportName()}.html`, markdownToHtmlDocument(content, title), 'text/html;charset=utf-8') },
+    { label: 'Word (.docx)', onClick: () => downloadFile(`${exportName()}.docx`, markdownToDocx(content)) },
+    { label: copied === 'html' ? 'Copied HTML' : 'Copy HTML', onClick: () => handleCopy(markdownToHtml(content), 'html') }
+  ];
+
+  if (error && !loading) return <ErrorBanner error={error} onRetry={onRetry} className="mt-6" />;
+  if (!content && !loading) return null;
+
+  return (
+    <div className="mt-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">{title}</h3>
+        <div className="flex items-center gap-4">
+          {loading && onStop && (
+            <button 
+              onClick={onStop}
+              className="flex items-center text-xs text-red-600 hover:text-red-800 font-medium transition-colors"
+            >
+              <Square className="w-3 h-3 mr-1 fill-current" />
+              Stop
+            </button>
+          )}
+          {isMarkdown && content && (
+            <div className="flex rounded-lg border border-slate-200 overflow-hidden text-xs font-medium">
+              {[['preview', 'Preview', Eye], ['raw', 'Raw', Code]].map(([id, label, Icon]) => (
+                <button
+                  key={id}
+                  onClick={() => setView(id)}
+                  className={`flex items-center px-2 py-1 transition-colors ${view === id ? 'bg-indigo-50 text-indigo-700' : 'bg-white text-slate-500 hover:text-slate-700'}`}
+                >
+                  <Icon className="w-3 h-3 mr-1" />
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {content && !loading && (
+            <button 
+              onClick={() => handleCopy(content, 'text')}
+              className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+            >
+              {copied === 'text' ? <Check className="w-3 h-3 mr-1" /> : <Copy className="w-3 h-3 mr-1" />}
+              {copied === 'text' ? "Copied" : "Copy Text"}
+            </button>
+          )}
+        </div>
+      </div>
+      {stopped && content && (
+        <div className="mb-2 p-3 bg-amber-50 border border-amber-100 rounded-lg flex flex-wrap items-center justify-between gap-2 text-sm text-amber-800">
+          <span className="flex items-center gap-2">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            Generation stopped. Keep the partial text or throw it away?
+          </span>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={onKeep} className="!px-3 !py-1 text-xs">Keep</Button>
+            <Button variant="danger" onClick={onDiscard} className="!px-3 !py-1 text-xs">Discard</Button>
+          </div>
+        </div>
+      )}
+      {brandCheck?.issues.length > 0 && (
+        <div className="mb-2 p-3 bg-red-50 border border-red-100 rounded-lg text-sm text-red-800">
+          <div className="flex items-center gap-2 font-medium">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            {brand.name} brand voice: {brandCheck.issues.length} issue{brandCheck.issues.length === 1 ? '' : 's'}
+          </div>
+          <div className="flex flex-wrap gap-1.5 mt-2">
+            {brandCheck.issues.map(issue => (
+              <span key={issue.message} className="px-2 py-0.5 rounded-full bg-white border border-red-200 text-xs">
+                {issue.message}{issue.count > 1 && ` ×${issue.count}`}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      <div className="relative bg-slate-50 rounded-xl border border-slate-200 p-4 min-h-[150px]">
+        {loading && !content ? (
+          <div className="absolute inset-0 flex flex-col items-center justify-center text-slate-400">
+            <Loader2 className="w-8 h-8 animate-spin mb-2" />
+            <span className="text-sm">Generating AI Insights...</span>
+          </div>
+        ) : isMarkdown && view === 'preview' ? (
+          <>
+            <MarkdownView source={content} highlight={brandCheck} />
+            {loading && <span className="inline-block w-2 h-4 mt-1 bg-indigo-500 animate-pulse" />}
+          </>
+        ) : (
+          <div dir="auto" className={`max-w-none text-slate-700 whitespace-pre-wrap leading-relaxed ${isMarkdown ? 'font-mono text-xs' : 'text-sm'}`}>
+            {content}
+            {loading && <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-indigo-500 animate-pulse" />}
+          </div>
+        )}
+      </div>
+      {usage && <div className="mt-2"><UsageNote usage={usage} /></div>}
+      {isMarkdown && content && !loading && (
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <span className="flex items-center text-xs font-medium text-slate-500 mr-1">
+            <Download className="w-3 h-3 mr-1" />
+            Export
+          </span>
+          {exportActions.map(action => (
+            <button
+              key={action.label}
+              onClick={action.onClick}
+              className="px-2.5 py-1 rounded-md border border-slate-200 bg-white text-xs font-medium text-slate-600 hover:border-indigo-300 hover:text-indigo-700 transition-colors"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {isMarkdown && content && !loading && sendTargets.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <span className="flex items-center text-xs font-medium text-slate-500 mr-1">
+            <Send className="w-3 h-3 mr-1" />
+            Send to
+          </span>
+          {sendTargets.map(target => (
+            <button
+              key={target.toolId}
+              onClick={() => openTool(target.toolId, { inputs: { [target.field]: content } })}
+              className="px-2.5 py-1 rounded-md border border-slate-200 bg-white text-xs font-medium text-slate-600 hover:border-indigo-300 hover:text-indigo-700 transition-colors"
+            >
+              {target.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Login Component ---
+
+const AUTH_MODES = {
+  signin: { title: 'Sign in', submit: 'Sign In' },
+  signup: { title: 'Create account', submit: 'Create Account' },
+  reset: { title: 'Reset password', submit: 'Send Reset Link' }
+};
+
+/**
+ * Email/password and Google sign-in in one form. `onDone` runs after a successful
+ * sign-in or sign-up; a reset only shows a notice.
+ */
+const AuthForm = ({ initialMode = 'signin', onDone }) => {
+  const [mode, setMode] = useState(initialMode);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const isGuest = Boolean(auth.currentUser?.isAnonymous);
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setNotice('');
+  };
+
+  const attempt = async (key, action) => {
+    setBusy(key);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      setError(authErrorMessage(err));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    attempt('email', async () => {
+      if (mode === 'reset') {
+        await resetPassword(email);
+        setNotice(`If an account uses ${email.trim()}, a reset link is on its way.`);
+        return;
+      }
+      if (mode === 'signup') {
+        await signUpWithEmail({ name, email, password });
+      } else {
+        await signInWithEmail(email, password);
+      }
+      onDone?.();
+    });
+  };
+
+  const google = () => attempt('google', async () => {
+    await signInWithGoogle();
+    onDone?.();
+  });
+
+  return (
+    <div className="space-y-4 text-left">
+      <div className="flex bg-slate-100 rounded-lg p-1">
+        {['signin', 'signup'].map(id => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => switchMode(id)}
+            className={`flex-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+              mode === id ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+            }`}
+          >
+            {AUTH_MODES[id].title}
+          </button>
+        ))}
+      </div>
+
+      {isGuest && (
+        <p className="text-xs text-slate-500">
+          {mode === 'signup'
+            ? 'Your guest work, history and settings move to the new account.'
+            : 'Signing in to an existing account leaves this guest session\'s work behind.'}
+        </p>
+      )}
+
+      <form onSubmit={submit} className="space-y-3">
+        {mode === 'reset' && <p className="text-sm text-slate-600">Enter your email and we'll send a link to choose a new password.</p>}
+        {mode === 'signup' && (
+          <div>
+            <Label>Display Name</Label>
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Sam Rivera" autoComplete="name" />
+          </div>
+        )}
+        <div>
+          <Label>Email</Label>
+          <Input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@company.com" autoComplete="email" />
+        </div>
+        {mode !== 'reset' && (
+          <div>
+            <div className="flex items-center justify-between">
+              <Label>Password</Label>
+              {mode === 'signin' && (
+                <button type="button" onClick={() => switchMode('reset')} className="mb-1.5 text-xs font-medium text-indigo-600 hover:text-indigo-800">
+                  Forgot password?
+                </button>
+              )}
+            </div>
+            <Input 
+              type="password" 
+              value={password} 
+              onChange={(e) => setPassword(e.target.value)} 
+              placeholder={mode === 'signup' ? 'At least 6 characters' : ''} 
+              autoComplete={mode === 'signup' ? 'new-password' : 'current-password'} 
+            />
+          </div>
+        )}
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-100 rounded-lg flex items-center gap-2 text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        {notice && (
+          <div className="p-3 bg-green-50 border border-green-100 rounded-lg flex items-center gap-2 text-sm text-green-700">
+            <Mail className="w-4 h-4 shrink-0" />
+            <span>{notice}</span>
+          </div>
+        )}
+
+        <Button loading={busy === 'email'} disabled={Boolean(busy) || !email.trim() || (mode !== 'reset' && !password)} className="w-full">
+          {AUTH_MODES[mode].submit}
+        </Button>
+        {mode === 'reset' && (
+          <button type="button" onClick={() => switchMode('signin')} className="w-full text-xs font-medium text-indigo-600 hover:text-indigo-800">
+            Back to sign in
+          </button>
+        )}
+      </form>
+
+      {mode !== 'reset' && (
+        <>
+          <div className="flex items-center gap-3 text-xs text-slate-400">
+            <div className="flex-1 h-px bg-slate-200" />
+            or
+            <div className="flex-1 h-px bg-slate-200" />
+          </div>
+          <Button variant="secondary" onClick={google} loading={busy === 'google'} disabled={Boolean(busy)} className="w-full">
+            <span className="mr-2 font-bold text-indigo-600">G</span>
+            Continue with Google
+          </Button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const LoginScreen = ({ onGuest, loading, error, onSignedIn }) => (
+  <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-4">
+    <div className="max-w-md w-full bg-white rounded-2xl shadow-lg border border-slate-200 p-8 text-center">
+      <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-indigo-50 mb-6">
+        <Sparkles className="w-8 h-8 text-indigo-600" />
+      </div>
+      <h1 className="text-2xl font-bold text-slate-900 mb-2">SEO<span className="text-indigo-600">Pro</span> Studio</h1>
+      <p className="text-slate-600 mb-8">Sign in to access professional AI content tools.</p>
+
+      <AuthForm onDone={onSignedIn} />
+
+      <div className="mt-6 pt-6 border-t border-slate-100">
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-100 rounded-lg flex items-center gap-2 text-sm text-red-700 text-left">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+        <Button variant="ghost" onClick={onGuest} loading={loading} className="w-full">
+          Continue as Guest
+          <ChevronRight className="w-4 h-4 ml-2" />
+        </Button>
+        <p className="mt-1 text-xs text-slate-400">Guests can create an account later without losing their work.</p>
+      </div>
+      
+      <p className="mt-6 text-xs text-slate-400">
+        By continuing, you agree to our Terms of Service.
+      </p>
+    </div>
+  </div>
+);
+
+const Avatar = ({ user, size = 'w-6 h-6 text-xs' }) => (user.photoURL ? (
+  <img src={user.photoURL} alt="" referrerPolicy="no-referrer" className={`${size} rounded-full object-cover`} />
+) : (
+  <div className={`${size} rounded-full bg-indigo-600 flex items-center justify-center text-white font-bold`}>
+    {initialsOf(user)}
+  </div>
+));
+
+/**
+ * Header account menu: name, avatar, verification status and sign-out. Guests get
+ * a way to create an account; `onChange` re-renders the app after profile updates.
+ */
+const ProfileMenu = ({ user, onChange, onSignOut }) => {
+  const [open, setOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [editingName, setEditingName] = useState(null);
+  const [busy, setBusy] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const attempt = async (key, action, success) => {
+    setBusy(key);
+    setMessage(null);
+    try {
+      await action();
+      if (success) setMessage({ ok: true, text: success });
+      onChange();
+    } catch (err) {
+      console.error(err);
+      setMessage({ ok: false, text: authErrorMessage(err) });
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const saveName = () => attempt('name', async () => {
+    await updateDisplayName(editingName);
+    setEditingName(null);
+  });
+
+  const checkVerified = () => attempt('reload', async () => {
+    await user.reload();
+    if (!auth.currentUser.emailVerified) throw Object.assign(new Error('Email not verified'), { code: 'unverified' });
+  }, 'Email verified.');
+
+  return (
+    <div className="relative">
+      <button 
+        onClick={() => setOpen(!open)} 
+        className="flex items-center gap-2 px-3 py-1.5 bg-slate-100 hover:bg-slate-200 rounded-full transition-colors"
+      >
+        <Avatar user={user} />
+        <span className="max-w-[8rem] truncate text-xs font-medium text-slate-600">{displayNameOf(user)}</span>
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-40 mt-2 w-72 bg-white rounded-xl shadow-lg border border-slate-200 p-4 space-y-3">
+            <div className="flex items-center gap-3">
+              <Avatar user={user} size="w-10 h-10 text-sm" />
+              <div className="min-w-0">
+                <div className="text-sm font-semibold text-slate-800 truncate">{displayNameOf(user)}</div>
+                <div className="text-xs text-slate-500 truncate">{user.isAnonymous ? 'Guest session' : user.email}</div>
+              </div>
+            </div>
+
+            {!user.isAnonymous && (editingName === null ? (
+              <button onClick={() => setEditingName(user.displayName || '')} className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-800">
+                <Pencil className="w-3 h-3" /> Edit display name
+              </button>
+            ) : (
+              <div className="flex gap-2">
+                <Input value={editingName} onChange={(e) => setEditingName(e.target.value)} placeholder="Display name" className="!p-1.5" />
+                <Button onClick={saveName} loading={busy === 'name'} disabled={!editingName.trim()} className="!px-3 !py-1 text-xs">Save</Button>
+              </div>
+            ))}
+
+            {!user.isAnonymous && user.email && !user.emailVerified && (
+              <div className="p-3 bg-amber-50 border border-amber-100 rounded-lg text-xs text-amber-800 space-y-2">
+                <div className="flex items-center gap-1.5 font-medium">
+                  <Mail className="w-3.5 h-3.5" /> Email not verified
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="secondary" onClick={() => attempt('resend', resendVerification, `Verification email sent to ${user.email}.`)} loading={busy === 'resend'} className="!px-2 !py-1 text-xs">
+                    Resend Link
+                  </Button>
+                  <Button variant="ghost" onClick={checkVerified} loading={busy === 'reload'} className="!px-2 !py-1 text-xs">
+                    I've Verified
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {message && (
+              <p className={`text-xs ${message.ok ? 'text-green-700' : 'text-red-600'}`}>
+                {message.text}
+              </p>
+            )}
+
+            {user.isAnonymous && (
+              <Button onClick={() => { setCreating(true); setOpen(false); }} className="w-full text-sm">
+                <UserPlus className="w-4 h-4 mr-2" /> Create Account
+              </Button>
+            )}
+            <Button variant="danger" onClick={onSignOut} className="w-full text-sm">
+              <LogOut className="w-4 h-4 mr-2" /> Sign Out
+            </Button>
+          </div>
+        </>
+      )}
+
+      {creating && (
+        <Modal title="Save Your Work to an Account" onClose={() => setCreating(false)}>
+          <AuthForm initialMode="signup" onDone={() => { setCreating(false); onChange(); }} />
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+// --- Settings Component ---
+
+const SettingsPanel = ({ onClose }) => {
+  const settings = useStore(llmSettingsStore);
+  const { id, provider, config } = getActiveProvider(settings);
+
+  const updateConfig = (field, value) => {
+    llmSettingsStore.set(prev => ({ ...prev, [id]: { ...config, [field]: value } }));
+  };
+
+  return (
+    <Modal title="AI Provider Settings" onClose={onClose}>
+      <div>
+        <Label>Provider</Label>
+        <Select 
+          value={id} 
+          onChange={(e) => llmSettingsStore.set(prev => ({ ...prev, provider: e.target.value }))}
+          options={Object.entries(LLM_PROVIDERS).map(([value, p]) => ({ value, label: p.label }))}
+        />
+      </div>
+
+      <div>
+        <Label>Model</Label>
+        <Input value={config.model} onChange={(e) => updateConfig('model', e.target.value)} placeholder={provider.defaults.model} />
+        <div className="flex flex-wrap gap-2 mt-2">
+          {provider.models.map(m => (
+            <button
+              key={m}
+              onClick={() => updateConfig('model', m)}
+              className={`px-3 py-1 rounded-full text-xs font-medium transition-colors border ${
+                config.model === m 
+                ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+              }`}
+            >
+              {m}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {id === 'openai' && (
+        <div>
+          <Label>Base URL</Label>
+          <Input value={config.baseUrl} onChange={(e) => updateConfig('baseUrl', e.target.value)} placeholder="http://localhost:11434/v1" />
+          <p className="mt-1 text-xs text-slate-500">Any endpoint exposing <code>/chat/completions</code>, including a local server.</p>
+        </div>
+      )}
+
+      {id !== 'mock' && (
+        <div>
+          <Label>API Key</Label>
+          <Input 
+            type="password" 
+            value={config.apiKey} 
+            onChange={(e) => updateConfig('apiKey', e.target.value)} 
+            placeholder={id === 'gemini' ? 'Leave blank to use the runtime key' : 'Optional for local servers'} 
+          />
+        </div>
+      )}
+
+      {id === 'mock' && (
+        <p className="text-sm text-slate-500">The mock provider returns deterministic text without any network calls. Use it for tests and offline demos.</p>
+      )}
+
+      <div className="pt-2 flex justify-end">
+        <Button onClick={onClose}>Done</Button>
+      </div>
+    </Modal>
+  );
+};
+
+// --- Feature Components ---
+
+const urlRulesStore = createPersistentStore('seoStudio.urlRules', DEFAULT_URL_RULES);
+
+const UrlRulesEditor = ({ rules, onChange }) => {
+  const update = (field, value) => onChange({ ...rules, [field]: value });
+  const listField = rules.mode === 'allow' ? 'allowParams' : 'removeParams';
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <Label>Query Parameter Mode</Label>
+        <div className="flex flex-wrap gap-2">
+          {[['remove', 'Strip matching params'], ['allow', 'Keep only allow-listed params']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => update('mode', mode)}
+              className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+                rules.mode === mode 
+                ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <Label>{rules.mode === 'allow' ? 'Allowed Parameters' : 'Parameters to Remove'} (wildcards like utm_* allowed)</Label>
+        <Input 
+          value={rules[listField].join(', ')} 
+          onChange={(e) => update(listField, parsePatternList(e.target.value))} 
+          placeholder="utm_*, mc_*, fbclid" 
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Checkbox checked={rules.lowercaseHost} onChange={(v) => update('lowercaseHost', v)} label="Lowercase host" />
+        <Checkbox checked={rules.stripWww} onChange={(v) => update('stripWww', v)} label="Strip www." />
+        <Checkbox checked={rules.stripFragment} onChange={(v) => update('stripFragment', v)} label="Strip #fragments" />
+        <Checkbox checked={rules.forceHttps} onChange={(v) => update('forceHttps', v)} label="Force https" />
+        <Checkbox checked={rules.sortParams} onChange={(v) => update('sortParams', v)} label="Sort query parameters" />
+        <Checkbox checked={rules.removeDefaultPort} onChange={(v) => update('removeDefaultPort', v)} label="Remove default ports (:80, :443)" />
+        <Checkbox checked={rules.dedupe} onChange={(v) => update('dedupe', v)} label="Remove duplicates after cleaning" />
+      </div>
+
+      <div>
+        <Label>Trailing Slash</Label>
+        <Select 
+          value={rules.trailingSlash} 
+          onChange={(e) => update('trailingSlash', e.target.value)}
+          options={[
+            { value: 'keep', label: 'Leave as is' },
+            { value: 'add', label: 'Always add (except file paths)' },
+            { value: 'remove', label: 'Always remove' }
+          ]}
+          className="md:w-1/2"
+        />
+      </div>
+    </div>
+  );
+};
+
+const UrlTrimmer = () => {
+  const [savedRules, saveRules] = useUrlRules();
+  const { readOnly, workspace } = useContext(ToolContext);
+  const [rulesError, setRulesError] = useState('');
+  const [inputUrl, setInputUrl] = useState('');
+  const [cleanedUrl, setCleanedUrl] = useState('');
+  const [report, setReport] = useState([]);
+  const [rules, setRules] = useState(savedRules);
+  const [showRules, setShowRules] = useState(false);
+
+  const savedKey = JSON.stringify(savedRules);
+  const rulesChanged = JSON.stringify(rules) !== savedKey;
+
+  // Shared rules can load after mount or change with the workspace; the editor follows them
+  useEffect(() => {
+    setRules(JSON.parse(savedKey));
+  }, [workspace?.id, savedKey]);
+
+  const saveUrlRules = async () => {
+    setRulesError('');
+    try {
+      await saveRules(rules);
+    } catch (err) {
+      setRulesError(`Couldn't save the shared rules: ${err.message}`);
+    }
+  };
+
+  const cleanUrls = () => {
+    const lines = inputUrl.split('\n');
+    const seen = new Map();
+    const rows = [];
+    
+    lines.forEach((line, idx) => {
+      const trimmedLine = line.trim();
+      if (!trimmedLine) return;
+      
+      const result = canonicalizeUrl(trimmedLine, rules);
+      if (!result) {
+        // Keep the original line with an error marker so the user sees which one failed
+        rows.push({ line: idx + 1, input: trimmedLine, output: `${trimmedLine} (Invalid URL)`, changes: ['Invalid URL'], invalid: true });
+        return;
+      }
+
+      const duplicateOf = rules.dedupe ? seen.get(result.url) : undefined;
+      if (duplicateOf === undefined) seen.set(result.url, idx + 1);
+      rows.push({
+        line: idx + 1,
+        input: trimmedLine,
+        output: result.url,
+        changes: duplicateOf ? [...result.changes, `Duplicate of line ${duplicateOf} (dropped)`] : result.changes,
+        duplicate: duplicateOf !== undefined
+      });
+    });
+
+    setReport(rows);
+    setCleanedUrl(rows.filter(row => !row.duplicate).map(row => row.output).join('\n'));
+  };
+
+  const downloadReport = () => {
+    const csv = toCsv([
+      ['Line', 'Original URL', 'Cleaned URL', 'Changes'],
+      ...report.map(row => [row.line, row.input, row.duplicate ? '' : row.output, row.changes.join('; ') || 'Unchanged'])
+    ]);
+    downloadFile('url-cleaning-report.csv', csv, 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-indigo-50 to-blue-50 p-6 rounded-xl border border-indigo-100">
+        <h2 className="text-xl font-bold text-indigo-900 mb-2">Bulk SEO URL Cleaner</h2>
+        <p className="text-indigo-700/80 text-sm">Remove tracking parameters and canonicalize multiple links at once with your own rules.</p>
+      </div>
+
+      <Card className="p-6">
+        <button 
+          onClick={() => setShowRules(!showRules)} 
+          className="w-full flex items-center justify-between text-sm font-semibold text-slate-700"
+        >
+          <span className="flex items-center gap-2">
+            <Settings className="w-4 h-4 text-slate-400" />
+            Canonicalization Rules
+            {workspace && <span className="text-xs font-medium text-slate-400">shared with {workspace.name}</span>}
+            {rulesChanged && <span className="text-xs font-medium text-amber-600">(unsaved)</span>}
+          </span>
+          <ChevronRight className={`w-4 h-4 text-slate-400 transition-transform ${showRules ? 'rotate-90' : ''}`} />
+        </button>
+        {showRules && (
+          <div className="mt-4 pt-4 border-t border-slate-100 space-y-4">
+            <UrlRulesEditor rules={rules} onChange={setRules} />
+            <div className="flex flex-wrap items-center gap-2">
+              {!readOnly && <Button onClick={saveUrlRules} disabled={!rulesChanged}>Save Rules</Button>}
+              <Button variant="secondary" onClick={() => setRules(DEFAULT_URL_RULES)}>Reset to Defaults</Button>
+              {rulesError && <span className="text-sm text-red-600">{rulesError}</span>}
+            </div>
+          </div>
+        )}
+      </Card>
+
+      <Card className="p-6">
+        <Label>Enter URLs (One per line)</Label>
+        <TextArea 
+          value={inputUrl} 
+          onChange={(e) => setInputUrl(e.target.value)} 
+          placeholder={`https://example.com/page?utm_source=google\nhttps://anothersite.com/post?fbclid=123...`}
+          rows={8}
+        />
+        <div className="mt-4">
+          <Button onClick={cleanUrls} disabled={!inputUrl}>Clean URLs</Button>
+        </div>
+        <ResultBox title="Cleaned URLs" content={cleanedUrl} format="text" />
+
+        {report.length > 0 && (
+          <div className="mt-6">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Change Report</h3>
+              <button 
+                onClick={downloadReport}
+                className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+              >
+                <Download className="w-3 h-3 mr-1" />
+                Download CSV
+              </button>
+            </div>
+            <div className="overflow-x-auto border border-slate-200 rounded-xl">
+              <table className="w-full text-xs">
+                <thead className="bg-slate-50 text-left text-slate-500 uppercase">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">#</th>
+                    <th className="px-3 py-2 font-medium">Result</th>
+                    <th className="px-3 py-2 font-medium">Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.map(row => (
+                    <tr key={row.line} className={`border-t border-slate-100 ${row.invalid ? 'bg-red-50' : row.duplicate ? 'bg-amber-50' : ''}`}>
+                      <td className="px-3 py-2 text-slate-400 align-top">{row.line}</td>
+                      <td className="px-3 py-2 align-top break-all">
+                        <div className="text-slate-800">{row.output}</div>
+                        {row.output !== row.input && !row.invalid && <div className="text-slate-400 line-through">{row.input}</div>}
+                      </td>
+                      <td className="px-3 py-2 align-top text-slate-600">{row.changes.join('; ') || 'Unchanged'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const ISSUE_STYLES = {
+  invalid: "bg-red-50 text-red-700 border-red-100",
+  loop: "bg-red-50 text-red-700 border-red-100",
+  duplicate: "bg-amber-50 text-amber-700 border-amber-100",
+  chain: "bg-amber-50 text-amber-700 border-amber-100",
+  unmatched: "bg-slate-100 text-slate-600 border-slate-200"
+};
+
+const RedirectMapper = () => {
+  const [rules] = useUrlRules();
+  const [mode, setMode] = useState('lists');
+  const [oldText, setOldText] = useState('');
+  const [newText, setNewText] = useState('');
+  const [csvText, setCsvText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [format, setFormat] = useState('htaccess');
+
+  const analyzed = useMemo(() => analyzeRedirects(rows, rules), [rows, rules]);
+
+  const candidates = mode === 'lists'
+    ? splitLines(newText)
+    : [...new Set(rows.map(row => row.target).filter(Boolean))];
+
+  const buildMap = () => {
+    if (mode === 'lists') {
+      setRows(autoMatchRedirects(splitLines(oldText), splitLines(newText), rules));
+      return;
+    }
+    const parsed = parseCsv(csvText);
+    // Skip a header row such as "old,new" when its first cell is not a URL or path
+    const body = parsed.length && !parseRedirectUrl(parsed[0][0], rules) ? parsed.slice(1) : parsed;
+    setRows(body.map(([source, target = '']) => ({ id: createId(), source, target, score: null })));
+  };
+
+  const updateTarget = (id, target) => {
+    setRows(rows.map(row => (row.id === id ? { ...row, target, score: null } : row)));
+  };
+
+  const removeRow = (id) => setRows(rows.filter(row => row.id !== id));
+
+  const flattenChains = () => {
+    const finals = new Map(analyzed.filter(row => row.finalTarget).map(row => [row.id, row.finalTarget]));
+    setRows(rows.map(row => (finals.has(row.id) ? { ...row, target: finals.get(row.id), score: null } : row)));
+  };
+
+  const issueCounts = analyzed.reduce((counts, row) => {
+    row.issues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+    return counts;
+  }, {});
+
+  // Only valid, loop-free rules make it into the output; the first of any duplicate source wins
+  const exportRows = analyzed.filter((row, idx) => row.from && row.to
+    && !row.issues.some(issue => issue.type === 'loop' || issue.type === 'invalid')
+    && analyzed.findIndex(other => other.from && sameLocation(other.from, row.from)) === idx);
+  const output = exportRows.length ? REDIRECT_FORMATS[format].build(exportRows) : '';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-indigo-50 to-blue-50 p-6 rounded-xl border border-indigo-100">
+        <h2 className="text-xl font-bold text-indigo-900 mb-2">Redirect Mapper</h2>
+        <p className="text-indigo-700/80 text-sm">Match old URLs to new ones, catch chains and loops, and export 301 rules for your server.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {[['lists', 'Two URL lists'], ['csv', 'Paste CSV (old,new)']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setMode(id)}
+              className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+                mode === id 
+                ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'lists' ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Old URLs (One per line)</Label>
+              <TextArea value={oldText} onChange={(e) => setOldText(e.target.value)} placeholder={`https://old.com/blog/best-shoes-2020\n/about-us`} rows={8} />
+            </div>
+            <div>
+              <Label>New URLs (One per line)</Label>
+              <TextArea value={newText} onChange={(e) => setNewText(e.target.value)} placeholder={`https://new.com/guides/best-shoes\nhttps://new.com/company/about`} rows={8} />
+            </div>
+          </div>
+        ) : (
+          <div>
+            <Label>Redirect CSV</Label>
+            <TextArea value={csvText} onChange={(e) => setCsvText(e.target.value)} placeholder={`old,new\n/old-page,/new-page\nhttps://old.com/a,https://new.com/b`} rows={8} />
+          </div>
+        )}
+
+        <p className="text-xs text-slate-500">URLs are compared after applying your saved URL Cleaner rules.</p>
+
+        <Button onClick={buildMap} disabled={mode === 'lists' ? !oldText.trim() : !csvText.trim()}>
+          <ArrowRightLeft className="w-4 h-4 mr-2" />
+          {mode === 'lists' ? 'Auto-Match URLs' : 'Load Redirects'}
+        </Button>
+      </Card>
+
+      {rows.length > 0 && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+              <span className="px-2 py-1 rounded-full bg-indigo-50 text-indigo-700 font-medium">{rows.length} rules</span>
+              {Object.entries(issueCounts).map(([type, count]) => (
+                <span key={type} className={`px-2 py-1 rounded-full border font-medium ${ISSUE_STYLES[type]}`}>{count} {type}</span>
+              ))}
+            </div>
+            {issueCounts.chain > 0 && (
+              <Button variant="secondary" onClick={flattenChains} className="!py-1.5 text-xs">Flatten Chains</Button>
+            )}
+          </div>
+
+          <datalist id="redirect-targets">
+            {candidates.map(url => <option key={url} value={url} />)}
+          </datalist>
+
+          <div className="overflow-x-auto border border-slate-200 rounded-xl">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-50 text-left text-slate-500 uppercase">
+                <tr>
+                  <th className="px-3 py-2 font-medium">Old URL</th>
+                  <th className="px-3 py-2 font-medium">New URL</th>
+                  <th className="px-3 py-2 font-medium">Match</th>
+                  <th className="px-3 py-2 font-medium">Issues</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {analyzed.map(row => (
+                  <tr key={row.id} className="border-t border-slate-100 align-top">
+                    <td className="px-3 py-2 break-all text-slate-800">{row.source}</td>
+                    <td className="px-3 py-2 min-w-[220px]">
+                      <Input 
+                        value={row.target} 
+                        onChange={(e) => updateTarget(row.id, e.target.value)} 
+                        list="redirect-targets" 
+                        placeholder="Choose or type a target" 
+                        className="!p-1.5 text-xs" 
+                      />
+                      {row.finalTarget && <div className="mt-1 text-amber-700 break-all">Final: {row.finalTarget}</div>}
+                    </td>
+                    <td className="px-3 py-2 text-slate-500 whitespace-nowrap">
+                      {row.score === null ? 'Manual' : `${Math.round(row.score * 100)}%`}
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="flex flex-wrap gap-1">
+                        {row.issues.map(issue => (
+                          <span key={issue.label} className={`px-1.5 py-0.5 rounded border ${ISSUE_STYLES[issue.type]}`}>{issue.label}</span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <button onClick={() => removeRow(row.id)} className="text-slate-400 hover:text-red-600" title="Remove rule">
+                        <X className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      {rows.length > 0 && (
+        <Card className="p-6">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(REDIRECT_FORMATS).map(([id, f]) => (
+                <button
+                  key={id}
+                  onClick={() => setFormat(id)}
+                  className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+                    format === id 
+                    ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                    : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+                  }`}
+                >
+                  {f.label}
+                </button>
+              ))}
+            </div>
+            <Button variant="secondary" onClick={() => downloadFile(REDIRECT_FORMATS[format].filename, output)} disabled={!output} className="!py-1.5 text-xs">
+              <Download className="w-3.5 h-3.5 mr-1" />
+              Download {REDIRECT_FORMATS[format].filename}
+            </Button>
+          </div>
+          <p className="mt-3 text-xs text-slate-500">
+            {exportRows.length} of {rows.length} rules exported. Loops, invalid URLs and repeated sources are left out.
+          </p>
+          <ResultBox title="301 Rules" content={output} format="text" />
+        </Card>
+      )}
+    </div>
+  );
+};
+
+const CLUSTER_PAGE_SIZE = 50;
+const CLUSTER_LABEL_BATCH = 40;
+
+const INTENT_STYLES = {
+  informational: 'bg-sky-50 text-sky-700 border-sky-200',
+  navigational: 'bg-slate-100 text-slate-600 border-slate-200',
+  commercial: 'bg-amber-50 text-amber-700 border-amber-200',
+  transactional: 'bg-green-50 text-green-700 border-green-200'
+};
+
+const CLUSTER_COLUMNS = [
+  { key: 'label', label: 'Cluster' },
+  { key: 'pillar', label: 'Pillar Keyword' },
+  { key: 'intent', label: 'Intent' },
+  { key: 'volume', label: 'Volume', numeric: true },
+  { key: 'difficulty', label: 'Avg. KD', numeric: true },
+  { key: 'size', label: 'Keywords', numeric: true }
+];
+
+const clusterSortValue = (cluster, key) => (key === 'size' ? cluster.members.length : cluster[key]);
+
+const KeywordClusterer = () => {
+  const [text, setText] = useState('');
+  const [threshold, setThreshold] = useState('0.5');
+  const [clusters, setClusters] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [labeling, setLabeling] = useState(null);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [error, setError] = useState('');
+  const [labelError, setLabelError] = useState(null);
+  const [sort, setSort] = useState({ key: 'volume', desc: true });
+  const [page, setPage] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [hideSingles, setHideSingles] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Stop clustering or labeling when the tool unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const busy = progress !== null || labeling !== null;
+
+  const visible = useMemo(() => {
+    const list = hideSingles ? clusters.filter(cluster => cluster.members.length > 1) : [...clusters];
+    const direction = sort.desc ? -1 : 1;
+    return list.sort((a, b) => {
+      const x = clusterSortValue(a, sort.key);
+      const y = clusterSortValue(b, sort.key);
+      if (x === y) return 0;
+      if (x === null || x === '') return 1;
+      if (y === null || y === '') return -1;
+      return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * direction;
+    });
+  }, [clusters, sort, hideSingles]);
+
+  const pageCount = Math.max(1, Math.ceil(visible.length / CLUSTER_PAGE_SIZE));
+  const pageRows = visible.slice(page * CLUSTER_PAGE_SIZE, (page + 1) * CLUSTER_PAGE_SIZE);
+  const keywordCount = clusters.reduce((sum, cluster) => sum + cluster.members.length, 0);
+
+  const startTask = () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError('');
+    setLabelError(null);
+    return controller;
+  };
+
+  const finishTask = (controller) => {
+    if (controllerRef.current !== controller) return false;
+    controllerRef.current = null;
+    return true;
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setText(await file.text());
+    e.target.value = '';
+  };
+
+  const handleCluster = async () => {
+    const controller = startTask();
+    setProgress(0);
+    setExpanded(null);
+    try {
+      const items = parseKeywordList(text);
+      if (!items.length) throw new Error('No keywords found in the input.');
+      const result = await clusterKeywords(items, {
+        threshold: Number(threshold),
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      setClusters(result);
+      setPage(0);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message);
+    } finally {
+      if (finishTask(controller)) setProgress(null);
+    }
+  };
+
+  // Labels multi-keyword clusters in batches; single keywords already name themselves
+  const handleLabel = async () => {
+    const controller = startTask();
+    const pending = clusters.filter(cluster => cluster.members.length > 1);
+    setLabeling(0);
+    try {
+      for (let start = 0; start < pending.length; start += CLUSTER_LABEL_BATCH) {
+        const batch = pending.slice(start, start + CLUSTER_LABEL_BATCH);
+        const response = await runTask('clusters', { clusters: batch, locale }, { signal: controller.signal });
+        const data = parseJsonResponse(response);
+        const labels = new Map((Array.isArray(data) ? data : data.clusters || [])
+          .map(item => [String(item.id), item]));
+        setClusters(current => current.map(cluster => {
+          const label = labels.get(cluster.id);
+          if (!label) return cluster;
+          const intent = String(label.intent || '').toLowerCase();
+          return {
+            ...cluster,
+            label: String(label.label || '').trim() || cluster.label,
+            intent: SEARCH_INTENTS.includes(intent) ? intent : cluster.intent
+          };
+        }));
+        setLabeling(Math.min(1, (start + CLUSTER_LABEL_BATCH) / pending.length));
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') setLabelError(err);
+    } finally {
+      if (finishTask(controller)) setLabeling(null);
+    }
+  };
+
+  // Numbers sort largest first, text A to Z; clicking the active column flips it
+  const toggleSort = (column) => {
+    setSort(current => ({ key: column.key, desc: current.key === column.key ? !current.desc : Boolean(column.numeric) }));
+    setPage(0);
+  };
+
+  const exportCsv = () => {
+    const csv = toCsv([
+      ['Cluster', 'Pillar Keyword', 'Intent', 'Keyword', 'Volume', 'Difficulty', 'Variants'],
+      ...visible.flatMap(cluster => cluster.members.map(member => [
+        cluster.label,
+        cluster.pillar,
+        cluster.intent,
+        member.keyword,
+        member.volume ?? '',
+        member.difficulty ?? '',
+        member.variants.join('; ')
+      ]))
+    ]);
+    downloadFile('keyword-clusters.csv', csv, 'text/csv;charset=utf-8');
+  };
+
+  const activeProgress = progress ?? labeling;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-lime-50 to-green-50 p-6 rounded-xl border border-lime-100">
+        <h2 className="text-xl font-bold text-lime-900 mb-2">Keyword Clusterer</h2>
+        <p className="text-lime-700/80 text-sm">Group large keyword exports into topic clusters by the terms they share.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <div className="flex items-center justify-between mb-1.5">
+            <Label>Keywords (List or CSV with Volume / Difficulty)</Label>
+            <label className="text-xs text-indigo-600 hover:text-indigo-800 cursor-pointer font-medium">
+              Upload CSV
+              <input type="file" accept=".csv,.tsv,.txt" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          <TextArea 
+            value={text} 
+            onChange={(e) => setText(e.target.value)} 
+            placeholder={`Keyword,Volume,KD\nbest running shoes,12000,45\nrunning shoes for women,8100,38`} 
+            rows={10} 
+          />
+        </div>
+
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="w-40">
+            <Label>Grouping</Label>
+            <Select value={threshold} onChange={(e) => setThreshold(e.target.value)} options={CLUSTER_THRESHOLDS} />
+          </div>
+          <div className="w-40">
+            <Label>Label Language</Label>
+            <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+          </div>
+          <Button onClick={handleCluster} loading={progress !== null} disabled={!text.trim() || busy}>
+            <Layers className="w-4 h-4 mr-2" />
+            Cluster Keywords
+          </Button>
+          {clusters.length > 0 && (
+            <Button variant="secondary" onClick={handleLabel} loading={labeling !== null} disabled={busy}>
+              <Sparkles className="w-4 h-4 mr-2" />
+              Label with AI
+            </Button>
+          )}
+          {busy && (
+            <Button variant="ghost" onClick={() => controllerRef.current?.abort()}>
+              <Square className="w-4 h-4 mr-2" /> Stop
+            </Button>
+          )}
+        </div>
+
+        {activeProgress !== null && (
+          <div className="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+            <div className="h-full rounded-full bg-lime-500 transition-all" style={{ width: `${Math.round(activeProgress * 100)}%` }} />
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+        <ErrorBanner error={labelError} onRetry={busy ? undefined : handleLabel} />
+      </Card>
+
+      {clusters.length > 0 && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-3 text-xs">
+              <span className="px-2 py-1 rounded-full bg-lime-50 text-lime-700 font-medium">{clusters.length} clusters</span>
+              <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 font-medium">{keywordCount} keywords</span>
+              <Checkbox checked={hideSingles} onChange={(value) => { setHideSingles(value); setPage(0); }} label="Hide single-keyword clusters" />
+            </div>
+            <Button variant="secondary" onClick={exportCsv} className="!py-1.5 text-xs">
+              <Download className="w-3.5 h-3.5 mr-1" />
+              Download CSV
+            </Button>
+          </div>
+
+          <div className="overflow-x-auto border border-slate-200 rounded-xl">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-50 text-left text-slate-500 uppercase">
+                <tr>
+                  {CLUSTER_COLUMNS.map(column => (
+                    <th key={column.key} className={`px-3 py-2 font-medium ${column.numeric ? 'text-right' : ''}`}>
+                      <button onClick={() => toggleSort(column)} className="uppercase hover:text-slate-800">
+                        {column.label}{sort.key === column.key && (sort.desc ? ' ↓' : ' ↑')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map(cluster => (
+                  <React.Fragment key={cluster.id}>
+                    <tr 
+                      onClick={() => setExpanded(expanded === cluster.id ? null : cluster.id)} 
+                      className="border-t border-slate-100 cursor-pointer hover:bg-slate-50"
+                    >
+                      <td className="px-3 py-2 font-medium text-slate-800">
+                        <ChevronRight className={`w-3 h-3 inline mr-1 text-slate-400 transition-transform ${expanded === cluster.id ? 'rotate-90' : ''}`} />
+                        {cluster.label}
+                      </td>
+                      <td className="px-3 py-2 text-slate-600">{cluster.pillar}</td>
+                      <td className="px-3 py-2">
+                        {cluster.intent && (
+                          <span className={`px-1.5 py-0.5 rounded border capitalize ${INTENT_STYLES[cluster.intent]}`}>{cluster.intent}</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right text-slate-700">{cluster.volume === null ? '–' : cluster.volume.toLocaleString()}</td>
+                      <td className="px-3 py-2 text-right text-slate-700">{cluster.difficulty === null ? '–' : Math.round(cluster.difficulty)}</td>
+                      <td className="px-3 py-2 text-right text-slate-700">{cluster.members.length}</td>
+                    </tr>
+                    {expanded === cluster.id && (
+                      <tr className="bg-slate-50/60">
+                        <td colSpan={CLUSTER_COLUMNS.length} className="px-3 py-3">
+                          <div className="flex flex-wrap gap-1.5">
+                            {cluster.members.map(member => (
+                              <span 
+                                key={member.keyword} 
+                                title={member.variants.length ? `Also: ${member.variants.join(', ')}` : undefined} 
+                                className="px-2 py-1 rounded-full bg-white border border-slate-200 text-slate-700"
+                              >
+                                {member.keyword}
+                                {member.volume !== null && <span className="ml-1 text-slate-400">{member.volume.toLocaleString()}</span>}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {pageCount > 1 && (
+            <div className="flex items-center justify-between text-xs text-slate-500">
+              <span>Page {page + 1} of {pageCount}</span>
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => setPage(page - 1)} disabled={page === 0} className="!py-1 text-xs">Previous</Button>
+                <Button variant="secondary" onClick={() => setPage(page + 1)} disabled={page >= pageCount - 1} className="!py-1 text-xs">Next</Button>
+              </div>
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+const LINK_STATUS_STYLES = {
+  pending: 'bg-slate-100 text-slate-600',
+  accepted: 'bg-green-50 text-green-700',
+  rejected: 'bg-red-50 text-red-600'
+};
+
+// The article's H1, or its first line
+const articleTopic = (text) => (text.match(/^#\s+(.+)$/m)?.[1] || text.trim().split('\n')[0] || '').slice(0, 120);
+
+const InternalLinker = ({ draft }) => {
+  const [rules] = useUrlRules();
+  const { pages: inventory } = useStore(linkInventoryStore);
+  const [inventoryText, setInventoryText] = useState('');
+  const [loadingInventory, setLoadingInventory] = useState(false);
+  const [inventoryError, setInventoryError] = useState('');
+  const [unreadSitemaps, setUnreadSitemaps] = useState([]);
+  const [content, setContent] = useState(draft?.inputs?.content ?? '');
+  const [pageUrl, setPageUrl] = useState('');
+  const [maxLinks, setMaxLinks] = useState('10');
+  const [found, setFound] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [reviewIdx, setReviewIdx] = useState(0);
+  const [aiScores, setAiScores] = useState(null);
+  const rerank = useGeneration('linker', '', { stream: false, saveHistory: false });
+
+  const pick = (candidates, scores) => {
+    setSuggestions(selectLinks(candidates, { maxLinks: Number(maxLinks), aiScores: scores }).map(link => ({ ...link, status: 'pending' })));
+    setReviewIdx(0);
+  };
+
+  // Re-pick the suggestions in the model's order once its scores arrive
+  const [rerankError, setRerankError] = useParsedResult(rerank, {
+    what: 'usable scores',
+    parse: (text) => {
+      const scores = Object.fromEntries((parseJsonResponse(text).links || [])
+        .map(link => [String(link.id), Number(link.score)])
+        .filter(([, score]) => Number.isFinite(score)));
+      if (!Object.keys(scores).length) throw new Error('No scores returned');
+      return scores;
+    },
+    onParsed: (scores) => {
+      if (!found) return;
+      setAiScores(scores);
+      pick(found.candidates, scores);
+    }
+  });
+
+  /**
+   * Adds sitemaps or URL lists to the inventory. Child sitemaps of an index are fetched
+   * directly; sites that block cross-origin requests need them uploaded instead.
+   */
+  const loadInventory = async (texts) => {
+    setLoadingInventory(true);
+    setInventoryError('');
+    setUnreadSitemaps([]);
+    try {
+      const pages = [];
+      const queue = [];
+      texts.forEach(text => {
+        const parsed = parseLinkInventory(text, rules);
+        pages.push(...parsed.pages);
+        queue.push(...parsed.sitemaps);
+      });
+
+      const fetched = new Set();
+      const unread = [];
+      while (queue.length && fetched.size < SITEMAP_FETCH_LIMIT) {
+        const url = queue.shift();
+        if (fetched.has(url)) continue;
+        fetched.add(url);
+        try {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const parsed = parseSitemapXml(await response.text());
+          pages.push(...parsed.pages);
+          queue.push(...parsed.sitemaps);
+        } catch (err) {
+          unread.push(url);
+        }
+      }
+
+      linkInventoryStore.set(current => ({ pages: mergeLinkPages(current.pages, pages, rules) }));
+      setUnreadSitemaps([...unread, ...queue.filter(url => !fetched.has(url))]);
+      setInventoryText('');
+      if (!pages.length && !unread.length) setInventoryError('No URLs found. Paste a sitemap.xml or one URL per line.');
+    } catch (err) {
+      setInventoryError(err.message);
+    } finally {
+      setLoadingInventory(false);
+    }
+  };
+
+  const handleFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if (files.length) loadInventory(await Promise.all(files.map(file => file.text())));
+  };
+
+  const clearInventory = () => {
+    linkInventoryStore.set({ pages: [] });
+    setUnreadSitemaps([]);
+    setFound(null);
+    setSuggestions([]);
+  };
+
+  // Suggestions hold offsets into the article, so any edit invalidates them
+  const updateContent = (value) => {
+    setContent(value);
+    setFound(null);
+    setSuggestions([]);
+    setAiScores(null);
+  };
+
+  const handleFind = () => {
+    const next = findLinkCandidates(content, inventory, { pageUrl, rules });
+    setFound(next);
+    setAiScores(null);
+    setRerankError('');
+    pick(next.candidates, null);
+  };
+
+  const handleRerank = () => {
+    if (!found?.candidates.length) return;
+    setRerankError('');
+    rerank.run({
+      topic: articleTopic(content),
+      candidates: [...found.candidates].sort(rankLocally).slice(0, RERANK_CANDIDATES).map(candidate => ({
+        id: candidate.id,
+        anchor: candidate.anchor,
+        url: candidate.url,
+        title: candidate.title,
+        context: `${candidate.context.before}${candidate.anchor}${candidate.context.after}`
+      }))
+    });
+  };
+
+  // Records a decision and moves on to the next undecided suggestion
+  const decide = (idx, status) => {
+    const next = suggestions.map((link, i) => (i === idx ? { ...link, status } : link));
+    setSuggestions(next);
+    const upcoming = next.findIndex((link, i) => i > idx && link.status === 'pending');
+    if (upcoming !== -1) setReviewIdx(upcoming);
+  };
+
+  const acceptRemaining = () => {
+    setSuggestions(suggestions.map(link => (link.status === 'pending' ? { ...link, status: 'accepted' } : link)));
+  };
+
+  const accepted = suggestions.filter(link => link.status === 'accepted');
+  const pendingCount = suggestions.filter(link => link.status === 'pending').length;
+  const current = suggestions[reviewIdx];
+  const titled = inventory.filter(page => page.title).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-teal-50 to-emerald-50 p-6 rounded-xl border border-teal-100">
+        <h2 className="text-xl font-bold text-teal-900 mb-2">Internal Linker</h2>
+        <p className="text-teal-700/80 text-sm">Suggest internal links for an article from your sitemap, then review them one by one.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <div className="flex items-center justify-between mb-1.5">
+            <Label>Site Inventory (sitemap.xml, Sitemap Index or URL List)</Label>
+            <label className="text-xs text-indigo-600 hover:text-indigo-800 cursor-pointer font-medium">
+              Upload Files
+              <input type="file" accept=".xml,.txt,.csv,.tsv,text/xml,application/xml" multiple onChange={handleFiles} className="hidden" />
+            </label>
+          </div>
+          <TextArea 
+            value={inventoryText} 
+            onChange={(e) => setInventoryText(e.target.value)} 
+            placeholder={`<?xml version="1.0"?><urlset>...</urlset>\n\nor one URL per line, optionally with a title:\nhttps://example.com/guides/trail-running-shoes, Best Trail Running Shoes`} 
+            rows={5} 
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <Button variant="secondary" onClick={() => loadInventory([inventoryText])} loading={loadingInventory} disabled={!inventoryText.trim()}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add to Inventory
+          </Button>
+          {inventory.length > 0 && (
+            <>
+              <span className="px-2 py-1 rounded-full bg-teal-50 text-teal-700 text-xs font-medium">{inventory.length.toLocaleString()} pages</span>
+              <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 text-xs font-medium">{titled.toLocaleString()} with titles</span>
+              <button onClick={clearInventory} className="text-xs text-slate-400 hover:text-red-600 font-medium">Clear</button>
+            </>
+          )}
+        </div>
+        {inventoryError && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {inventoryError}
+          </div>
+        )}
+        {unreadSitemaps.length > 0 && (
+          <div className="p-3 bg-amber-50 border border-amber-100 rounded-lg text-xs text-amber-800 space-y-1">
+            <p className="font-medium">{unreadSitemaps.length} child sitemaps could not be loaded. The site may block requests from the browser; download and upload them instead.</p>
+            <ul className="font-mono break-all">
+              {unreadSitemaps.slice(0, 10).map(url => <li key={url}>{url}</li>)}
+              {unreadSitemaps.length > 10 && <li>…and {unreadSitemaps.length - 10} more</li>}
+            </ul>
+          </div>
+        )}
+        {inventory.length > 0 && titled === 0 && (
+          <p className="text-xs text-slate-400">Sitemaps carry no titles, so anchors are matched against URL slugs. Add titles to a URL list for better matches.</p>
+        )}
+      </Card>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>Article (Markdown)</Label>
+          <TextArea value={content} onChange={(e) => updateContent(e.target.value)} placeholder="Paste the article to add links to..." rows={10} />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <Label>This Article's URL (Never Linked to Itself)</Label>
+            <Input value={pageUrl} onChange={(e) => setPageUrl(e.target.value)} placeholder="https://example.com/blog/this-article" />
+          </div>
+          <div>
+            <Label>Maximum Links</Label>
+            <Select value={maxLinks} onChange={(e) => setMaxLinks(e.target.value)} options={LINK_LIMITS} />
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={handleFind} disabled={!content.trim() || !inventory.length}>
+            <Search className="w-4 h-4 mr-2" />
+            Find Links
+          </Button>
+          {found && (
+            <Button variant="secondary" onClick={handleRerank} loading={rerank.loading} disabled={!found.candidates.length}>
+              <Sparkles className="w-4 h-4 mr-2" />
+              Re-rank with AI
+            </Button>
+          )}
+          {rerank.loading && (
+            <Button variant="ghost" onClick={rerank.stop}>
+              <Square className="w-4 h-4 mr-2" /> Stop
+            </Button>
+          )}
+        </div>
+        <UsageNote usage={rerank.usage} />
+        <ErrorBanner error={rerank.error} onRetry={rerank.retry} />
+        {rerankError && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {rerankError}
+          </div>
+        )}
+        {found && (
+          <div className="flex flex-wrap gap-2 text-xs">
+            <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 font-medium">{found.candidates.length} candidates</span>
+            <span className="px-2 py-1 rounded-full bg-teal-50 text-teal-700 font-medium">{suggestions.length} suggested</span>
+            {aiScores && <span className="px-2 py-1 rounded-full bg-indigo-50 text-indigo-700 font-medium">Ranked by AI</span>}
+            {found.skipped.self > 0 && <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-500">Skipped this page</span>}
+            {found.skipped.existing > 0 && <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-500">{found.skipped.existing} already linked</span>}
+          </div>
+        )}
+      </Card>
+
+      {found && !suggestions.length && (
+        <Card className="p-6 text-sm text-slate-500">No phrases in the article match a page in the inventory.</Card>
+      )}
+
+      {current && (
+        <Card className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Review Link {reviewIdx + 1} of {suggestions.length}</h3>
+            <div className="flex items-center gap-1">
+              <button onClick={() => setReviewIdx(reviewIdx - 1)} disabled={reviewIdx === 0} className="p-1.5 rounded-lg text-slate-500 hover:bg-slate-100 disabled:opacity-30" title="Previous">
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <button onClick={() => setReviewIdx(reviewIdx + 1)} disabled={reviewIdx === suggestions.length - 1} className="p-1.5 rounded-lg text-slate-500 hover:bg-slate-100 disabled:opacity-30" title="Next">
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-slate-700 leading-relaxed bg-slate-50 rounded-lg p-3" dir="auto">
+            {current.context.before}
+            <mark className="bg-teal-100 text-teal-900 rounded px-0.5 font-medium">{current.anchor}</mark>
+            {current.context.after}
+          </p>
+          <div className="text-sm">
+            <div className="font-mono text-xs text-teal-700 break-all">{current.url}</div>
+            {current.title && <div className="text-slate-600">{current.title}</div>}
+            <div className="text-xs text-slate-400 mt-1">
+              Matches {Math.round(current.score * 100)}% of the page's terms{aiScores?.[current.id] !== undefined && ` · AI score ${aiScores[current.id]}/10`}
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <Button onClick={() => decide(reviewIdx, 'accepted')}>
+              <Check className="w-4 h-4 mr-2" />
+              Accept
+            </Button>
+            <Button variant="secondary" onClick={() => decide(reviewIdx, 'rejected')}>
+              <X className="w-4 h-4 mr-2" />
+              Reject
+            </Button>
+            {pendingCount > 0 && (
+              <Button variant="ghost" onClick={acceptRemaining}>Accept All Remaining ({pendingCount})</Button>
+            )}
+          </div>
+          <div className="border-t border-slate-100 pt-3 space-y-1">
+            {suggestions.map((link, idx) => (
+              <button
+                key={link.id}
+                onClick={() => setReviewIdx(idx)}
+                className={`w-full flex items-center gap-3 px-2 py-1.5 rounded-lg text-left text-xs ${idx === reviewIdx ? 'bg-teal-50' : 'hover:bg-slate-50'}`}
+              >
+                <span className={`px-2 py-0.5 rounded-full font-medium capitalize ${LINK_STATUS_STYLES[link.status]}`}>{link.status}</span>
+                <span className="font-medium text-slate-800 truncate">{link.anchor}</span>
+                <ChevronRight className="w-3 h-3 text-slate-300 shrink-0" />
+                <span className="font-mono text-slate-500 truncate">{link.url}</span>
+              </button>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {accepted.length > 0 && (
+        <ResultBox title={`Linked Article (${accepted.length} links)`} content={applyInternalLinks(content, accepted)} />
+      )}
+    </div>
+  );
+};
+
+const CHANGEFREQ_OPTIONS = [{ value: '', label: 'None' }, ...CHANGEFREQS.map(value => ({ value, label: value }))];
+const PRIORITY_OPTIONS = [{ value: '', label: 'None' }, ...Array.from({ length: 10 }, (_, i) => ((10 - i) / 10).toFixed(1)).map(value => ({ value, label: value }))];
+const SITEMAP_PREVIEW_CHARS = 20000;
+const SITEMAP_ISSUE_LIMIT = 100;
+
+const SITEMAP_ISSUE_STYLES = {
+  error: 'text-red-600',
+  warning: 'text-amber-700'
+};
+
+const SitemapRobotsTool = () => {
+  const [rules] = useUrlRules();
+  const [list, setList] = useState('');
+  const [siteUrl, setSiteUrl] = useState('');
+  const [location, setLocation] = useState('');
+  const [defaults, setDefaults] = useState({ lastmod: '', changefreq: '', priority: '' });
+  const [built, setBuilt] = useState(null);
+  const [previewName, setPreviewName] = useState('');
+  const [robotsText, setRobotsText] = useState('');
+  const [userAgent, setUserAgent] = useState('Googlebot');
+  const [testUrls, setTestUrls] = useState('');
+
+  const robots = useMemo(() => parseRobotsTxt(robotsText), [robotsText]);
+  const tester = useMemo(() => robotsTester(robots, userAgent), [robots, userAgent]);
+  const testResults = splitLines(testUrls).map(url => ({ url, result: tester(url) }));
+  const agentLabel = userAgent.trim() || '*';
+
+  const blocked = useMemo(() => (built && robots.groups.length
+    ? built.entries.map(entry => ({ entry, result: tester(entry.url) })).filter(({ result }) => result && !result.allowed)
+    : []), [built, robots, tester]);
+
+  const handleBuild = () => {
+    const { entries, issues } = parseSitemapList(list, { siteUrl, rules, defaults });
+    // Sitemaps are served from the site root unless told otherwise
+    const folder = (location.trim() || (entries.length ? new URL(entries[0].url).origin : '')).replace(/\/+$/, '');
+    const output = buildSitemaps(entries, { location: folder });
+    setBuilt({ entries, issues, folder, ...output });
+    setPreviewName((output.index || output.files[0]).name);
+  };
+
+  const setDefault = (key, value) => setDefaults(current => ({ ...current, [key]: value }));
+
+  const allFiles = built ? [...(built.index ? [built.index] : []), ...built.files] : [];
+  const preview = allFiles.find(file => file.name === previewName);
+  const errors = built ? built.issues.filter(issue => issue.severity === 'error').length : 0;
+  const warnings = built ? built.issues.length - errors : 0;
+  const added = built ? built.entries.filter(entry => entry.added).length : 0;
+  const sitemapUrl = built?.folder ? `${built.folder}/${(built.index || built.files[0]).name}` : '';
+  const unreferenced = sitemapUrl && robotsText.trim() && !robots.sitemaps.includes(sitemapUrl);
+
+  const ruleLabel = (rule) => `Line ${rule.line}: ${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.path}`;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-cyan-50 to-blue-50 p-6 rounded-xl border border-cyan-100">
+        <h2 className="text-xl font-bold text-cyan-900 mb-2">Sitemap &amp; Robots</h2>
+        <p className="text-cyan-700/80 text-sm">Build sitemap.xml with hreflang alternates, and test URLs against robots.txt the way Google reads it.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Sitemap Builder</h3>
+        <div>
+          <Label>URLs (List or CSV)</Label>
+          <TextArea 
+            value={list} 
+            onChange={(e) => setList(e.target.value)} 
+            placeholder={`url,lastmod,changefreq,priority,en,de,x-default\nhttps://example.com/en/shoes,2026-10-01,weekly,0.8,https://example.com/en/shoes,https://example.com/de/schuhe,https://example.com/en/shoes\n/about`} 
+            rows={8} 
+            className="font-mono"
+          />
+          <p className="mt-1 text-xs text-slate-400">Language-code columns (en, de-AT, x-default) become hreflang alternates. URLs are cleaned with your saved URL Cleaner rules.</p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label>Site URL (Resolves Paths)</Label>
+            <Input value={siteUrl} onChange={(e) => setSiteUrl(e.target.value)} placeholder="https://example.com" />
+          </div>
+          <div>
+            <Label>Sitemap Location (Used by the Index)</Label>
+            <Input value={location} onChange={(e) => setLocation(e.target.value)} placeholder="Defaults to the site root" />
+          </div>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label>Default lastmod</Label>
+            <Input type="date" value={defaults.lastmod} onChange={(e) => setDefault('lastmod', e.target.value)} />
+          </div>
+          <div>
+            <Label>Default changefreq</Label>
+            <Select value={defaults.changefreq} onChange={(e) => setDefault('changefreq', e.target.value)} options={CHANGEFREQ_OPTIONS} />
+          </div>
+          <div>
+            <Label>Default priority</Label>
+            <Select value={defaults.priority} onChange={(e) => setDefault('priority', e.target.value)} options={PRIORITY_OPTIONS} />
+          </div>
+        </div>
+        <Button onClick={handleBuild} disabled={!list.trim()}>
+          <Globe className="w-4 h-4 mr-2" />
+          Build Sitemap
+        </Button>
+      </Card>
+
+      {built && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+              <span className="px-2 py-1 rounded-full bg-cyan-50 text-cyan-700 font-medium">{built.entries.length.toLocaleString()} URLs</span>
+              <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 font-medium">
+                {built.index ? `${built.files.length} sitemaps + index` : '1 sitemap'}
+              </span>
+              {added > 0 && <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 font-medium">{added} alternates added</span>}
+              {errors > 0 && <span className="px-2 py-1 rounded-full bg-red-50 text-red-700 font-medium">{errors} skipped</span>}
+              {warnings > 0 && <span className="px-2 py-1 rounded-full bg-amber-50 text-amber-700 font-medium">{warnings} warnings</span>}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {built.index && (
+                <Button variant="secondary" onClick={() => downloadFile('sitemaps.zip', createZip(allFiles))} className="!py-1.5 text-xs">
+                  <Download className="w-3.5 h-3.5 mr-1" />
+                  Download All (.zip)
+                </Button>
+              )}
+              {!built.index && (
+                <Button variant="secondary" onClick={() => downloadFile('sitemap.xml', built.files[0].content, 'application/xml;charset=utf-8')} disabled={!built.entries.length} className="!py-1.5 text-xs">
+                  <Download className="w-3.5 h-3.5 mr-1" />
+                  Download sitemap.xml
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {built.index && (
+            <p className="text-xs text-slate-500">
+              Past {MAX_SITEMAP_URLS.toLocaleString()} URLs or {MAX_SITEMAP_BYTES / 1024 / 1024} MB a sitemap must be split. Upload every file to {built.folder}/ and submit sitemap_index.xml.
+            </p>
+          )}
+
+          {blocked.length > 0 && (
+            <div className="p-3 bg-amber-50 border border-amber-100 rounded-lg text-xs text-amber-800 space-y-1">
+              <p className="font-medium flex items-center gap-1.5">
+                <AlertCircle className="w-3.5 h-3.5 shrink-0" />
+                {blocked.length} sitemap URLs are blocked by robots.txt for {agentLabel}. Remove them from the sitemap or allow them in robots.txt.
+              </p>
+              <ul className="space-y-0.5">
+                {blocked.slice(0, 10).map(({ entry, result }) => (
+                  <li key={entry.url}><span className="font-mono break-all">{entry.url}</span> · {ruleLabel(result.rule)}</li>
+                ))}
+                {blocked.length > 10 && <li>…and {blocked.length - 10} more</li>}
+              </ul>
+            </div>
+          )}
+          {unreferenced && (
+            <p className="text-xs text-slate-500">
+              robots.txt does not point to this sitemap. Add <code className="px-1 py-0.5 rounded bg-slate-100 font-mono">Sitemap: {sitemapUrl}</code>
+            </p>
+          )}
+
+          {built.issues.length > 0 && (
+            <div className="overflow-x-auto border border-slate-200 rounded-xl">
+              <table className="w-full text-xs">
+                <thead className="bg-slate-50 text-left text-slate-500 uppercase">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">Line</th>
+                    <th className="px-3 py-2 font-medium">URL</th>
+                    <th className="px-3 py-2 font-medium">Issue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {built.issues.slice(0, SITEMAP_ISSUE_LIMIT).map((issue, idx) => (
+                    <tr key={idx} className="border-t border-slate-100">
+                      <td className="px-3 py-1.5 text-slate-400">{issue.line}</td>
+                      <td className="px-3 py-1.5 font-mono text-slate-600 break-all">{issue.url}</td>
+                      <td className={`px-3 py-1.5 ${SITEMAP_ISSUE_STYLES[issue.severity]}`}>{issue.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {built.issues.length > SITEMAP_ISSUE_LIMIT && (
+                <p className="px-3 py-2 text-xs text-slate-400 border-t border-slate-100">…and {built.issues.length - SITEMAP_ISSUE_LIMIT} more</p>
+              )}
+            </div>
+          )}
+
+          {allFiles.length > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {allFiles.map(file => (
+                <button
+                  key={file.name}
+                  onClick={() => setPreviewName(file.name)}
+                  className={`px-2.5 py-1 rounded-full text-xs font-medium border ${file.name === previewName ? 'bg-cyan-50 border-cyan-200 text-cyan-800' : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'}`}
+                >
+                  {file.name}{file.urls !== undefined && ` · ${file.urls.toLocaleString()}`}
+                </button>
+              ))}
+            </div>
+          )}
+          {preview && (
+            <pre className="p-3 rounded-lg bg-slate-800 text-slate-100 text-xs overflow-x-auto max-h-96">
+              <code>{preview.content.slice(0, SITEMAP_PREVIEW_CHARS)}{preview.content.length > SITEMAP_PREVIEW_CHARS && '\n…'}</code>
+            </pre>
+          )}
+        </Card>
+      )}
+
+      <Card className="p-6 space-y-4">
+        <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">robots.txt Tester</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label>robots.txt</Label>
+            <TextArea 
+              value={robotsText} 
+              onChange={(e) => setRobotsText(e.target.value)} 
+              placeholder={`User-agent: *\nDisallow: /cart\nAllow: /cart/help\nDisallow: /*.pdf$\n\nSitemap: https://example.com/sitemap.xml`} 
+              rows={10} 
+              className="font-mono"
+            />
+          </div>
+          <div className="space-y-4">
+            <div>
+              <Label>User Agent</Label>
+              <Input value={userAgent} onChange={(e) => setUserAgent(e.target.value)} list="robots-agents" placeholder="Googlebot" />
+              <datalist id="robots-agents">
+                {ROBOTS_AGENTS.map(agent => <option key={agent} value={agent} />)}
+              </datalist>
+            </div>
+            <div>
+              <Label>URLs or Paths to Test</Label>
+              <TextArea value={testUrls} onChange={(e) => setTestUrls(e.target.value)} placeholder={'/cart/checkout\nhttps://example.com/guide.pdf'} rows={5} className="font-mono" />
+            </div>
+          </div>
+        </div>
+
+        {robotsText.trim() && (
+          <div className="flex flex-wrap gap-2 text-xs">
+            <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 font-medium">{robots.groups.length} groups</span>
+            <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600 font-medium">{robots.sitemaps.length} sitemaps</span>
+            <span className="px-2 py-1 rounded-full bg-cyan-50 text-cyan-700 font-medium">
+              {tester('/')?.agent ? `${agentLabel} follows the "${tester('/').agent}" group` : `No group applies to ${agentLabel}; everything is allowed`}
+            </span>
+          </div>
+        )}
+
+        {robots.issues.length > 0 && (
+          <ul className="space-y-1 text-xs">
+            {robots.issues.map(issue => (
+              <li key={`${issue.line}-${issue.message}`} className="text-amber-700">Line {issue.line}: {issue.message}</li>
+            ))}
+          </ul>
+        )}
+
+        {testResults.length > 0 && (
+          <div className="overflow-x-auto border border-slate-200 rounded-xl">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-50 text-left text-slate-500 uppercase">
+                <tr>
+                  <th className="px-3 py-2 font-medium">URL</th>
+                  <th className="px-3 py-2 font-medium">Result</th>
+                  <th className="px-3 py-2 font-medium">Matched Rule</th>
+                </tr>
+              </thead>
+              <tbody>
+                {testResults.map(({ url, result }, idx) => (
+                  <tr key={idx} className="border-t border-slate-100">
+                    <td className="px-3 py-1.5 font-mono text-slate-600 break-all">{url}</td>
+                    <td className="px-3 py-1.5">
+                      {!result
+                        ? <span className="text-slate-400">Invalid URL</span>
+                        : <span className={`px-2 py-0.5 rounded-full font-medium ${result.allowed ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-600'}`}>{result.allowed ? 'Allowed' : 'Blocked'}</span>}
+                    </td>
+                    <td className="px-3 py-1.5 text-slate-500 font-mono">{result?.rule ? ruleLabel(result.rule) : '–'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const formatNumber = (value, digits = 1) => (value === null ? '–' : value.toFixed(digits));
+
+const SEVERITY_STYLES = {
+  critical: 'bg-red-50 text-red-700 border-red-200',
+  warning: 'bg-amber-50 text-amber-700 border-amber-200',
+  notice: 'bg-slate-100 text-slate-600 border-slate-200'
+};
+
+const AUDIT_EXCERPT_CHARS = 1500;
+
+const scoreColor = (score) => (score >= 80 ? 'text-green-600' : score >= 50 ? 'text-amber-600' : 'text-red-600');
+
+const OnPageAuditor = ({ draft }) => {
+  const [html, setHtml] = useState('');
+  const [pageUrl, setPageUrl] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [locale, setLocale] = useState(draft?.inputs?.locale ?? DEFAULT_LOCALE);
+  const generation = useGeneration('audit', draft?.output);
+
+  const failing = report ? report.results.filter(result => !result.passed) : [];
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setHtml(await file.text());
+    e.target.value = '';
+  };
+
+  const handleAudit = () => {
+    try {
+      setReport(auditHtml(html, { pageUrl: pageUrl.trim() }));
+      setError('');
+    } catch (err) {
+      setReport(null);
+      setError(`Could not parse the HTML: ${err.message}`);
+    }
+  };
+
+  const handleSuggest = () => {
+    if (!report || !failing.length) return;
+    const { page } = report;
+    generation.run({
+      page: page.title || page.url || 'Untitled page',
+      title: page.title,
+      description: page.description,
+      findings: failing.map(result => `- [${AUDIT_SEVERITIES[result.severity].label}] ${result.label}: ${result.detail}`).join('\n'),
+      headings: page.headings.slice(0, 40).map(heading => `H${heading.level}: ${heading.text}`).join('\n'),
+      excerpt: report.text.slice(0, AUDIT_EXCERPT_CHARS),
+      locale
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-rose-50 to-orange-50 p-6 rounded-xl border border-rose-100">
+        <h2 className="text-xl font-bold text-rose-900 mb-2">On-Page Auditor</h2>
+        <p className="text-rose-700/80 text-sm">Check a page's markup for the on-page issues that hold rankings back.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <div className="flex items-center justify-between mb-1.5">
+            <Label>HTML Source</Label>
+            <label className="text-xs text-indigo-600 hover:text-indigo-800 cursor-pointer font-medium">
+              Upload .html
+              <input type="file" accept=".html,.htm,text/html" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          <TextArea 
+            value={html} 
+            onChange={(e) => setHtml(e.target.value)} 
+            placeholder="Paste the page source (View Source, then copy everything)..." 
+            rows={10} 
+          />
+        </div>
+        <div>
+          <Label>Page URL (Optional, used to tell internal from external links)</Label>
+          <Input value={pageUrl} onChange={(e) => setPageUrl(e.target.value)} placeholder="https://example.com/blog/post" />
+        </div>
+        <Button onClick={handleAudit} disabled={!html.trim()}>
+          <ClipboardCheck className="w-4 h-4 mr-2" />
+          Audit Page
+        </Button>
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+      </Card>
+
+      {report && (
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+          <Card className="p-4 flex flex-col items-center justify-center bg-slate-50 col-span-2 md:col-span-1">
+            <span className={`text-3xl font-bold ${scoreColor(report.score)}`}>{report.score}</span>
+            <span className="text-xs text-slate-500 uppercase font-medium mt-1">Score</span>
+          </Card>
+          {[
+            { label: "Words", val: report.stats.words },
+            { label: "Reading Ease", val: formatNumber(report.stats.readingEase) },
+            { label: "Grade Level", val: formatNumber(report.stats.gradeLevel) },
+            { label: "Internal Links", val: report.page.links.internal },
+            { label: "External Links", val: report.page.links.external }
+          ].map(stat => (
+            <Card key={stat.label} className="p-4 flex flex-col items-center justify-center bg-slate-50">
+              <span className="text-2xl font-bold text-slate-800">{stat.val}</span>
+              <span className="text-xs text-slate-500 uppercase font-medium mt-1">{stat.label}</span>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {report && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+              <span className="px-2 py-1 rounded-full bg-green-50 text-green-700 font-medium">{report.results.length - failing.length} passed</span>
+              {Object.keys(AUDIT_SEVERITIES).map(severity => {
+                const count = failing.filter(result => result.severity === severity).length;
+                return count > 0 && (
+                  <span key={severity} className={`px-2 py-1 rounded-full border font-medium ${SEVERITY_STYLES[severity]}`}>
+                    {count} {AUDIT_SEVERITIES[severity].label.toLowerCase()}
+                  </span>
+                );
+              })}
+            </div>
+            <div className="flex items-center gap-2">
+              <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} className="!w-auto !py-1.5 text-xs" />
+              <Button variant="secondary" onClick={handleSuggest} loading={generation.loading} disabled={!failing.length} className="!py-1.5 text-xs">
+                <Sparkles className="w-3.5 h-3.5 mr-1" />
+                Suggest Fixes
+              </Button>
+            </div>
+          </div>
+
+          <div className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+            {report.results.map(result => (
+              <div key={result.id} className="flex items-start gap-3 px-4 py-3">
+                {result.passed
+                  ? <Check className="w-4 h-4 mt-0.5 text-green-600 shrink-0" />
+                  : <AlertCircle className={`w-4 h-4 mt-0.5 shrink-0 ${result.severity === 'critical' ? 'text-red-600' : result.severity === 'warning' ? 'text-amber-500' : 'text-slate-400'}`} />}
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm font-medium text-slate-800">{result.label}</span>
+                    {!result.passed && (
+                      <span className={`px-1.5 py-0.5 rounded border text-[11px] ${SEVERITY_STYLES[result.severity]}`}>
+                        {AUDIT_SEVERITIES[result.severity].label}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-slate-500 mt-0.5 break-words">{result.detail}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {(generation.result || generation.loading || generation.error) && (
+        <ResultBox 
+          title="Suggested Fixes" 
+          content={generation.result} 
+          loading={generation.loading} 
+          stopped={generation.stopped}
+          onStop={generation.stop}
+          onKeep={generation.keep}
+          onDiscard={generation.discard}
+          usage={generation.usage}
+          error={generation.error}
+          onRetry={generation.retry}
+        />
+      )}
+    </div>
+  );
+};
+
+const WordCounter = ({ draft }) => {
+  const [text, setText] = useState(draft?.inputs?.text ?? '');
+  const [keyword, setKeyword] = useState('');
+  const [gramSize, setGramSize] = useState(1);
+  const [topN, setTopN] = useState(10);
+  
+  const stats = useMemo(() => analyzeText(text, { keyword, topN }), [text, keyword, topN]);
+  const keywordStats = stats.keyword;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-emerald-50 to-teal-50 p-6 rounded-xl border border-emerald-100">
+        <h2 className="text-xl font-bold text-emerald-900 mb-2">Word & Character Counter</h2>
+        <p className="text-emerald-700/80 text-sm">Real-time analysis of your content density, readability and reading time.</p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+        {[
+          { label: "Words", val: stats.words },
+          { label: "Characters", val: stats.chars },
+          { label: "No Spaces", val: stats.charsNoSpace },
+          { label: "Sentences", val: stats.sentences },
+          { label: "Paragraphs", val: stats.paragraphs },
+          { label: stats.readBasis === 'characters' ? "Read Time (by chars)" : "Read Time", val: `${stats.readMinutes} min` }
+        ].map((stat, idx) => (
+          <Card key={idx} className="p-4 flex flex-col items-center justify-center bg-slate-50">
+            <span className="text-2xl font-bold text-slate-800">{stat.val}</span>
+            <span className="text-xs text-slate-500 uppercase font-medium mt-1">{stat.label}</span>
+          </Card>
+        ))}
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>Content</Label>
+          <TextArea 
+            value={text} 
+            onChange={(e) => setText(e.target.value)} 
+            placeholder="Paste your content here to analyze..." 
+            rows={12}
+          />
+        </div>
+        <div>
+          <Label>Target Keyword (Optional)</Label>
+          <Input value={keyword} onChange={(e) => setKeyword(e.target.value)} placeholder="e.g., remote work" />
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card className="p-6 space-y-4">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Readability</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <div className="text-2xl font-bold text-slate-800">{formatNumber(stats.readingEase)}</div>
+              <div className="text-xs text-slate-500">Flesch Reading Ease{stats.readingEaseLabel && ` · ${stats.readingEaseLabel}`}</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-slate-800">{formatNumber(stats.gradeLevel)}</div>
+              <div className="text-xs text-slate-500">Flesch-Kincaid Grade</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-slate-800">{formatNumber(stats.avgSentenceLength)}</div>
+              <div className="text-xs text-slate-500">Avg. Words per Sentence</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-slate-800">
+                {stats.passiveSentences.length} / {stats.longSentences.length}
+              </div>
+              <div className="text-xs text-slate-500">Passive / Long (&gt;{LONG_SENTENCE_WORDS} words)</div>
+            </div>
+          </div>
+          {stats.words > 0 && stats.readingEase === null && (
+            <p className="text-xs text-slate-400">Flesch scores only apply to text in Latin script.</p>
+          )}
+          {[
+            { label: 'Passive voice', items: stats.passiveSentences, tone: 'text-amber-700 bg-amber-50 border-amber-100' },
+            { label: 'Long sentences', items: stats.longSentences, tone: 'text-red-700 bg-red-50 border-red-100' }
+          ].filter(flag => flag.items.length > 0).map(flag => (
+            <div key={flag.label}>
+              <div className="text-xs font-semibold text-slate-500 uppercase mb-1">{flag.label}</div>
+              <ul className="space-y-1 max-h-40 overflow-y-auto">
+                {flag.items.map((sentence, idx) => (
+                  <li key={idx} className={`text-xs p-2 rounded border ${flag.tone}`}>{sentence}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </Card>
+
+        <Card className="p-6 space-y-4">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Target Keyword</h3>
+          {!keywordStats ? (
+            <p className="text-sm text-slate-500">Enter a target keyword to see its density, placement and spread.</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <div className="text-2xl font-bold text-slate-800">{keywordStats.density.toFixed(2)}%</div>
+                  <div className="text-xs text-slate-500">Density ({keywordStats.count} occurrences)</div>
+                </div>
+                <div>
+                  <div className={`flex items-center gap-1 text-sm font-semibold ${keywordStats.inFirstParagraph ? 'text-green-600' : 'text-red-600'}`}>
+                    {keywordStats.inFirstParagraph ? <CheckCircle className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+                    {keywordStats.inFirstParagraph ? 'In first paragraph' : 'Missing from first paragraph'}
+                  </div>
+                  {keywordStats.inFirstParagraph && (
+                    <div className="text-xs text-slate-500 mt-1">
+                      Word {keywordStats.firstParagraphPosition} of {keywordStats.firstParagraphWords}
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div>
+                <div className="text-xs font-semibold text-slate-500 uppercase mb-1">Distribution (start → end)</div>
+                <div className="flex items-end gap-1 h-16">
+                  {keywordStats.distribution.map((count, idx) => (
+                    <div 
+                      key={idx} 
+                      title={`${count} in section ${idx + 1}`}
+                      className={`flex-1 rounded-t ${count ? 'bg-emerald-400' : 'bg-slate-200'}`}
+                      style={{ height: `${count ? 20 + (count / Math.max(...keywordStats.distribution)) * 80 : 8}%` }}
+                    />
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </Card>
+      </div>
+
+      <Card className="p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Keyword Density</h3>
+          <div className="flex items-center gap-2">
+            {[1, 2, 3].map(n => (
+              <button
+                key={n}
+                onClick={() => setGramSize(n)}
+                className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+                  gramSize === n 
+                  ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                  : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+                }`}
+              >
+                {n}-gram
+              </button>
+            ))}
+            <Select value={topN} onChange={(e) => setTopN(Number(e.target.value))} options={[10, 20, 50].map(n => ({ value: n, label: `Top ${n}` }))} className="!w-auto !py-1.5 text-xs" />
+          </div>
+        </div>
+        {stats.ngrams[gramSize].length === 0 ? (
+          <p className="text-sm text-slate-500">No phrases to show yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 uppercase border-b border-slate-200">
+                <th className="py-2 font-medium">Phrase</th>
+                <th className="py-2 font-medium text-right">Count</th>
+                <th className="py-2 font-medium text-right">Density</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.ngrams[gramSize].map(row => (
+                <tr key={row.phrase} className="border-b border-slate-100">
+                  <td className="py-1.5 text-slate-800">{row.phrase}</td>
+                  <td className="py-1.5 text-right text-slate-600">{row.count}</td>
+                  <td className="py-1.5 text-right text-slate-600">{row.density.toFixed(2)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <p className="mt-3 text-xs text-slate-400">Common stopwords are excluded, and phrases never span sentences.</p>
+      </Card>
+    </div>
+  );
+};
+
+// How much of the previous section is sent along as context for the next one
+const SECTION_CONTEXT_CHARS = 800;
+
+const headingLine = (section) => `${'#'.repeat(section.level)} ${section.heading}`;
+
+const normalizeOutline = (data) => ({
+  title: String(data?.title || '').trim(),
+  sections: (Array.isArray(data?.sections) ? data.sections : [])
+    .map(section => ({
+      id: createId(),
+      level: Number(section.level) === 3 ? 3 : 2,
+      heading: String(section.heading || '').trim(),
+      words: Math.max(0, parseInt(section.words, 10) || 0),
+      content: ''
+    }))
+    .filter(section => section.heading)
+});
+
+const assembleArticle = (title, sections) => [
+  title ? `# ${title}` : '',
+  ...sections.map(section => [headingLine(section), section.content.trim()].filter(Boolean).join('\n\n'))
+].filter(Boolean).join('\n\n');
+
+const LengthMeter = ({ label, value, target }) => {
+  const ratio = target ? value / target : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-500 mb-1">
+        <span>{label}</span>
+        <span className={ratio > 1.15 ? 'text-amber-600 font-semibold' : ''}>
+          {value.toLocaleString()} / {target.toLocaleString()} words
+        </span>
+      </div>
+      <div className="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+        <div 
+          className={`h-full rounded-full ${ratio > 1.15 ? 'bg-amber-400' : ratio >= 0.85 ? 'bg-green-500' : 'bg-indigo-500'}`}
+          style={{ width: `${Math.min(100, ratio * 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+const AiWriter = ({ draft }) => {
+  const initial = draft?.inputs || {};
+  const [mode, setMode] = useState(draft?.output ? 'quick' : 'outline');
+  const [topic, setTopic] = useState(initial.topic ?? '');
+  const [keywords, setKeywords] = useState(initial.keywords ?? '');
+  const [tone, setTone] = useState(initial.tone ?? 'Professional');
+  const [locale, setLocale] = useState(initial.locale ?? DEFAULT_LOCALE);
+  const [targetWords, setTargetWords] = useState(initial.targetWords ?? '1500');
+  const [title, setTitle] = useState('');
+  const [sections, setSections] = useState([]);
+  const [sectionFailure, setSectionFailure] = useState(null);
+  const [writingId, setWritingId] = useState(null);
+  const [sectionUsage, setSectionUsage] = useState(null);
+  const controllerRef = useRef(null);
+  const generation = useGeneration('writer', draft?.output);
+  const outlineGeneration = useGeneration('writerOutline', '', { stream: false, saveHistory: false });
+
+  // Cancel section writing when the tool unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Turn each finished outline response into editable sections
+  const [outlineError, setOutlineError] = useParsedResult(outlineGeneration, {
+    what: 'a usable outline',
+    parse: (text) => {
+      const outline = normalizeOutline(parseJsonResponse(text));
+      if (!outline.sections.length) throw new Error('No sections returned');
+      return outline;
+    },
+    onParsed: (outline) => {
+      setTitle(outline.title || topic);
+      setSections(outline.sections);
+    }
+  });
+
+  const target = Math.max(0, parseInt(targetWords, 10) || 0);
+  const article = assembleArticle(title, sections);
+  const writtenWords = tokenizeWords(article).length;
+  const plannedWords = sections.reduce((sum, section) => sum + section.words, 0);
+  const writing = writingId !== null;
+  const hasContent = sections.some(section => section.content);
+  const incomplete = sections.some(section => !section.heading.trim());
+
+  const handleGenerate = () => {
+    if (!topic) return;
+    generation.run({ topic, keywords, tone, locale });
+  };
+
+  const handleOutline = () => {
+    if (!topic) return;
+    controllerRef.current?.abort();
+    setOutlineError('');
+    outlineGeneration.run({ topic, keywords, tone, locale, targetWords: target || 1500 });
+  };
+
+  const updateSection = (id, patch) => {
+    setSections(current => current.map(section => (section.id === id ? { ...section, ...patch } : section)));
+  };
+
+  const moveSection = (idx, offset) => {
+    const next = [...sections];
+    const [section] = next.splice(idx, 1);
+    next.splice(idx + offset, 0, section);
+    setSections(next);
+  };
+
+  const addSection = () => {
+    setSections([...sections, { id: createId(), level: 2, heading: '', words: 200, content: '' }]);
+  };
+
+  const removeSection = (id) => {
+    setSections(sections.filter(section => section.id !== id));
+  };
+
+  // Each section is written with the full outline, its neighbours and the end of the previous text as context
+  const writeSection = async (list, idx, signal) => {
+    const section = list[idx];
+    const previous = list[idx - 1];
+    const next = list[idx + 1];
+    updateSection(section.id, { content: '' });
+    const content = await runTask('writerSection', {
+      title: title || topic,
+      keywords,
+      tone,
+      locale,
+      outline: [`# ${title || topic}`, ...list.map(headingLine)].join('\n'),
+      heading: section.heading,
+      level: section.level,
+      words: section.words,
+      previousHeading: previous?.heading || '',
+      previousText: previous?.content ? previous.content.slice(-SECTION_CONTEXT_CHARS) : '',
+      nextHeading: next?.heading || ''
+    }, {
+      signal,
+      onChunk: text => updateSection(section.id, { content: text }),
+      onUsage: ({ estimate, actual }) => setSectionUsage(current => addUsage(current, { estimate, actual }))
+    });
+    updateSection(section.id, { content });
+    return content;
+  };
+
+  const writeSections = async (ids) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setSectionFailure(null);
+    setSectionUsage(null);
+    const list = sections.map(section => ({ ...section }));
+    let current = 0;
+    try {
+      for (; current < list.length; current++) {
+        if (!ids.includes(list[current].id)) continue;
+        setWritingId(list[current].id);
+        list[current].content = await writeSection(list, current, controller.signal);
+      }
+      if (ids.length > 1 && list.every(section => section.content)) {
+        saveHistoryEntry('writer', { topic, keywords, tone, locale, targetWords }, assembleArticle(title, list));
+      }
+    } catch (error) {
+      // Retrying picks up at the section that failed
+      const remaining = list.slice(current).map(section => section.id).filter(id => ids.includes(id));
+      if (error.name !== 'AbortError') setSectionFailure({ error, ids: remaining });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setWritingId(null);
+      }
+    }
+  };
+
+  // Resumes with the sections that are still empty, or rewrites everything once the article is complete
+  const handleWriteArticle = () => {
+    const pending = sections.filter(section => !section.content);
+    writeSections((pending.length ? pending : sections).map(section => section.id));
+  };
+
+  const stopWriting = () => controllerRef.current?.abort();
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-purple-50 to-violet-50 p-6 rounded-xl border border-purple-100">
+        <h2 className="text-xl font-bold text-purple-900 mb-2">AI Article Writer</h2>
+        <p className="text-purple-700/80 text-sm">Plan an outline, then write long-form, SEO-optimized content section by section.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div className="flex bg-slate-100 rounded-lg p-1 w-fit">
+          {[{ id: 'outline', label: 'Outline First' }, { id: 'quick', label: 'One-Shot' }].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setMode(option.id)}
+              className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors ${
+                mode === option.id ? 'bg-white text-purple-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div>
+          <Label>Article Topic</Label>
+          <Input value={topic} onChange={(e) => setTopic(e.target.value)} placeholder="e.g., The Future of Remote Work in 2026" />
+        </div>
+        
+        <div>
+          <Label>Target Keywords (Comma separated)</Label>
+          <Input value={keywords} onChange={(e) => setKeywords(e.target.value)} placeholder="e.g., remote work, digital nomad, productivity" />
+        </div>
+
+        <div className={`grid grid-cols-1 gap-4 ${mode === 'outline' ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+          <div>
+            <Label>Tone of Voice</Label>
+            <Select value={tone} onChange={(e) => setTone(e.target.value)} options={TONES} />
+          </div>
+          <div>
+            <Label>Language</Label>
+            <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+          </div>
+          {mode === 'outline' && (
+            <div>
+              <Label>Target Length (words)</Label>
+              <Input type="number" value={targetWords} onChange={(e) => setTargetWords(e.target.value)} placeholder="1500" />
+            </div>
+          )}
+        </div>
+
+        <div className="pt-2">
+          {mode === 'quick' ? (
+            <Button onClick={handleGenerate} loading={generation.loading} disabled={!topic} className="w-full md:w-auto">
+              <Sparkles className="w-4 h-4 mr-2" />
+              Generate Article
+            </Button>
+          ) : (
+            <Button onClick={handleOutline} loading={outlineGeneration.loading} disabled={!topic || writing} className="w-full md:w-auto">
+              <Sparkles className="w-4 h-4 mr-2" />
+              {sections.length ? 'Regenerate Outline' : 'Generate Outline'}
+            </Button>
+          )}
+        </div>
+        {mode === 'outline' && <UsageNote usage={outlineGeneration.usage} />}
+        {mode === 'outline' && <ErrorBanner error={outlineGeneration.error} onRetry={outlineGeneration.retry} />}
+
+        {mode === 'outline' && outlineError && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {outlineError}
+          </div>
+        )}
+      </Card>
+
+      {mode === 'quick' && (
+        <ResultBox 
+          title="Generated Article" 
+          content={generation.result} 
+          loading={generation.loading} 
+          stopped={generation.stopped}
+          onStop={generation.stop}
+          onKeep={generation.keep}
+          onDiscard={generation.discard}
+          usage={generation.usage}
+          error={generation.error}
+          onRetry={generation.retry}
+        />
+      )}
+
+      {mode === 'outline' && (sections.length > 0 || !outlineGeneration.loading) && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="font-semibold text-slate-700">Outline</h3>
+            <div className="flex gap-2">
+              <Button variant="secondary" onClick={addSection} disabled={writing} className="text-xs py-1.5">
+                <Plus className="w-3 h-3 mr-1" /> Add Section
+              </Button>
+              {writing ? (
+                <Button variant="secondary" onClick={stopWriting} className="text-xs py-1.5">
+                  <Square className="w-3 h-3 mr-1" /> Stop
+                </Button>
+              ) : (
+                <Button onClick={handleWriteArticle} disabled={!sections.length || incomplete} className="text-xs py-1.5">
+                  <Sparkles className="w-3 h-3 mr-1" />
+                  {!hasContent ? 'Write Article' : sections.every(section => section.content) ? 'Rewrite All Sections' : 'Write Remaining Sections'}
+                </Button>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <Label>Title (H1)</Label>
+            <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder={topic || 'Article title'} />
+          </div>
+
+          {sections.length === 0 && (
+            <p className="text-sm text-slate-400">Generate an outline or add sections by hand.</p>
+          )}
+
+          <div className="space-y-3">
+            {sections.map((section, idx) => (
+              <div 
+                key={section.id} 
+                className={`rounded-lg border p-3 space-y-3 ${section.level === 3 ? 'ml-6' : ''} ${
+                  writingId === section.id ? 'border-purple-300 bg-purple-50/40' : 'border-slate-200'
+                }`}
+              >
+                <div className="flex flex-wrap items-center gap-2">
+                  <Select 
+                    value={section.level} 
+                    onChange={(e) => updateSection(section.id, { level: Number(e.target.value) })} 
+                    options={[{ value: 2, label: 'H2' }, { value: 3, label: 'H3' }]}
+                    className="w-20"
+                  />
+                  <div className="flex-1 min-w-[12rem]">
+                    <Input 
+                      value={section.heading} 
+                      onChange={(e) => updateSection(section.id, { heading: e.target.value })} 
+                      placeholder="Section heading"
+                    />
+                  </div>
+                  <div className="w-24">
+                    <Input 
+                      type="number" 
+                      value={section.words || ''} 
+                      onChange={(e) => updateSection(section.id, { words: Math.max(0, parseInt(e.target.value, 10) || 0) })} 
+                      placeholder="Words"
+                    />
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button onClick={() => moveSection(idx, -1)} disabled={writing || idx === 0} title="Move up" className="p-1.5 text-slate-400 hover:text-slate-700 disabled:opacity-30">
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => moveSection(idx, 1)} disabled={writing || idx === sections.length - 1} title="Move down" className="p-1.5 text-slate-400 hover:text-slate-700 disabled:opacity-30">
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button 
+                      onClick={() => writeSections([section.id])} 
+                      disabled={writing || !section.heading.trim()} 
+                      title={section.content ? 'Regenerate section' : 'Write section'} 
+                      className="p-1.5 text-slate-400 hover:text-purple-600 disabled:opacity-30"
+                    >
+                      {writingId === section.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                    </button>
+                    <button onClick={() => removeSection(section.id)} disabled={writing} title="Delete section" className="p-1.5 text-slate-400 hover:text-red-600 disabled:opacity-30">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                {section.content && (
+                  <div className="border-t border-slate-100 pt-3">
+                    <div className="text-[11px] text-slate-400 mb-2">
+                      {tokenizeWords(section.content).length.toLocaleString()} / {section.words.toLocaleString()} words
+                    </div>
+                    <MarkdownView source={section.content} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <ErrorBanner 
+            error={sectionFailure?.error} 
+            onRetry={() => writeSections(sectionFailure.ids.filter(id => sections.some(section => section.id === id)))} 
+          />
+
+          {target > 0 && sections.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-2">
+              <LengthMeter label="Planned" value={plannedWords} target={target} />
+              <LengthMeter label="Written" value={writtenWords} target={target} />
+            </div>
+          )}
+        </Card>
+      )}
+
+      {mode === 'outline' && hasContent && (
+        <ResultBox title="Generated Article" content={article} loading={writing} onStop={stopWriting} usage={sectionUsage} />
+      )}
+    </div>
+  );
+};
+
+const AiImprover = ({ draft }) => {
+  const initial = draft?.inputs || {};
+  const [content, setContent] = useState(initial.content ?? '');
+  const [goal, setGoal] = useState(initial.goal ?? 'Readability');
+  const [locale, setLocale] = useState(initial.locale ?? DEFAULT_LOCALE);
+  const generation = useGeneration('improver', draft?.output);
+
+  const handleImprove = () => {
+    if (!content) return;
+    generation.run({ content, goal, locale });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-orange-50 to-amber-50 p-6 rounded-xl border border-orange-100">
+        <h2 className="text-xl font-bold text-orange-900 mb-2">Content Improver</h2>
+        <p className="text-orange-700/80 text-sm">Elevate your existing drafts to professional standards.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>Original Content</Label>
+          <TextArea value={content} onChange={(e) => setContent(e.target.value)} placeholder="Paste your draft here..." />
+        </div>
+
+        <div>
+          <Label>Improvement Goal</Label>
+          <div className="flex flex-wrap gap-2">
+            {IMPROVEMENT_GOALS.map(g => (
+              <button
+                key={g}
+                onClick={() => setGoal(g)}
+                className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+                  goal === g 
+                  ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                  : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+                }`}
+              >
+                {g}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="md:w-1/2">
+          <Label>Language</Label>
+          <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+        </div>
+
+        <div className="pt-2">
+          <Button onClick={handleImprove} loading={generation.loading} disabled={!content}>
+            <TrendingUp className="w-4 h-4 mr-2" />
+            Improve Content
+          </Button>
+        </div>
+      </Card>
+
+      <ResultBox 
+        title="Polished Version" 
+        content={generation.result} 
+        loading={generation.loading} 
+        stopped={generation.stopped}
+        onStop={generation.stop}
+        onKeep={generation.keep}
+        onDiscard={generation.discard}
+        usage={generation.usage}
+        error={generation.error}
+        onRetry={generation.retry}
+      />
+    </div>
+  );
+};
+
+const Translator = ({ draft }) => {
+  const initial = draft?.inputs || {};
+  const [content, setContent] = useState(initial.content ?? '');
+  const [locale, setLocale] = useState(initial.locale ?? 'es');
+  const [keywords, setKeywords] = useState(initial.keywords ?? '');
+  const [source, setSource] = useState(initial.content ?? '');
+  const generation = useGeneration('translate', draft?.output);
+
+  const handleTranslate = () => {
+    if (!content) return;
+    setSource(content);
+    generation.run({ content, locale, keywords });
+  };
+
+  // Structure and keyword checks against the text that was actually translated
+  const checks = useMemo(() => {
+    if (generation.loading || !generation.result) return null;
+    return {
+      shape: compareMarkdownShape(source, generation.result),
+      keywords: keywords.split(',').map(keyword => keyword.trim()).filter(Boolean).map(keyword => ({
+        keyword,
+        count: [...generation.result.matchAll(termPattern([keyword]))].length
+      }))
+    };
+  }, [generation.result, generation.loading, source, keywords]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-teal-50 to-cyan-50 p-6 rounded-xl border border-teal-100">
+        <h2 className="text-xl font-bold text-teal-900 mb-2">Translate &amp; Localize</h2>
+        <p className="text-teal-700/80 text-sm">Adapt content for another market while keeping its Markdown structure and target keywords.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>Content to Translate</Label>
+          <TextArea value={content} onChange={(e) => setContent(e.target.value)} placeholder="Paste Markdown content here..." rows={10} />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label>Target Language</Label>
+            <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+          </div>
+          <div>
+            <Label>Target Keywords (Comma separated, in the target language)</Label>
+            <Input value={keywords} onChange={(e) => setKeywords(e.target.value)} placeholder="e.g., trabajo remoto, nómada digital" />
+          </div>
+        </div>
+
+        <div className="pt-2">
+          <Button onClick={handleTranslate} loading={generation.loading} disabled={!content}>
+            <Sparkles className="w-4 h-4 mr-2" />
+            Translate
+          </Button>
+        </div>
+      </Card>
+
+      <ResultBox 
+        title={`Localized Version · ${localeById(locale).label}`} 
+        content={generation.result} 
+        loading={generation.loading} 
+        stopped={generation.stopped}
+        onStop={generation.stop}
+        onKeep={generation.keep}
+        onDiscard={generation.discard}
+        usage={generation.usage}
+        error={generation.error}
+        onRetry={generation.retry}
+      />
+
+      {checks && (
+        <Card className="p-6 space-y-4">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Localization Check</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 uppercase border-b border-slate-200">
+                <th className="py-2 font-medium">Structure</th>
+                <th className="py-2 font-medium text-right">Source</th>
+                <th className="py-2 font-medium text-right">Translation</th>
+                <th className="py-2 w-8" />
+              </tr>
+            </thead>
+            <tbody>
+              {checks.shape.map(row => (
+                <tr key={row.label} className="border-b border-slate-100">
+                  <td className="py-1.5 text-slate-800">{row.label}</td>
+                  <td className="py-1.5 text-right text-slate-600">{row.source}</td>
+                  <td className="py-1.5 text-right text-slate-600">{row.output}</td>
+                  <td className="py-1.5 text-right">
+                    {row.ok ? <CheckCircle className="w-4 h-4 text-green-600 inline" /> : <AlertCircle className="w-4 h-4 text-red-600 inline" />}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {checks.keywords.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {checks.keywords.map(({ keyword, count }) => (
+                <span 
+                  key={keyword} 
+                  className={`px-2 py-0.5 rounded-full border text-xs ${count ? 'bg-green-50 text-green-700 border-green-100' : 'bg-red-50 text-red-700 border-red-100'}`}
+                >
+                  {keyword} {count ? `×${count}` : '(missing)'}
+                </span>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+const CATEGORY_STYLES = {
+  spelling: "bg-rose-50 text-rose-700 border-rose-100",
+  grammar: "bg-violet-50 text-violet-700 border-violet-100",
+  punctuation: "bg-sky-50 text-sky-700 border-sky-100",
+  style: "bg-amber-50 text-amber-700 border-amber-100"
+};
+
+const visibleWhitespace = (text) => (text.trim() ? text : text.replace(/\n/g, '↵').replace(/ /g, '·'));
+
+const ChangeActions = ({ change, onSetStatus }) => (
+  <span className="inline-flex align-middle ml-0.5">
+    {change.status !== 'accepted' && (
+      <button onClick={() => onSetStatus(change.id, 'accepted')} className="text-green-600 hover:text-green-800" title="Accept">
+        <Check className="w-3 h-3" />
+      </button>
+    )}
+    {change.status !== 'rejected' && (
+      <button onClick={() => onSetStatus(change.id, 'rejected')} className="text-red-500 hover:text-red-700" title="Reject">
+        <X className="w-3 h-3" />
+      </button>
+    )}
+  </span>
+);
+
+// Original text with each change drawn in place: struck-out original, inserted replacement
+const InlineDiff = ({ text, changes, onSetStatus }) => {
+  const parts = [];
+  let position = 0;
+
+  changes.forEach(change => {
+    parts.push(text.slice(position, change.start));
+    parts.push(
+      <span key={change.id} title={`${change.category}: ${change.reason}`} className="rounded">
+        {change.status !== 'accepted' && change.original && (
+          <span className={change.status === 'rejected' ? 'underline decoration-dotted decoration-slate-400' : 'bg-red-100 text-red-700 line-through'}>
+            {change.status === 'rejected' ? change.original : visibleWhitespace(change.original)}
+          </span>
+        )}
+        {change.status !== 'rejected' && change.replacement && (
+          <span className={change.status === 'accepted' ? 'bg-green-50 text-green-800' : 'bg-green-100 text-green-800'}>
+            {change.status === 'accepted' ? change.replacement : visibleWhitespace(change.replacement)}
+          </span>
+        )}
+        <ChangeActions change={change} onSetStatus={onSetStatus} />
+      </span>
+    );
+    position = change.end;
+  });
+  parts.push(text.slice(position));
+
+  return <div dir={textDirection(text)} className="text-sm text-slate-700 leading-7 whitespace-pre-wrap">{parts}</div>;
+};
+
+const AiProofreader = ({ draft }) => {
+  const initial = draft?.inputs || {};
+  const [content, setContent] = useState(initial.content ?? '');
+  const [locale, setLocale] = useState(initial.locale ?? DEFAULT_LOCALE);
+  const [checkedText, setCheckedText] = useState(initial.content ?? '');
+  const [review, setReview] = useState(null);
+  const [reviewError, setReviewError] = useState('');
+  const generation = useGeneration('proofreader', draft?.output, { stream: false });
+
+  useEffect(() => {
+    if (generation.loading) return;
+    if (generation.error) {
+      setReview(null);
+      setReviewError('');
+      return;
+    }
+    if (!generation.result) return;
+    try {
+      setReview({ text: checkedText, ...parseProofreadResponse(checkedText, generation.result) });
+      setReviewError('');
+    } catch (e) {
+      setReview(null);
+      setReviewError(e.message);
+    }
+  }, [generation.result, generation.loading, generation.error]);
+
+  const handleProofread = () => {
+    if (!content) return;
+    setCheckedText(content);
+    generation.run({ content, locale });
+  };
+
+  const setStatus = (id, status) => {
+    setReview({ ...review, changes: review.changes.map(c => (c.id === id ? { ...c, status } : c)) });
+  };
+
+  const setStatusFor = (category, status) => {
+    setReview({ ...review, changes: review.changes.map(c => (!category || c.category === category ? { ...c, status } : c)) });
+  };
+
+  const categoryCounts = review
+    ? PROOFREAD_CATEGORIES.map(category => ({ category, count: review.changes.filter(c => c.category === category).length })).filter(c => c.count)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-blue-50 to-cyan-50 p-6 rounded-xl border border-blue-100">
+        <h2 className="text-xl font-bold text-blue-900 mb-2">Smart Proofreader</h2>
+        <p className="text-blue-700/80 text-sm">Grammar check, spell check, and syntax correction you can review change by change.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>Text to Proofread</Label>
+          <TextArea value={content} onChange={(e) => setContent(e.target.value)} placeholder="Paste text to check..." />
+        </div>
+
+        <div className="md:w-1/2">
+          <Label>Language</Label>
+          <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={handleProofread} loading={generation.loading} disabled={!content}>
+            <CheckCircle className="w-4 h-4 mr-2" />
+            Proofread Now
+          </Button>
+          {generation.loading && (
+            <Button variant="danger" onClick={generation.stop}>
+              <Square className="w-3.5 h-3.5 mr-2 fill-current" />
+              Stop
+            </Button>
+          )}
+        </div>
+        <UsageNote usage={generation.usage} />
+        <ErrorBanner error={generation.error} onRetry={generation.retry} />
+
+        {reviewError && (
+          <div className="p-3 bg-red-50 border border-red-100 rounded-lg flex items-center gap-2 text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            <span>{reviewError}</span>
+          </div>
+        )}
+      </Card>
+
+      {review && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">
+              {review.changes.length} Suggested Change{review.changes.length === 1 ? '' : 's'}
+            </h3>
+            {review.changes.length > 0 && (
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => setStatusFor(null, 'accepted')} className="!px-3 !py-1 text-xs">Accept All</Button>
+                <Button variant="ghost" onClick={() => setStatusFor(null, 'rejected')} className="!px-3 !py-1 text-xs">Reject All</Button>
+              </div>
+            )}
+          </div>
+
+          {review.source === 'diff' && (
+            <p className="text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-lg p-2">
+              The proofreader did not return usable change records, so these edits were found by comparing its corrected text with yours.
+            </p>
+          )}
+
+          {review.unlocated.length > 0 && (
+            <div className="text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-lg p-2 space-y-1">
+              <p>
+                {review.unlocated.length} suggested change{review.unlocated.length === 1 ? '' : 's'} could not be found in your text and {review.unlocated.length === 1 ? 'was' : 'were'} not applied:
+              </p>
+              <ul className="space-y-1">
+                {review.unlocated.map((change, idx) => (
+                  <li key={idx}>
+                    <span className="line-through">{visibleWhitespace(change.original) || '∅'}</span>
+                    <span className="mx-1">→</span>
+                    <span className="font-medium">{visibleWhitespace(change.replacement) || '∅'}</span>
+                    {change.reason && <span className="text-amber-600"> ({change.reason})</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {categoryCounts.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {categoryCounts.map(({ category, count }) => (
+                <div key={category} className={`flex items-center gap-2 px-2 py-1 rounded-lg border text-xs ${CATEGORY_STYLES[category]}`}>
+                  <span className="font-semibold capitalize">{category} ({count})</span>
+                  <button onClick={() => setStatusFor(category, 'accepted')} className="underline hover:no-underline">Accept all</button>
+                  <button onClick={() => setStatusFor(category, 'rejected')} className="underline hover:no-underline">Reject all</button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="bg-slate-50 rounded-xl border border-slate-200 p-4">
+            {review.changes.length ? (
+              <InlineDiff text={review.text} changes={review.changes} onSetStatus={setStatus} />
+            ) : (
+              <p className="text-sm text-slate-500">No errors found. Your text looks good!</p>
+            )}
+          </div>
+
+          {review.changes.length > 0 && (
+            <ul className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+              {review.changes.map(change => (
+                <li key={change.id} className={`flex items-start justify-between gap-3 p-3 text-sm ${change.status === 'rejected' ? 'opacity-50' : ''}`}>
+                  <div className="min-w-0">
+                    <span className={`inline-block px-1.5 py-0.5 mr-2 rounded border text-[11px] font-medium capitalize ${CATEGORY_STYLES[change.category]}`}>{change.category}</span>
+                    <span className="text-red-600 line-through">{visibleWhitespace(change.original) || '∅'}</span>
+                    <span className="mx-1 text-slate-400">→</span>
+                    <span className="text-green-700">{visibleWhitespace(change.replacement) || '∅'}</span>
+                    {change.reason && <p className="text-xs text-slate-500 mt-1">{change.reason}</p>}
+                  </div>
+                  <div className="flex gap-1 shrink-0">
+                    <Button variant={change.status === 'accepted' ? 'primary' : 'secondary'} onClick={() => setStatus(change.id, 'accepted')} className="!px-2 !py-1 text-xs">Accept</Button>
+                    <Button variant={change.status === 'rejected' ? 'danger' : 'ghost'} onClick={() => setStatus(change.id, 'rejected')} className="!px-2 !py-1 text-xs">Reject</Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      )}
+
+      {review && (
+        <div>
+          <p className="text-xs text-slate-500">Only accepted changes are applied to the final text.</p>
+          <ResultBox title="Final Text" content={applyChanges(review.text, review.changes)} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const PILLAR_COLORS = [
+  'bg-pink-50 border-pink-200 text-pink-800',
+  'bg-indigo-50 border-indigo-200 text-indigo-800',
+  'bg-emerald-50 border-emerald-200 text-emerald-800',
+  'bg-amber-50 border-amber-200 text-amber-800',
+  'bg-sky-50 border-sky-200 text-sky-800',
+  'bg-violet-50 border-violet-200 text-violet-800'
+];
+
+const pillarColor = (pillars, name) => {
+  const idx = pillars.findIndex(pillar => pillar.name === name);
+  return idx === -1 ? 'bg-slate-50 border-slate-200 text-slate-700' : PILLAR_COLORS[idx % PILLAR_COLORS.length];
+};
+
+/**
+ * Month or week grid of calendar entries. Entries are dragged onto another day to
+ * move them and clicked to edit.
+ */
+const StrategyCalendar = ({ entries, pillars, onMove, onSelect }) => {
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(() => entries[0]?.date || dayKey());
+  const [dropTarget, setDropTarget] = useState(null);
+  const today = dayKey();
+  const cursorDate = parseIsoDate(cursor);
+  const days = view === 'month'
+    ? monthGrid(cursor)
+    : Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(cursor), i));
+  const heading = view === 'month'
+    ? cursorDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `Week of ${parseIsoDate(days[0]).toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' })}`;
+
+  const byDate = useMemo(() => {
+    const map = new Map();
+    entries.forEach(entry => map.set(entry.date, [...(map.get(entry.date) || []), entry]));
+    return map;
+  }, [entries]);
+
+  const shift = (direction) => setCursor(view === 'month'
+    ? dayKey(new Date(cursorDate.getFullYear(), cursorDate.getMonth() + direction, 1))
+    : addDays(cursor, 7 * direction));
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const id = e.dataTransfer.getData('text/plain');
+    if (id) onMove(id, day);
+  };
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <button onClick={() => shift(-1)} className="p-1.5 rounded-lg text-slate-500 hover:bg-slate-100" title="Previous">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button onClick={() => shift(1)} className="p-1.5 rounded-lg text-slate-500 hover:bg-slate-100" title="Next">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+          <h3 className="text-sm font-semibold text-slate-800">{heading}</h3>
+          <button onClick={() => setCursor(today)} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">Today</button>
+        </div>
+        <div className="flex rounded-lg border border-slate-200 overflow-hidden text-xs font-medium">
+          {['month', 'week'].map(v => (
+            <button
+              key={v}
+              onClick={() => setView(v)}
+              className={`px-3 py-1 capitalize transition-colors ${view === v ? 'bg-indigo-50 text-indigo-700' : 'bg-white text-slate-500 hover:text-slate-700'}`}
+            >
+              {v}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 gap-px bg-slate-200 border border-slate-200 rounded-lg overflow-hidden">
+        {WEEKDAYS.map(name => (
+          <div key={name} className="bg-slate-50 px-2 py-1 text-[11px] font-semibold text-slate-500 uppercase">{name}</div>
+        ))}
+        {days.map(day => {
+          const outside = view === 'month' && parseIsoDate(day).getMonth() !== cursorDate.getMonth();
+          return (
+            <div
+              key={day}
+              onDragOver={(e) => { e.preventDefault(); setDropTarget(day); }}
+              onDragLeave={() => setDropTarget(current => (current === day ? null : current))}
+              onDrop={(e) => handleDrop(e, day)}
+              className={`p-1.5 space-y-1 ${view === 'month' ? 'min-h-[96px]' : 'min-h-[240px]'} ${dropTarget === day ? 'bg-indigo-50' : outside ? 'bg-slate-50' : 'bg-white'}`}
+            >
+              <div className={`text-[11px] font-medium ${day === today ? 'text-indigo-600' : outside ? 'text-slate-300' : 'text-slate-500'}`}>
+                {parseIsoDate(day).getDate()}
+              </div>
+              {(byDate.get(day) || []).map(entry => (
+                <button
+                  key={entry.id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', entry.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onClick={() => onSelect(entry.id)}
+                  title={[entry.title, entryDetails(entry)].join('\n')}
+                  className={`w-full text-left px-1.5 py-1 rounded border text-[11px] leading-tight cursor-grab ${pillarColor(pillars, entry.pillar)}`}
+                >
+                  <div className={`font-medium ${view === 'month' ? 'truncate' : ''}`}>{entry.title}</div>
+                  {(entry.channel || entry.format) && (
+                    <div className="opacity-70 truncate">{[entry.channel, entry.format].filter(Boolean).join(' · ')}</div>
+                  )}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <p className="text-xs text-slate-400">Drag an entry to another day to reschedule it, or click it to edit.</p>
+    </Card>
+  );
+};
+
+const CalendarEntryEditor = ({ entry, strategy, onChange, onDelete, onWrite, onClose }) => (
+  <Modal title="Edit Calendar Entry" onClose={onClose}>
+    <div className="grid grid-cols-2 gap-3">
+      <div>
+        <Label>Date</Label>
+        <Input type="date" value={entry.date} onChange={(e) => isIsoDate(e.target.value) && onChange({ date: e.target.value })} />
+      </div>
+      <div>
+        <Label>Format</Label>
+        <Input value={entry.format} onChange={(e) => onChange({ format: e.target.value })} placeholder="e.g., Blog Post" />
+      </div>
+    </div>
+    <div>
+      <Label>Title</Label>
+      <Input value={entry.title} onChange={(e) => onChange({ title: e.target.value })} />
+    </div>
+    <div className="grid grid-cols-2 gap-3">
+      <div>
+        <Label>Pillar</Label>
+        <Input value={entry.pillar} onChange={(e) => onChange({ pillar: e.target.value })} list="strategy-pillars" />
+      </div>
+      <div>
+        <Label>Channel</Label>
+        <Input value={entry.channel} onChange={(e) => onChange({ channel: e.target.value })} list="strategy-channels" />
+      </div>
+    </div>
+    <div>
+      <Label>Target Keyword</Label>
+      <Input value={entry.keyword} onChange={(e) => onChange({ keyword: e.target.value })} />
+    </div>
+    <datalist id="strategy-pillars">
+      {strategy.pillars.map(pillar => <option key={pillar.name} value={pillar.name} />)}
+    </datalist>
+    <datalist id="strategy-channels">
+      {strategy.channels.map(channel => <option key={channel.name} value={channel.name} />)}
+    </datalist>
+    <div className="flex flex-wrap justify-between gap-2 pt-2">
+      <Button variant="danger" onClick={onDelete}>
+        <Trash2 className="w-4 h-4 mr-2" />
+        Delete
+      </Button>
+      <div className="flex gap-2">
+        <Button variant="secondary" onClick={onClose}>Done</Button>
+        <Button onClick={onWrite} disabled={!entry.title.trim()}>
+          <FileText className="w-4 h-4 mr-2" />
+          Write This
+        </Button>
+      </div>
+    </div>
+  </Modal>
+);
+
+const StrategyMaker = ({ draft }) => {
+  const { openTool } = useContext(ToolContext);
+  const initial = draft?.inputs || {};
+  const [bizType, setBizType] = useState(initial.bizType ?? '');
+  const [audience, setAudience] = useState(initial.audience ?? '');
+  const [goals, setGoals] = useState(initial.goals ?? '');
+  const [locale, setLocale] = useState(initial.locale ?? DEFAULT_LOCALE);
+  const [weeks, setWeeks] = useState(initial.weeks ?? '4');
+  const [startDate, setStartDate] = useState(initial.startDate ?? addDays(startOfWeek(dayKey()), 7));
+  const [strategy, setStrategy] = useState(null);
+  const [legacyOutput, setLegacyOutput] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [edited, setEdited] = useState(false);
+  const generation = useGeneration('strategy', draft?.output, { stream: false });
+
+  // Turn each finished response into an editable plan
+  const [parseError, setParseError] = useParsedResult(generation, {
+    what: 'a usable strategy',
+    parse: (text) => {
+      const next = normalizeStrategy(parseJsonResponse(text));
+      if (!next.calendar.length && !next.pillars.length) throw new Error('Empty strategy');
+      return next;
+    },
+    onParsed: (next) => {
+      setStrategy(next);
+      setLegacyOutput('');
+      setEdited(false);
+    },
+    // Strategies saved before the calendar existed are Markdown reports
+    onFailed: (text) => {
+      setStrategy(null);
+      if (text !== draft?.output) return false;
+      setLegacyOutput(text);
+      return true;
+    }
+  });
+
+  const inputs = { bizType, audience, goals, locale, weeks, startDate };
+  const name = bizType.trim() || 'Content Strategy';
+  const editing = strategy?.calendar.find(entry => entry.id === editingId);
+
+  const handleStrategize = () => {
+    if (!bizType || !isIsoDate(startDate)) return;
+    setParseError('');
+    setLegacyOutput('');
+    generation.run(inputs);
+  };
+
+  const updateEntry = (id, patch) => {
+    setStrategy(current => ({
+      ...current,
+      calendar: current.calendar
+        .map(entry => (entry.id === id ? { ...entry, ...patch } : entry))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    }));
+    setEdited(true);
+  };
+
+  const deleteEntry = (id) => {
+    setStrategy(current => ({ ...current, calendar: current.calendar.filter(entry => entry.id !== id) }));
+    setEditingId(null);
+    setEdited(true);
+  };
+
+  const writeEntry = (entry) => {
+    setEditingId(null);
+    openTool?.('writer', { inputs: { topic: entry.title, keywords: entry.keyword, locale } });
+  };
+
+  const saveEdits = () => {
+    saveHistoryEntry('strategy', inputs, JSON.stringify(strategy, null, 2));
+    setEdited(false);
+  };
+
+  const fileName = slugify(name);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-pink-50 to-rose-50 p-6 rounded-xl border border-pink-100">
+        <h2 className="text-xl font-bold text-pink-900 mb-2">Content Strategy AI</h2>
+        <p className="text-pink-700/80 text-sm">Generate personas, pillars and a dated content calendar you can reschedule, export and write from.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>Business Type / Niche</Label>
+          <Input value={bizType} onChange={(e) => setBizType(e.target.value)} placeholder="e.g., SaaS for Dentists, Vegan Bakery, Personal Finance Blog" />
+        </div>
+        
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label>Target Audience</Label>
+            <Input value={audience} onChange={(e) => setAudience(e.target.value)} placeholder="e.g., Small business owners, Gen Z students" />
+          </div>
+          <div>
+            <Label>Primary Goals</Label>
+            <Input value={goals} onChange={(e) => setGoals(e.target.value)} placeholder="e.g., Brand awareness, Lead generation" />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label>Calendar Length</Label>
+            <Select value={weeks} onChange={(e) => setWeeks(e.target.value)} options={STRATEGY_WEEKS} />
+          </div>
+          <div>
+            <Label>Start Date</Label>
+            <Input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+          </div>
+          <div>
+            <Label>Language</Label>
+            <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+          </div>
+        </div>
+
+        <div className="pt-2 flex flex-wrap gap-2">
+          <Button onClick={handleStrategize} loading={generation.loading} disabled={!bizType || !isIsoDate(startDate)} className="w-full md:w-auto">
+            <LayoutDashboard className="w-4 h-4 mr-2" />
+            Generate Strategy
+          </Button>
+          {generation.loading && (
+            <Button variant="danger" onClick={generation.stop}>
+              <Square className="w-3.5 h-3.5 mr-2 fill-current" />
+              Stop
+            </Button>
+          )}
+        </div>
+        <UsageNote usage={generation.usage} />
+        <ErrorBanner error={generation.error} onRetry={generation.retry} />
+        {parseError && (
+          <div className="p-3 bg-red-50 border border-red-100 rounded-lg flex items-center gap-2 text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            <span>{parseError}</span>
+          </div>
+        )}
+      </Card>
+
+      {legacyOutput && <ResultBox title="Your Custom Strategy" content={legacyOutput} />}
+
+      {strategy && (
+        <>
+          <Card className="p-6 space-y-5">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Strategy Brief</h3>
+              <div className="flex flex-wrap gap-2">
+                {edited && (
+                  <Button variant="secondary" onClick={saveEdits} className="!py-1.5 text-xs">
+                    <History className="w-3.5 h-3.5 mr-1" />
+                    Save to History
+                  </Button>
+                )}
+                <Button variant="secondary" onClick={() => downloadFile(`${fileName}.ics`, strategyToIcs(strategy, name), 'text/calendar;charset=utf-8')} disabled={!strategy.calendar.length} className="!py-1.5 text-xs">
+                  <Calendar className="w-3.5 h-3.5 mr-1" />
+                  .ics
+                </Button>
+                <Button variant="secondary" onClick={() => downloadFile(`${fileName}-calendar.csv`, strategyToCsv(strategy), 'text/csv;charset=utf-8')} disabled={!strategy.calendar.length} className="!py-1.5 text-xs">
+                  <Download className="w-3.5 h-3.5 mr-1" />
+                  CSV
+                </Button>
+                <Button variant="secondary" onClick={() => downloadFile(`${fileName}-brief.md`, strategyToMarkdown(strategy, name), 'text/markdown;charset=utf-8')} className="!py-1.5 text-xs">
+                  <FileText className="w-3.5 h-3.5 mr-1" />
+                  Brief
+                </Button>
+              </div>
+            </div>
+
+            {strategy.summary && <p className="text-sm text-slate-700 leading-relaxed">{strategy.summary}</p>}
+
+            {strategy.personas.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {strategy.personas.map(persona => (
+                  <div key={persona.name} className="border border-slate-200 rounded-xl p-4 space-y-2 text-sm">
+                    <div className="font-semibold text-slate-800">{persona.name}</div>
+                    {persona.needs && <p className="text-slate-600"><span className="font-medium text-slate-700">Needs: </span>{persona.needs}</p>}
+                    {persona.painPoints && <p className="text-slate-600"><span className="font-medium text-slate-700">Pain points: </span>{persona.painPoints}</p>}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+              <div>
+                <h4 className="text-xs font-semibold text-slate-500 uppercase mb-2">Content Pillars</h4>
+                <ul className="space-y-2">
+                  {strategy.pillars.map(pillar => (
+                    <li key={pillar.name}>
+                      <span className={`inline-block px-2 py-0.5 rounded-full border text-xs font-medium ${pillarColor(strategy.pillars, pillar.name)}`}>{pillar.name}</span>
+                      {pillar.description && <p className="mt-1 text-slate-600">{pillar.description}</p>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <div>
+                <h4 className="text-xs font-semibold text-slate-500 uppercase mb-2">Channels</h4>
+                <ul className="space-y-2">
+                  {strategy.channels.map(channel => (
+                    <li key={channel.name}>
+                      <span className="font-medium text-slate-800">{channel.name}</span>
+                      {channel.rationale && <p className="text-slate-600">{channel.rationale}</p>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <div>
+                <h4 className="text-xs font-semibold text-slate-500 uppercase mb-2">KPIs</h4>
+                <ul className="space-y-2">
+                  {strategy.kpis.map(kpi => (
+                    <li key={kpi.metric} className="flex justify-between gap-3">
+                      <span className="text-slate-700">{kpi.metric}</span>
+                      <span className="font-medium text-slate-800 text-right">{kpi.target}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </Card>
+
+          <StrategyCalendar
+            key={generation.result}
+            entries={strategy.calendar}
+            pillars={strategy.pillars}
+            onMove={(id, date) => updateEntry(id, { date })}
+            onSelect={setEditingId}
+          />
+        </>
+      )}
+
+      {editing && (
+        <CalendarEntryEditor
+          entry={editing}
+          strategy={strategy}
+          onChange={(patch) => updateEntry(editing.id, patch)}
+          onDelete={() => deleteEntry(editing.id)}
+          onWrite={() => writeEntry(editing)}
+          onClose={() => setEditingId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+const PixelMeter = ({ label, fit, chars }) => {
+  const over = fit.width > fit.limit;
+  return (
+    <div>
+      <div className="flex justify-between text-[11px] text-slate-500 mb-0.5">
+        <span>{label}</span>
+        <span className={over ? 'text-red-600 font-semibold' : ''}>
+          {Math.round(fit.width)} / {fit.limit}px · {chars} chars
+        </span>
+      </div>
+      <div className="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+        <div 
+          className={`h-full rounded-full ${over ? 'bg-red-500' : fit.width > fit.limit * 0.9 ? 'bg-amber-400' : 'bg-green-500'}`}
+          style={{ width: `${Math.min(100, (fit.width / fit.limit) * 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Truncated text is shown the way Google renders it, followed by the hidden remainder
+const TruncatedText = ({ fit }) => (
+  <>
+    {fit.visible}
+    {fit.truncated && (
+      <>
+        <span>{SERP_ELLIPSIS}</span>
+        <span className="mx-0.5 inline-block w-0.5 h-[1em] align-middle bg-red-500" title="Truncation point" />
+        <span className="text-slate-300 line-through decoration-red-300">{fit.overflow}</span>
+      </>
+    )}
+  </>
+);
+
+const SerpPreview = ({ url, title, description, device }) => {
+  const parsed = parseUrl(url || '');
+  const host = parsed ? parsed.host.replace(/^www\./i, '') : 'example.com';
+  const crumbs = parsed ? pathSegments(parsed.path).join(' › ') : '';
+  const limits = SERP_LIMITS[device];
+
+  return (
+    <div className={`bg-white border border-slate-200 rounded-xl p-4 ${device === 'mobile' ? 'max-w-[400px]' : ''}`} style={{ fontFamily: 'Arial, sans-serif' }}>
+      <div className="flex items-center gap-2 mb-1">
+        <div className="w-7 h-7 rounded-full bg-slate-100 flex items-center justify-center text-[10px] font-bold text-slate-500">
+          {host.charAt(0).toUpperCase()}
+        </div>
+        <div className="leading-tight">
+          <div className="text-[14px] text-[#202124]">{host}</div>
+          <div className="text-[12px] text-[#4d5156] truncate">https://{host}{crumbs && ` › ${crumbs}`}</div>
+        </div>
+      </div>
+      <div dir="auto" className={`${device === 'mobile' ? 'text-[16px]' : 'text-[20px]'} leading-snug text-[#1a0dab]`}>
+        <TruncatedText fit={fitSerpText(title, limits.title)} />
+      </div>
+      <div dir="auto" className="text-[14px] leading-snug text-[#4d5156] mt-1">
+        <TruncatedText fit={fitSerpText(description, limits.description)} />
+      </div>
+    </div>
+  );
+};
+
+const SerpSnippetGenerator = ({ draft }) => {
+  const initial = draft?.inputs || {};
+  const [summary, setSummary] = useState(initial.summary ?? '');
+  const [keyword, setKeyword] = useState(initial.keyword ?? '');
+  const [brand, setBrand] = useState(initial.brand ?? '');
+  const [url, setUrl] = useState(initial.url ?? '');
+  const [count, setCount] = useState(initial.count ?? '3');
+  const [locale, setLocale] = useState(initial.locale ?? DEFAULT_LOCALE);
+  const [options, setOptions] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [device, setDevice] = useState('desktop');
+  const [copiedIdx, setCopiedIdx] = useState(null);
+  const generation = useGeneration('serp', draft?.output, { stream: false });
+
+  // Turn each finished response into editable options
+  const [parseError, setParseError] = useParsedResult(generation, {
+    what: 'usable options',
+    parse: parseSnippetOptions,
+    onParsed: (next) => {
+      setOptions(next);
+      setSelected(0);
+    }
+  });
+
+  const handleGenerate = () => {
+    if (!summary) return;
+    setParseError('');
+    generation.run({ summary, keyword, brand, url, count, locale });
+  };
+
+  const updateOption = (idx, field, value) => {
+    setOptions(options.map((option, i) => (i === idx ? { ...option, [field]: value } : option)));
+  };
+
+  const addOption = () => {
+    setOptions([...options, { title: '', description: '' }]);
+    setSelected(options.length);
+  };
+
+  const removeOption = (idx) => {
+    setOptions(options.filter((_, i) => i !== idx));
+    setSelected(0);
+  };
+
+  const copyTags = (option, idx) => {
+    try {
+      copyToClipboard(snippetTags(option));
+      setCopiedIdx(idx);
+      setTimeout(() => setCopiedIdx(null), 2000);
+    } catch (err) {
+      console.error("Failed to copy", err);
+    }
+  };
+
+  const active = options[selected];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-sky-50 to-cyan-50 p-6 rounded-xl border border-sky-100">
+        <h2 className="text-xl font-bold text-sky-900 mb-2">SERP Snippet Generator</h2>
+        <p className="text-sky-700/80 text-sm">Generate title and meta description options and check them against Google's pixel limits.</p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <Label>What is the page about?</Label>
+          <TextArea value={summary} onChange={(e) => setSummary(e.target.value)} placeholder="e.g., A buyer's guide comparing the best trail running shoes for beginners..." rows={4} />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label>Target Keyword</Label>
+            <Input value={keyword} onChange={(e) => setKeyword(e.target.value)} placeholder="e.g., trail running shoes" />
+          </div>
+          <div>
+            <Label>Brand (Optional)</Label>
+            <Input value={brand} onChange={(e) => setBrand(e.target.value)} placeholder="e.g., RunLab" />
+          </div>
+          <div>
+            <Label>Page URL (For Preview)</Label>
+            <Input value={url} onChange={(e) => setUrl(e.target.value)} placeholder="https://example.com/guides/trail-running-shoes" />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Number of Options</Label>
+              <Select value={count} onChange={(e) => setCount(e.target.value)} options={['3', '5', '8']} />
+            </div>
+            <div>
+              <Label>Language</Label>
+              <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+            </div>
+          </div>
+        </div>
+        <div className="pt-2 flex flex-wrap gap-2">
+          <Button onClick={handleGenerate} loading={generation.loading} disabled={!summary}>
+            <Sparkles className="w-4 h-4 mr-2" />
+            Generate Snippets
+          </Button>
+          {generation.loading && (
+            <Button variant="danger" onClick={generation.stop}>
+              <Square className="w-3.5 h-3.5 mr-2 fill-current" />
+              Stop
+            </Button>
+          )}
+          <Button variant="secondary" onClick={addOption}>Write My Own</Button>
+        </div>
+        <UsageNote usage={generation.usage} />
+        <ErrorBanner error={generation.error} onRetry={generation.retry} />
+        {parseError && (
+          <div className="p-3 bg-red-50 border border-red-100 rounded-lg flex items-center gap-2 text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            <span>{parseError}</span>
+          </div>
+        )}
+      </Card>
+
+      {active && (
+        <Card className="p-6 space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Live Preview</h3>
+            <div className="flex rounded-lg border border-slate-200 overflow-hidden text-xs font-medium">
+              {['desktop', 'mobile'].map(d => (
+                <button
+                  key={d}
+                  onClick={() => setDevice(d)}
+                  className={`px-3 py-1 capitalize transition-colors ${device === d ? 'bg-indigo-50 text-indigo-700' : 'bg-white text-slate-500 hover:text-slate-700'}`}
+                >
+                  {d}
+                </button>
+              ))}
+            </div>
+          </div>
+          <SerpPreview url={url} title={active.title} description={active.description} device={device} />
+        </Card>
+      )}
+
+      {options.map((option, idx) => (
+        <Card key={idx} className={`p-5 space-y-3 ${idx === selected ? 'ring-2 ring-indigo-200' : ''}`}>
+          <div className="flex items-center justify-between">
+            <button onClick={() => setSelected(idx)} className="text-sm font-semibold text-slate-700 hover:text-indigo-700">
+              Option {idx + 1} {idx === selected && <span className="text-xs font-medium text-indigo-600">(previewing)</span>}
+            </button>
+            <div className="flex items-center gap-3">
+              <button 
+                onClick={() => copyTags(option, idx)}
+                className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+              >
+                {copiedIdx === idx ? <Check className="w-3 h-3 mr-1" /> : <Copy className="w-3 h-3 mr-1" />}
+                {copiedIdx === idx ? "Copied" : "Copy Tags"}
+              </button>
+              <button onClick={() => removeOption(idx)} className="text-slate-400 hover:text-red-600" title="Remove option">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div>
+            <Label>Title</Label>
+            <Input value={option.title} onChange={(e) => updateOption(idx, 'title', e.target.value)} />
+          </div>
+          <div>
+            <Label>Meta Description</Label>
+            <TextArea value={option.description} onChange={(e) => updateOption(idx, 'description', e.target.value)} rows={2} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {['desktop', 'mobile'].map(d => (
+              <div key={d} className="space-y-2">
+                <div className="text-xs font-semibold text-slate-500 uppercase">{d}</div>
+                <PixelMeter label="Title" fit={fitSerpText(option.title, SERP_LIMITS[d].title)} chars={option.title.length} />
+                <PixelMeter label="Description" fit={fitSerpText(option.description, SERP_LIMITS[d].description)} chars={option.description.length} />
+              </div>
+            ))}
+          </div>
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+const SCHEMA_EXTRACT_TYPES = ['FAQPage', 'HowTo'];
+
+const SchemaField = ({ field, value, onChange }) => {
+  if (field.kind === 'textarea' || field.kind === 'lines') {
+    return <TextArea value={value} onChange={(e) => onChange(e.target.value)} rows={3} />;
+  }
+  if (field.kind === 'select') {
+    return (
+      <Select 
+        value={value} 
+        onChange={(e) => onChange(e.target.value)} 
+        options={field.options.map(option => ({ value: option, label: option || 'Not set' }))} 
+      />
+    );
+  }
+  return <Input type={field.type || 'text'} value={value} onChange={(e) => onChange(e.target.value)} />;
+};
+
+const SchemaReport = ({ reports }) => (
+  <div className="space-y-3">
+    {reports.map((report, idx) => (
+      <div key={idx} className="border border-slate-200 rounded-xl p-4">
+        <div className="flex items-center gap-2 mb-2">
+          {report.errors.length 
+            ? <AlertCircle className="w-4 h-4 text-red-600" /> 
+            : <Check className="w-4 h-4 text-green-600" />}
+          <span className="text-sm font-semibold text-slate-800">{report.type}</span>
+          <span className="text-xs text-slate-500">
+            {report.errors.length} errors · {report.warnings.length} warnings
+          </span>
+        </div>
+        <ul className="space-y-1 text-xs">
+          {report.errors.map(message => <li key={message} className="text-red-600">{message}</li>)}
+          {report.warnings.map(message => <li key={message} className="text-amber-700">{message}</li>)}
+          {!report.errors.length && !report.warnings.length && (
+            <li className="text-green-700">All required and recommended properties are present.</li>
+          )}
+        </ul>
+      </div>
+    ))}
+  </div>
+);
+
+const SchemaBuilder = ({ draft }) => {
+  const initial = draft?.inputs || {};
+  const [mode, setMode] = useState(initial.article && !draft?.output ? 'extract' : 'build');
+  const [typeId, setTypeId] = useState(initial.type ?? 'Article');
+  const [values, setValues] = useState(() => Object.fromEntries(Object.keys(SCHEMA_TYPES).map(id => [id, emptySchemaValues(id)])));
+  const [pasted, setPasted] = useState('');
+  const [pastedReports, setPastedReports] = useState(null);
+  const [article, setArticle] = useState(initial.article ?? '');
+  const [extractType, setExtractType] = useState(initial.type ?? 'FAQPage');
+  const [locale, setLocale] = useState(initial.locale ?? DEFAULT_LOCALE);
+  const generation = useGeneration('schema', draft?.output, { stream: false });
+
+  // Load each finished extraction into the matching builder form
+  const [extractError, setExtractError] = useParsedResult(generation, {
+    what: `usable ${extractType} data`,
+    parse: (text) => schemaValuesFromResponse(extractType, parseJsonResponse(text)),
+    onParsed: (extracted) => {
+      setValues(current => ({ ...current, [extractType]: extracted }));
+      setTypeId(extractType);
+      setMode('build');
+    }
+  });
+
+  const current = values[typeId];
+  const schema = buildSchema(typeId, current);
+  const report = validateEntity(schema);
+
+  const setField = (key, value) => {
+    setValues({ ...values, [typeId]: { ...current, [key]: value } });
+  };
+
+  const updateGroupItem = (field, idx, key, value) => {
+    setField(field.key, current[field.key].map((item, i) => (i === idx ? { ...item, [key]: value } : item)));
+  };
+
+  const addGroupItem = (field) => {
+    setField(field.key, [...current[field.key], Object.fromEntries(field.fields.map(sub => [sub.key, '']))]);
+  };
+
+  const removeGroupItem = (field, idx) => {
+    setField(field.key, current[field.key].filter((_, i) => i !== idx));
+  };
+
+  const handleExtract = () => {
+    if (!article.trim()) return;
+    setExtractError('');
+    generation.run({ article, type: extractType, locale });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-fuchsia-50 to-pink-50 p-6 rounded-xl border border-fuchsia-100">
+        <h2 className="text-xl font-bold text-fuchsia-900 mb-2">Schema Markup</h2>
+        <p className="text-fuchsia-700/80 text-sm">Build, validate and extract JSON-LD structured data for rich results.</p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {[['build', 'Build'], ['validate', 'Validate JSON-LD'], ['extract', 'Extract with AI']].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setMode(id)}
+            className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+              mode === id 
+              ? "bg-fuchsia-100 text-fuchsia-700 border-fuchsia-200" 
+              : "bg-white text-slate-600 border-slate-200 hover:border-fuchsia-300"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'build' && (
+        <>
+          <Card className="p-6 space-y-4">
+            <div className="flex flex-wrap gap-2">
+              {Object.keys(SCHEMA_TYPES).map(id => (
+                <button
+                  key={id}
+                  onClick={() => setTypeId(id)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors border ${
+                    typeId === id 
+                    ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                    : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+                  }`}
+                >
+                  {id}
+                </button>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {SCHEMA_TYPES[typeId].fields.map(field => (field.kind === 'group' ? (
+                <div key={field.key} className="md:col-span-2 space-y-3">
+                  <Label>{field.label}</Label>
+                  {current[field.key].map((item, idx) => (
+                    <div key={idx} className="flex gap-3 items-start border border-slate-200 rounded-lg p-3">
+                      <span className="text-xs font-semibold text-slate-400 pt-2.5">{idx + 1}</span>
+                      <div className="flex-1 space-y-2">
+                        {field.fields.map(sub => (
+                          <div key={sub.key}>
+                            <span className="block text-xs text-slate-500 mb-1">{sub.label}</span>
+                            <SchemaField field={sub} value={item[sub.key]} onChange={(value) => updateGroupItem(field, idx, sub.key, value)} />
+                          </div>
+                        ))}
+                      </div>
+                      <button onClick={() => removeGroupItem(field, idx)} className="text-slate-400 hover:text-red-600 pt-2" title="Remove">
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <Button variant="secondary" onClick={() => addGroupItem(field)} className="!py-1.5 text-xs">
+                    <Plus className="w-3.5 h-3.5 mr-1" /> Add
+                  </Button>
+                </div>
+              ) : (
+                <div key={field.key} className={field.kind === 'textarea' || field.kind === 'lines' ? 'md:col-span-2' : ''}>
+                  <Label>{field.label}</Label>
+                  <SchemaField field={field} value={current[field.key]} onChange={(value) => setField(field.key, value)} />
+                </div>
+              )))}
+            </div>
+          </Card>
+
+          <SchemaReport reports={[report]} />
+          <ResultBox title="JSON-LD" content={schemaScript(schema)} format="text" />
+        </>
+      )}
+
+      {mode === 'validate' && (
+        <Card className="p-6 space-y-4">
+          <div>
+            <Label>JSON-LD or &lt;script&gt; Blocks</Label>
+            <TextArea 
+              value={pasted} 
+              onChange={(e) => setPasted(e.target.value)} 
+              placeholder={'<script type="application/ld+json">\n{ "@context": "https://schema.org", "@type": "Article", ... }\n</script>'} 
+              rows={10} 
+            />
+          </div>
+          <Button onClick={() => setPastedReports(validateJsonLd(pasted))} disabled={!pasted.trim()}>
+            <CheckCircle className="w-4 h-4 mr-2" />
+            Validate
+          </Button>
+          {pastedReports && <SchemaReport reports={pastedReports} />}
+        </Card>
+      )}
+
+      {mode === 'extract' && (
+        <Card className="p-6 space-y-4">
+          <div>
+            <Label>Article</Label>
+            <TextArea value={article} onChange={(e) => setArticle(e.target.value)} placeholder="Paste an article, such as one from the Article Writer..." rows={10} />
+          </div>
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="w-40">
+              <Label>Schema Type</Label>
+              <Select value={extractType} onChange={(e) => setExtractType(e.target.value)} options={SCHEMA_EXTRACT_TYPES} />
+            </div>
+            <div className="w-40">
+              <Label>Language</Label>
+              <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+            </div>
+            <Button onClick={handleExtract} loading={generation.loading} disabled={!article.trim()}>
+              <Sparkles className="w-4 h-4 mr-2" />
+              Extract Schema
+            </Button>
+          </div>
+          <UsageNote usage={generation.usage} />
+          <ErrorBanner error={generation.error} onRetry={generation.retry} />
+          {extractError && (
+            <div className="flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="w-4 h-4" />
+              {extractError}
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tasks a pipeline can chain. Each stage receives the previous stage's text (the first stage
+ * gets the pipeline input); `output` turns a raw response into the text handed on.
+ */
+const PIPELINE_STEPS = {
+  writer: {
+    options: TONES,
+    firstOnly: true,
+    inputs: (text, option, { keywords, locale }) => ({ topic: text, keywords, tone: option, locale })
+  },
+  improver: {
+    options: IMPROVEMENT_GOALS,
+    inputs: (text, option, { locale }) => ({ content: text, goal: option, locale })
+  },
+  proofreader: {
+    options: [],
+    json: true,
+    inputs: (text, option, { locale }) => ({ content: text, locale }),
+    // Every proposed change is accepted so the next stage gets the fully corrected text
+    output: (response, text) => applyChanges(text, parseProofreadResponse(text, response).changes
+      .map(change => ({ ...change, status: 'accepted' })))
+  },
+  // Later steps work in the language this step translates into
+  translate: {
+    options: LOCALES,
+    changesLanguage: true,
+    inputs: (text, option) => ({ content: text, locale: option, keywords: '' })
+  }
+};
+
+const defaultStepOption = (tool) => {
+  const [first = ''] = PIPELINE_STEPS[tool].options;
+  return typeof first === 'string' ? first : first.value;
+};
+
+const stepOptionLabel = (step) => (step.tool === 'translate' ? localeById(step.option).label : step.option);
+
+const pipelineStep = (tool, option = defaultStepOption(tool)) => ({ id: createId(), tool, option });
+
+const defaultPipelineSteps = (fromText) => [
+  ...(fromText ? [] : [pipelineStep('writer')]),
+  pipelineStep('improver', 'SEO Optimization'),
+  pipelineStep('proofreader')
+];
+
+const DiffView = ({ before, after }) => {
+  const ops = useMemo(() => diffWords(before, after), [before, after]);
+  return (
+    <div className="text-sm text-slate-700 leading-7 whitespace-pre-wrap">
+      {ops.map((op, idx) => (op.type === 'equal' 
+        ? <span key={idx}>{op.text}</span>
+        : <span key={idx} className={op.type === 'delete' ? 'bg-red-100 text-red-700 line-through' : 'bg-green-100 text-green-800'}>{op.text}</span>
+      ))}
+    </div>
+  );
+};
+
+const PipelineView = ({ draft }) => {
+  const { scope, readOnly } = useContext(ToolContext);
+  const pipelines = useCollection(pipelineStore, scope);
+  const sentText = draft?.inputs?.input ?? '';
+  const [pipelineId, setPipelineId] = useState('');
+  const [name, setName] = useState('Write, optimize, proofread');
+  const [steps, setSteps] = useState(() => defaultPipelineSteps(Boolean(sentText)));
+  const [input, setInput] = useState(sentText);
+  const [keywords, setKeywords] = useState('');
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [stages, setStages] = useState([]);
+  const [runningIdx, setRunningIdx] = useState(null);
+  const [diffIds, setDiffIds] = useState([]);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Cancel a running pipeline when the tool unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const running = runningIdx !== null;
+  const startsWithTopic = PIPELINE_STEPS[steps[0]?.tool]?.firstOnly;
+  const finished = stages.length === steps.length && stages.every(stage => stage.done);
+
+  // Editing a step invalidates its output and everything after it
+  const editSteps = (next, fromIdx) => {
+    setSteps(next);
+    setStages(current => current.slice(0, fromIdx));
+  };
+
+  const updateStep = (idx, patch) => {
+    editSteps(steps.map((step, i) => (i === idx ? { ...step, ...patch } : step)), idx);
+  };
+
+  const changeTool = (idx, tool) => updateStep(idx, { tool, option: defaultStepOption(tool) });
+
+  const moveStep = (idx, offset) => {
+    const next = [...steps];
+    const [step] = next.splice(idx, 1);
+    next.splice(idx + offset, 0, step);
+    editSteps(next, Math.min(idx, idx + offset));
+  };
+
+  const removeStep = (idx) => editSteps(steps.filter((_, i) => i !== idx), idx);
+
+  const addStep = () => editSteps([...steps, pipelineStep('improver')], steps.length);
+
+  const loadPipeline = (id) => {
+    setPipelineId(id);
+    setConfirmingDelete(false);
+    const saved = pipelines.items.find(item => item.id === id);
+    setName(saved ? saved.name : 'Untitled pipeline');
+    editSteps(saved ? saved.steps.map(step => pipelineStep(step.tool, step.option)) : defaultPipelineSteps(false), 0);
+  };
+
+  const savePipeline = async () => {
+    const data = { name: name.trim() || 'Untitled pipeline', steps: steps.map(({ tool, option }) => ({ tool, option })) };
+    if (pipelineId) {
+      await pipelines.update(pipelineId, data);
+    } else {
+      setPipelineId((await pipelines.add(data)).id);
+    }
+  };
+
+  const deletePipeline = async () => {
+    if (!confirmingDelete) {
+      setConfirmingDelete(true);
+      return;
+    }
+    await pipelines.remove(pipelineId);
+    setConfirmingDelete(false);
+    loadPipeline('');
+  };
+
+  // The pipeline language, or the target of the last translation before the step
+  const localeAt = (stepIdx) => steps
+    .slice(0, stepIdx)
+    .reduce((current, step) => (PIPELINE_STEPS[step.tool].changesLanguage ? step.option : current), locale);
 
-const ResultBox = ({ title, content, loading }) => {
-  const [copied, setCopied] = useState(false);
+  const runFrom = async (startIdx) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    let text = startIdx === 0 ? input : stages[startIdx - 1].output;
+    let idx = startIdx;
+    const setStage = (stageIdx, patch) => setStages(current => {
+      const next = current.slice(0, stageIdx + 1);
+      next[stageIdx] = { ...next[stageIdx], ...patch };
+      return next;
+    });
 
-  const handleCopy = () => {
-    // Fallback for iframe environments where clipboard API might be restricted
     try {
-      const textArea = document.createElement("textarea");
-      textArea.value = content;
-      document.body.appendChild(textArea);
-      textArea.select();
-      document.execCommand('copy');
-      document.body.removeChild(textArea);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    } catch (err) {
-      console.error("Failed to copy", err);
+      for (; idx < steps.length; idx++) {
+        const step = steps[idx];
+        const definition = PIPELINE_STEPS[step.tool];
+        const stageIdx = idx;
+        const inputs = definition.inputs(text, step.option, { keywords, locale: localeAt(stageIdx) });
+        setRunningIdx(stageIdx);
+        setStage(stageIdx, { stepId: step.id, input: text, output: '', done: false, stopped: false, error: null });
+        const response = await runTask(step.tool, inputs, {
+          signal: controller.signal,
+          onChunk: definition.json ? undefined : (chunk) => setStage(stageIdx, { output: chunk })
+        });
+        saveHistoryEntry(step.tool, inputs, response);
+        text = definition.output ? definition.output(response, text) : response;
+        setStage(stageIdx, { output: text, done: true });
+      }
+    } catch (error) {
+      setStage(idx, error.name === 'AbortError' ? { stopped: true } : { output: '', error });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setRunningIdx(null);
+      }
     }
   };
 
-  if (!content && !loading) return null;
+  const toggleDiff = (id) => {
+    setDiffIds(diffIds.includes(id) ? diffIds.filter(item => item !== id) : [...diffIds, id]);
+  };
 
   return (
-    <div className="mt-6 animate-fade-in">
-      <div className="flex items-center justify-between mb-2">
-        <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">{title}</h3>
-        {content && (
-          <button 
-            onClick={handleCopy}
-            className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
-          >
-            {copied ? <Check className="w-3 h-3 mr-1" /> : <Copy className="w-3 h-3 mr-1" />}
-            {copied ? "Copied" : "Copy Text"}
-          </button>
-        )}
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-indigo-50 to-purple-50 p-6 rounded-xl border border-indigo-100">
+        <h2 className="text-xl font-bold text-indigo-900 mb-2">Pipelines</h2>
+        <p className="text-indigo-700/80 text-sm">Chain AI tools so each step works on the previous step's output.</p>
       </div>
-      <div className="relative bg-slate-50 rounded-xl border border-slate-200 p-4 min-h-[150px]">
-        {loading ? (
-          <div className="absolute inset-0 flex flex-col items-center justify-center text-slate-400">
-            <Loader2 className="w-8 h-8 animate-spin mb-2" />
-            <span className="text-sm">Generating AI Insights...</span>
+
+      <Card className="p-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label>Saved Pipelines</Label>
+            <Select 
+              value={pipelineId} 
+              onChange={(e) => loadPipeline(e.target.value)} 
+              disabled={running}
+              options={[{ value: '', label: 'New pipeline' }, ...pipelines.items.map(item => ({ value: item.id, label: item.name }))]} 
+            />
+          </div>
+          <div>
+            <Label>Name</Label>
+            <div className="flex gap-2">
+              <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Pipeline name" />
+              {!readOnly && <Button variant="secondary" onClick={savePipeline} disabled={!steps.length}>Save</Button>}
+              {pipelineId && !readOnly && (
+                <Button variant="danger" onClick={deletePipeline}>{confirmingDelete ? 'Confirm' : <Trash2 className="w-4 h-4" />}</Button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <Label>Steps</Label>
+          <div className="space-y-2">
+            {steps.map((step, idx) => {
+              const definition = PIPELINE_STEPS[step.tool];
+              const tools = Object.keys(PIPELINE_STEPS).filter(tool => idx === 0 || !PIPELINE_STEPS[tool].firstOnly);
+              return (
+                <div key={step.id} className="flex flex-wrap items-center gap-2 border border-slate-200 rounded-lg p-2">
+                  <span className="w-6 text-center text-xs font-semibold text-slate-400">{idx + 1}</span>
+                  <Select 
+                    value={step.tool} 
+                    onChange={(e) => changeTool(idx, e.target.value)} 
+                    options={tools.map(tool => ({ value: tool, label: AI_TASKS[tool].label }))} 
+                    disabled={running}
+                    className="!w-48"
+                  />
+                  {definition.options.length > 0 && (
+                    <Select value={step.option} onChange={(e) => updateStep(idx, { option: e.target.value })} options={definition.options} disabled={running} className="!w-48" />
+                  )}
+                  <div className="flex items-center gap-1 ml-auto">
+                    <button 
+                      onClick={() => moveStep(idx, -1)} 
+                      disabled={running || idx === 0 || PIPELINE_STEPS[step.tool].firstOnly} 
+                      title="Move up" 
+                      className="p-1.5 text-slate-400 hover:text-slate-700 disabled:opacity-30"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button 
+                      onClick={() => moveStep(idx, 1)} 
+                      disabled={running || idx === steps.length - 1 || definition.firstOnly} 
+                      title="Move down" 
+                      className="p-1.5 text-slate-400 hover:text-slate-700 disabled:opacity-30"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => removeStep(idx)} disabled={running} title="Remove step" className="p-1.5 text-slate-400 hover:text-red-600 disabled:opacity-30">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <Button variant="secondary" onClick={addStep} disabled={running} className="mt-2 !py-1.5 text-xs">
+            <Plus className="w-3.5 h-3.5 mr-1" /> Add Step
+          </Button>
+        </div>
+
+        {startsWithTopic ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Article Topic</Label>
+              <Input value={input} onChange={(e) => setInput(e.target.value)} placeholder="e.g., The Future of Remote Work in 2026" />
+            </div>
+            <div>
+              <Label>Target Keywords (Comma separated)</Label>
+              <Input value={keywords} onChange={(e) => setKeywords(e.target.value)} placeholder="e.g., remote work, productivity" />
+            </div>
           </div>
         ) : (
-          <div className="prose prose-sm max-w-none text-slate-700 whitespace-pre-wrap leading-relaxed">
-            {content}
+          <div>
+            <Label>Input Text</Label>
+            <TextArea value={input} onChange={(e) => setInput(e.target.value)} placeholder="Paste the text the first step should work on..." />
           </div>
         )}
-      </div>
+
+        <div className="md:w-1/2">
+          <Label>Language</Label>
+          <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+        </div>
+
+        <div className="flex gap-2">
+          <Button onClick={() => runFrom(0)} loading={running} disabled={!input.trim() || !steps.length}>
+            <Play className="w-4 h-4 mr-2" />
+            Run Pipeline
+          </Button>
+          {running && (
+            <Button variant="ghost" onClick={() => controllerRef.current?.abort()}>
+              <Square className="w-4 h-4 mr-2" /> Stop
+            </Button>
+          )}
+        </div>
+      </Card>
+
+      {stages.map((stage, idx) => {
+        const step = steps[idx];
+        const canDiff = !PIPELINE_STEPS[step.tool].firstOnly && !PIPELINE_STEPS[step.tool].changesLanguage && stage.output;
+        const showDiff = canDiff && diffIds.includes(step.id);
+        return (
+          <Card key={step.id} className="p-6 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+                {runningIdx === idx && <Loader2 className="w-4 h-4 animate-spin text-indigo-500" />}
+                {stage.done && <Check className="w-4 h-4 text-green-600" />}
+                {idx + 1}. {AI_TASKS[step.tool].label}{step.option && ` · ${stepOptionLabel(step)}`}
+              </h3>
+              <div className="flex gap-2">
+                {canDiff && (
+                  <Button variant="secondary" onClick={() => toggleDiff(step.id)} className="!py-1 text-xs">
+                    <GitCompare className="w-3.5 h-3.5 mr-1" />
+                    {showDiff ? 'Show Output' : 'Show Changes'}
+                  </Button>
+                )}
+                <Button 
+                  variant="secondary" 
+                  onClick={() => runFrom(idx)} 
+                  disabled={running || (idx > 0 && !stages[idx - 1]?.done)} 
+                  className="!py-1 text-xs"
+                >
+                  <RefreshCw className="w-3.5 h-3.5 mr-1" />
+                  Re-run From Here
+                </Button>
+              </div>
+            </div>
+            {stage.stopped && (
+              <div className="flex items-center gap-2 text-sm text-slate-500">
+                <Square className="w-3.5 h-3.5" />
+                Stopped.
+              </div>
+            )}
+            <ErrorBanner error={stage.error} onRetry={running ? undefined : () => runFrom(idx)} />
+            {stage.output && (
+              <div className="bg-slate-50 rounded-xl border border-slate-200 p-4 max-h-96 overflow-y-auto">
+                {showDiff ? <DiffView before={stage.input} after={stage.output} /> : <MarkdownView source={stage.output} />}
+              </div>
+            )}
+          </Card>
+        );
+      })}
+
+      {finished && <ResultBox title="Pipeline Output" content={stages[stages.length - 1].output} />}
     </div>
   );
 };
 
-// --- Login Component ---
+const BULK_STATUS_STYLES = {
+  queued: 'bg-slate-100 text-slate-600 border-slate-200',
+  running: 'bg-indigo-50 text-indigo-700 border-indigo-200',
+  done: 'bg-green-50 text-green-700 border-green-200',
+  failed: 'bg-red-50 text-red-700 border-red-200'
+};
 
-const LoginScreen = ({ onLogin, loading, error }) => (
-  <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-4">
-    <div className="max-w-md w-full bg-white rounded-2xl shadow-lg border border-slate-200 p-8 text-center">
-      <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-indigo-50 mb-6">
-        <Sparkles className="w-8 h-8 text-indigo-600" />
+const BULK_PLACEHOLDERS = {
+  writer: 'Topic,Keywords,Tone,Language\nBest trail running shoes,trail shoes,Conversational,en-US\nHow to train for a 10K,10k training plan,Professional,en-GB',
+  serp: 'Summary,Keyword,Brand,URL\nA buyer\'s guide to trail running shoes,trail running shoes,RunLab,https://example.com/trail-shoes'
+};
+
+const BulkGenerator = () => {
+  const queue = useStore(bulkQueueStore);
+  const [taskId, setTaskId] = useState(queue.taskId);
+  const [csv, setCsv] = useState('');
+  const [tone, setTone] = useState('Professional');
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const rows = useMemo(() => parseBulkCsv(csv, taskId, { tone, locale }), [csv, taskId, tone, locale]);
+  const task = BULK_TASKS[queue.taskId];
+  const counts = Object.fromEntries(Object.keys(BULK_STATUS_STYLES)
+    .map(status => [status, queue.jobs.filter(job => job.status === status).length]));
+  const total = queue.jobs.length;
+  const finished = counts.done + counts.failed;
+  const selected = queue.jobs.find(job => job.id === selectedId && job.status === 'done');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setCsv(await file.text());
+    e.target.value = '';
+  };
+
+  const handleQueue = () => {
+    bulkQueue.load(taskId, rows, queue.concurrency);
+    setSelectedId(null);
+  };
+
+  const exportName = `bulk-${slugify(task.label)}`;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-fuchsia-50 to-purple-50 p-6 rounded-xl border border-fuchsia-100">
+        <h2 className="text-xl font-bold text-fuchsia-900 mb-2">Bulk Generator</h2>
+        <p className="text-fuchsia-700/80 text-sm">Generate articles or meta descriptions for every row of a CSV. The queue keeps running while you use other tools and survives a reload.</p>
       </div>
-      <h1 className="text-2xl font-bold text-slate-900 mb-2">SEO<span className="text-indigo-600">Pro</span> Studio</h1>
-      <p className="text-slate-600 mb-8">Sign in to access professional AI content tools.</p>
-      
-      {error && (
-        <div className="mb-6 p-3 bg-red-50 border border-red-100 rounded-lg flex items-center gap-2 text-sm text-red-700">
-          <AlertCircle className="w-4 h-4 shrink-0" />
-          <span>{error}</span>
+
+      <Card className="p-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label>Generate</Label>
+            <Select value={taskId} onChange={(e) => setTaskId(e.target.value)} options={Object.entries(BULK_TASKS).map(([id, entry]) => ({ value: id, label: entry.label }))} />
+          </div>
+          {taskId === 'writer' && (
+            <div>
+              <Label>Default Tone</Label>
+              <Select value={tone} onChange={(e) => setTone(e.target.value)} options={TONES} />
+            </div>
+          )}
+          <div>
+            <Label>Default Language</Label>
+            <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-1.5">
+            <Label>Rows (CSV with a header)</Label>
+            <label className="text-xs text-indigo-600 hover:text-indigo-800 cursor-pointer font-medium">
+              Upload CSV
+              <input type="file" accept=".csv,.txt" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          <TextArea value={csv} onChange={(e) => setCsv(e.target.value)} placeholder={BULK_PLACEHOLDERS[taskId]} rows={8} className="font-mono" />
+          <p className="mt-1 text-xs text-slate-400">Rows without a value override the defaults above. Empty rows are skipped.</p>
         </div>
+
+        <Button onClick={handleQueue} disabled={!rows.length || queue.status === 'running'}>
+          <Plus className="w-4 h-4 mr-2" />
+          {total ? `Replace Queue with ${rows.length} Row${rows.length === 1 ? '' : 's'}` : `Queue ${rows.length} Row${rows.length === 1 ? '' : 's'}`}
+        </Button>
+      </Card>
+
+      {total > 0 && (
+        <Card className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Queue · {task.label}</h3>
+            <div className="flex flex-wrap gap-2 text-xs">
+              {Object.entries(counts).filter(([, count]) => count > 0).map(([status, count]) => (
+                <span key={status} className={`px-2 py-1 rounded-full border font-medium ${BULK_STATUS_STYLES[status]}`}>{count} {status}</span>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+              <div className="h-full rounded-full bg-fuchsia-500 transition-all" style={{ width: `${Math.round((finished / total) * 100)}%` }} />
+            </div>
+            <div className="mt-1 text-xs text-slate-500">
+              {finished} of {total} finished
+              {queue.status === 'paused' && counts.running > 0 && ` · pausing after ${counts.running} running job${counts.running === 1 ? '' : 's'}`}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {queue.status === 'running' ? (
+              <Button variant="secondary" onClick={bulkQueue.pause}>
+                <Square className="w-3.5 h-3.5 mr-2 fill-current" />
+                Pause
+              </Button>
+            ) : (
+              <Button onClick={bulkQueue.start} disabled={!counts.queued}>
+                <Play className="w-4 h-4 mr-2" />
+                {queue.status === 'paused' ? 'Resume' : 'Start'}
+              </Button>
+            )}
+            <Button variant="secondary" onClick={() => bulkQueue.retry()} disabled={!counts.failed}>
+              <RefreshCw className="w-4 h-4 mr-2" />
+              Retry Failed
+            </Button>
+            <Select 
+              value={queue.concurrency} 
+              onChange={(e) => bulkQueue.setConcurrency(Number(e.target.value))} 
+              options={BULK_CONCURRENCY} 
+              className="!w-auto !py-2 text-xs" 
+            />
+            <Button variant="ghost" onClick={bulkQueue.clear}>Clear</Button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded-xl">
+            {queue.jobs.map((job, idx) => (
+              <div key={job.id} className={`flex items-start gap-3 px-4 py-2.5 text-sm ${selectedId === job.id ? 'bg-indigo-50/50' : ''}`}>
+                <span className="w-8 shrink-0 text-xs text-slate-400 pt-0.5">{idx + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="truncate text-slate-800" dir="auto">{task.name(job.inputs)}</div>
+                  {job.error && <div className="text-xs text-red-600 mt-0.5">{job.error}</div>}
+                </div>
+                <span className={`shrink-0 px-2 py-0.5 rounded-full border text-xs font-medium ${BULK_STATUS_STYLES[job.status]}`}>
+                  {job.status === 'running' && <Loader2 className="w-3 h-3 mr-1 inline animate-spin" />}
+                  {job.status}
+                </span>
+                <div className="w-12 shrink-0 text-right text-xs font-medium">
+                  {job.status === 'done' && (
+                    <button onClick={() => setSelectedId(selectedId === job.id ? null : job.id)} className="text-indigo-600 hover:text-indigo-800">
+                      {selectedId === job.id ? 'Hide' : 'View'}
+                    </button>
+                  )}
+                  {job.status === 'failed' && (
+                    <button onClick={() => bulkQueue.retry([job.id])} className="text-indigo-600 hover:text-indigo-800">Retry</button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="flex items-center text-xs font-medium text-slate-500 mr-1">
+              <Download className="w-3 h-3 mr-1" />
+              Export
+            </span>
+            <Button variant="secondary" onClick={() => downloadFile(`${exportName}.zip`, bulkZip(queue))} disabled={!counts.done} className="!py-1.5 text-xs">
+              Markdown (.zip)
+            </Button>
+            <Button variant="secondary" onClick={() => downloadFile(`${exportName}.csv`, bulkCsv(queue), 'text/csv;charset=utf-8')} disabled={!finished} className="!py-1.5 text-xs">
+              CSV
+            </Button>
+          </div>
+        </Card>
       )}
 
-      <Button onClick={onLogin} loading={loading} className="w-full h-12 text-lg">
-        Enter Studio
-        <ChevronRight className="w-5 h-5 ml-2" />
-      </Button>
-      
-      <p className="mt-6 text-xs text-slate-400">
-        By continuing, you agree to our Terms of Service.
-      </p>
+      {selected && (
+        <ResultBox title={task.name(selected.inputs)} content={task.markdown(selected.output, selected.inputs)} />
+      )}
     </div>
-  </div>
-);
+  );
+};
 
-// --- Feature Components ---
+const CustomToolRunner = ({ draft, tool }) => {
+  const [values, setValues] = useState(() => Object.fromEntries(tool.fields.map(field => [
+    field.key,
+    draft?.inputs?.[field.key] ?? defaultFieldValue(field)
+  ])));
+  const [locale, setLocale] = useState(draft?.inputs?.locale ?? DEFAULT_LOCALE);
+  const task = useMemo(() => customToolTask(tool), [tool]);
+  const generation = useGeneration(customToolId(tool), draft?.output, { task });
+  const Icon = CUSTOM_TOOL_ICONS[tool.icon] || Sparkles;
 
-const UrlTrimmer = () => {
-  const [inputUrl, setInputUrl] = useState('');
-  const [cleanedUrl, setCleanedUrl] = useState('');
+  const textFields = tool.fields.filter(field => !hasOptions(field));
+  const ready = !textFields.length || textFields.some(field => String(values[field.key] ?? '').trim());
 
-  const cleanUrls = () => {
-    const lines = inputUrl.split('\n');
-    
-    const processed = lines.map(line => {
-      const trimmedLine = line.trim();
-      if (!trimmedLine) return ''; // Preserve empty lines structure if desired, or skip
-      
-      try {
-        const urlObj = new URL(trimmedLine);
-        // Remove common tracking parameters
-        const paramsToRemove = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'gclid', 'ref', '_ga'];
-        paramsToRemove.forEach(param => urlObj.searchParams.delete(param));
-        return urlObj.toString();
-      } catch (e) {
-        // Return original line with error marker if invalid, so user sees which one failed
-        return `${trimmedLine} (Invalid URL)`;
-      }
-    });
+  const setValue = (key, value) => setValues({ ...values, [key]: value });
 
-    setCleanedUrl(processed.join('\n'));
+  const handleGenerate = () => {
+    if (!ready) return;
+    generation.run({ ...values, locale });
   };
 
   return (
     <div className="space-y-6">
-      <div className="bg-gradient-to-r from-indigo-50 to-blue-50 p-6 rounded-xl border border-indigo-100">
-        <h2 className="text-xl font-bold text-indigo-900 mb-2">Bulk SEO URL Cleaner</h2>
-        <p className="text-indigo-700/80 text-sm">Remove tracking parameters (UTM, fbclid, etc.) from multiple links at once.</p>
+      <div className="bg-gradient-to-r from-slate-50 to-indigo-50 p-6 rounded-xl border border-slate-200">
+        <h2 className="text-xl font-bold text-slate-900 mb-2">{tool.name}</h2>
+        {tool.description && <p className="text-slate-600 text-sm">{tool.description}</p>}
       </div>
 
-      <Card className="p-6">
-        <Label>Enter URLs (One per line)</Label>
-        <TextArea 
-          value={inputUrl} 
-          onChange={(e) => setInputUrl(e.target.value)} 
-          placeholder={`https://example.com/page?utm_source=google\nhttps://anothersite.com/post?fbclid=123...`}
-          rows={8}
-        />
-        <div className="mt-4">
-          <Button onClick={cleanUrls} disabled={!inputUrl}>Clean URLs</Button>
+      <Card className="p-6 space-y-4">
+        {tool.fields.map(field => (
+          <div key={field.key}>
+            <Label>{field.label}</Label>
+            {field.type === 'textarea' && (
+              <TextArea value={values[field.key]} onChange={(e) => setValue(field.key, e.target.value)} placeholder={field.placeholder} />
+            )}
+            {field.type === 'text' && (
+              <Input value={values[field.key]} onChange={(e) => setValue(field.key, e.target.value)} placeholder={field.placeholder} />
+            )}
+            {field.type === 'select' && (
+              <Select value={values[field.key]} onChange={(e) => setValue(field.key, e.target.value)} options={field.options} />
+            )}
+            {field.type === 'chips' && (
+              <div className="flex flex-wrap gap-2">
+                {field.options.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => setValue(field.key, option)}
+                    className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
+                      values[field.key] === option 
+                      ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
+                      : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
+                    }`}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+
+        <div className="md:w-1/2">
+          <Label>Language</Label>
+          <Select value={locale} onChange={(e) => setLocale(e.target.value)} options={LOCALES} />
+        </div>
+
+        <div className="pt-2">
+          <Button onClick={handleGenerate} loading={generation.loading} disabled={!ready}>
+            <Icon className="w-4 h-4 mr-2" />
+            Generate
+          </Button>
         </div>
-        <ResultBox title="Cleaned URLs" content={cleanedUrl} />
       </Card>
+
+      <ResultBox 
+        title={tool.name} 
+        content={generation.result} 
+        loading={generation.loading} 
+        stopped={generation.stopped}
+        onStop={generation.stop}
+        onKeep={generation.keep}
+        onDiscard={generation.discard}
+        usage={generation.usage}
+        error={generation.error}
+        onRetry={generation.retry}
+      />
     </div>
   );
 };
 
-const WordCounter = () => {
-  const [text, setText] = useState('');
-  
-  const stats = {
-    words: text.trim() === '' ? 0 : text.trim().split(/\s+/).length,
-    chars: text.length,
-    charsNoSpace: text.replace(/\s/g, '').length,
-    paragraphs: text.trim() === '' ? 0 : text.trim().split(/\n\s*\n/).length,
-    readTime: Math.ceil(text.trim().split(/\s+/).length / 200) + " min"
+const emptyToolForm = () => ({
+  name: '',
+  icon: 'Sparkles',
+  description: '',
+  fields: [{ key: 'topic', label: 'Topic', type: 'text', options: '', placeholder: '' }],
+  systemInstruction: '',
+  template: 'Topic: {{topic}}'
+});
+
+// The editor keeps options as comma-separated text until the tool is saved
+const toToolForm = (tool) => ({
+  ...tool,
+  fields: tool.fields.map(field => ({ ...field, options: field.options.join(', ') }))
+});
+
+const ToolBuilder = ({ onOpenTool }) => {
+  const { customTools, readOnly } = useContext(ToolContext);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyToolForm);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  const setFormField = (key, value) => setForm({ ...form, [key]: value });
+
+  const updateField = (idx, patch) => {
+    setFormField('fields', form.fields.map((field, i) => {
+      if (i !== idx) return field;
+      // Keep the key in step with the label until someone edits the key by hand
+      const followsLabel = patch.label !== undefined && field.key === fieldKeyFromLabel(field.label);
+      return { ...field, ...patch, ...(followsLabel ? { key: fieldKeyFromLabel(patch.label) } : {}) };
+    }));
+  };
+
+  const addField = () => {
+    setFormField('fields', [...form.fields, { key: '', label: '', type: 'text', options: '', placeholder: '' }]);
+  };
+
+  const removeField = (idx) => setFormField('fields', form.fields.filter((_, i) => i !== idx));
+
+  const insertPlaceholder = (key) => {
+    setFormField('template', `${form.template}${form.template && !/\s$/.test(form.template) ? ' ' : ''}{{${key}}}`);
   };
 
+  const startNew = () => {
+    setEditingId(null);
+    setForm(emptyToolForm());
+    setError('');
+    setNotice('');
+  };
+
+  const startEdit = (tool) => {
+    setEditingId(tool.id);
+    setForm(toToolForm(tool));
+    setError('');
+    setNotice('');
+  };
+
+  const saveTool = async () => {
+    setNotice('');
+    try {
+      const tool = normalizeCustomTool(form);
+      if (editingId) {
+        await customTools.update(editingId, tool);
+      } else {
+        setEditingId((await customTools.add(tool)).id);
+      }
+      setForm(toToolForm(tool));
+      setError('');
+      setNotice(`Saved "${tool.name}".`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const removeTool = async (tool) => {
+    if (confirmingId !== tool.id) {
+      setConfirmingId(tool.id);
+      return;
+    }
+    await customTools.remove(tool.id);
+    setConfirmingId(null);
+    if (editingId === tool.id) startNew();
+  };
+
+  const exportTools = (tools, filename) => {
+    downloadFile(filename, customToolsJson(tools), 'application/json;charset=utf-8');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setNotice('');
+    try {
+      const tools = parseCustomToolsJson(await file.text());
+      for (const tool of tools) await customTools.add(tool);
+      setError('');
+      setNotice(`Imported ${tools.length} tool${tools.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  const placeholders = form.fields.map(field => field.key).filter(key => FIELD_KEY_PATTERN.test(key));
+
   return (
     <div className="space-y-6">
-      <div className="bg-gradient-to-r from-emerald-50 to-teal-50 p-6 rounded-xl border border-emerald-100">
-        <h2 className="text-xl font-bold text-emerald-900 mb-2">Word & Character Counter</h2>
-        <p className="text-emerald-700/80 text-sm">Real-time analysis of your content density and reading time.</p>
+      <div className="bg-gradient-to-r from-slate-50 to-indigo-50 p-6 rounded-xl border border-slate-200">
+        <h2 className="text-xl font-bold text-slate-900 mb-2">Tool Builder</h2>
+        <p className="text-slate-600 text-sm">Create your own AI tools from a prompt template. They appear in the sidebar under Custom Tools.</p>
       </div>
 
-      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
-        {[
-          { label: "Words", val: stats.words },
-          { label: "Characters", val: stats.chars },
-          { label: "No Spaces", val: stats.charsNoSpace },
-          { label: "Paragraphs", val: stats.paragraphs },
-          { label: "Read Time", val: stats.readTime }
-        ].map((stat, idx) => (
-          <Card key={idx} className="p-4 flex flex-col items-center justify-center bg-slate-50">
-            <span className="text-2xl font-bold text-slate-800">{stat.val}</span>
-            <span className="text-xs text-slate-500 uppercase font-medium mt-1">{stat.label}</span>
-          </Card>
-        ))}
-      </div>
+      <Card className="p-6 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Your Tools</h3>
+          <div className="flex flex-wrap gap-2">
+            {!readOnly && (
+              <>
+                <Button variant="secondary" onClick={startNew} className="!py-1.5 text-xs">
+                  <Plus className="w-3.5 h-3.5 mr-1" /> New Tool
+                </Button>
+                <label className="inline-flex items-center px-4 py-1.5 rounded-lg border border-slate-300 bg-white text-xs font-medium text-slate-700 hover:bg-slate-50 cursor-pointer">
+                  <FolderOpen className="w-3.5 h-3.5 mr-1" /> Import JSON
+                  <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+                </label>
+              </>
+            )}
+            <Button variant="secondary" onClick={() => exportTools(customTools.items, 'seo-studio-tools.json')} disabled={!customTools.items.length} className="!py-1.5 text-xs">
+              <Download className="w-3.5 h-3.5 mr-1" /> Export All
+            </Button>
+          </div>
+        </div>
 
-      <Card className="p-6">
-        <Label>Content</Label>
-        <TextArea 
-          value={text} 
-          onChange={(e) => setText(e.target.value)} 
-          placeholder="Paste your content here to analyze..." 
-          rows={12}
-        />
+        {customTools.items.length === 0 ? (
+          <p className="text-sm text-slate-400">No custom tools yet.</p>
+        ) : (
+          <div className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+            {customTools.items.map(tool => {
+              const Icon = CUSTOM_TOOL_ICONS[tool.icon] || Sparkles;
+              return (
+                <div key={tool.id} className={`flex flex-wrap items-center gap-3 px-4 py-3 ${editingId === tool.id ? 'bg-indigo-50/50' : ''}`}>
+                  <Icon className="w-4 h-4 text-slate-400" />
+                  <span className="flex-1 text-sm font-medium text-slate-800">{tool.name}</span>
+                  <div className="flex items-center gap-3 text-xs font-medium">
+                    <button onClick={() => onOpenTool(customToolId(tool))} className="text-indigo-600 hover:text-indigo-800">Open</button>
+                    {!readOnly && <button onClick={() => startEdit(tool)} className="text-slate-500 hover:text-slate-800">Edit</button>}
+                    <button onClick={() => exportTools([tool], `${slugify(tool.name)}.json`)} className="text-slate-500 hover:text-slate-800">Export</button>
+                    {!readOnly && (
+                      <button onClick={() => removeTool(tool)} className="text-red-500 hover:text-red-700">
+                        {confirmingId === tool.id ? 'Confirm delete' : 'Delete'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
       </Card>
+
+      {!readOnly && (
+        <Card className="p-6 space-y-4">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">{editingId ? 'Edit Tool' : 'New Tool'}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Name</Label>
+              <Input value={form.name} onChange={(e) => setFormField('name', e.target.value)} placeholder="e.g., Product Description Writer" />
+            </div>
+            <div>
+              <Label>Description</Label>
+              <Input value={form.description} onChange={(e) => setFormField('description', e.target.value)} placeholder="Shown at the top of the tool" />
+            </div>
+          </div>
+
+          <div>
+            <Label>Icon</Label>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(CUSTOM_TOOL_ICONS).map(([iconName, Icon]) => (
+                <button
+                  key={iconName}
+                  onClick={() => setFormField('icon', iconName)}
+                  title={iconName}
+                  className={`p-2 rounded-lg border transition-colors ${
+                    form.icon === iconName ? 'bg-indigo-100 text-indigo-700 border-indigo-200' : 'bg-white text-slate-500 border-slate-200 hover:border-indigo-300'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <Label>Input Fields</Label>
+            <div className="space-y-2">
+              {form.fields.map((field, idx) => (
+                <div key={idx} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center border border-slate-200 rounded-lg p-2">
+                  <div className="md:col-span-3">
+                    <Input value={field.label} onChange={(e) => updateField(idx, { label: e.target.value })} placeholder="Label" />
+                  </div>
+                  <div className="md:col-span-3">
+                    <Input value={field.key} onChange={(e) => updateField(idx, { key: e.target.value })} placeholder="key" className="font-mono" />
+                  </div>
+                  <div className="md:col-span-2">
+                    <Select value={field.type} onChange={(e) => updateField(idx, { type: e.target.value })} options={CUSTOM_FIELD_TYPES} />
+                  </div>
+                  <div className="md:col-span-3">
+                    {hasOptions(field) ? (
+                      <Input value={field.options} onChange={(e) => updateField(idx, { options: e.target.value })} placeholder="Options, comma separated" />
+                    ) : (
+                      <Input value={field.placeholder} onChange={(e) => updateField(idx, { placeholder: e.target.value })} placeholder="Placeholder text" />
+                    )}
+                  </div>
+                  <button onClick={() => removeField(idx)} title="Remove field" className="md:col-span-1 justify-self-center text-slate-400 hover:text-red-600">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <Button variant="secondary" onClick={addField} className="mt-2 !py-1.5 text-xs">
+              <Plus className="w-3.5 h-3.5 mr-1" /> Add Field
+            </Button>
+          </div>
+
+          <div>
+            <Label>System Instruction</Label>
+            <TextArea 
+              value={form.systemInstruction} 
+              onChange={(e) => setFormField('systemInstruction', e.target.value)} 
+              placeholder="You are an expert e-commerce copywriter. Write..." 
+              rows={5} 
+            />
+          </div>
+
+          <div>
+            <Label>Prompt Template</Label>
+            <TextArea value={form.template} onChange={(e) => setFormField('template', e.target.value)} rows={5} className="font-mono" />
+            {placeholders.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+                <span className="text-slate-500">Insert:</span>
+                {placeholders.map(key => (
+                  <button key={key} onClick={() => insertPlaceholder(key)} className="px-2 py-0.5 rounded bg-slate-100 text-slate-700 font-mono hover:bg-indigo-50 hover:text-indigo-700">
+                    {`{{${key}}}`}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+          {notice && (
+            <div className="flex items-center gap-2 text-sm text-green-700">
+              <Check className="w-4 h-4" />
+              {notice}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <Button onClick={saveTool}>
+              <Check className="w-4 h-4 mr-2" />
+              Save Tool
+            </Button>
+            {editingId && (
+              <Button variant="secondary" onClick={() => onOpenTool(customToolId({ id: editingId }))}>Open Tool</Button>
+            )}
+          </div>
+        </Card>
+      )}
     </div>
   );
 };
 
-const AiWriter = () => {
-  const [topic, setTopic] = useState('');
-  const [keywords, setKeywords] = useState('');
-  const [tone, setTone] = useState('Professional');
-  const [result, setResult] = useState('');
-  const [loading, setLoading] = useState(false);
+const BRAND_FIELDS = ['name', 'styleGuide', 'bannedWords', 'preferredTerms', 'readingLevel', 'sampleCopy'];
 
-  const handleGenerate = async () => {
-    if (!topic) return;
-    setLoading(true);
-    try {
-      const prompt = `Topic: ${topic}\nTarget Keywords: ${keywords}\nTone: ${tone}`;
-      const systemInstruction = `You are a professional, industry-grade SEO Article Writer. 
-      Write a comprehensive, engaging, and human-like article based on the provided topic.
-      - Structure the article with a catchy H1 title, an engaging introduction, multiple H2/H3 subheadings, and a strong conclusion.
-      - Seamlessly integrate the provided target keywords without "keyword stuffing".
-      - Use the requested tone.
-      - Use markdown formatting for headings, bold text, and lists.
-      - Ensure the content provides real value to the reader.`;
-      
-      const content = await generateContent(prompt, systemInstruction);
-      setResult(content);
-    } catch (error) {
-      setResult(`Error: ${error.message}`);
-    } finally {
-      setLoading(false);
+const emptyBrandForm = () => Object.fromEntries(BRAND_FIELDS.map(key => [key, '']));
+
+const toBrandForm = (profile) => Object.fromEntries(BRAND_FIELDS.map(key => [key, profile[key] || '']));
+
+const BrandVoiceManager = () => {
+  const { brandProfiles, readOnly } = useContext(ToolContext);
+  const { profile: activeProfile } = useStore(activeBrandStore);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyBrandForm);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  const setFormField = (key, value) => setForm({ ...form, [key]: value });
+
+  const startNew = () => {
+    setEditingId(null);
+    setForm(emptyBrandForm());
+    setError('');
+    setNotice('');
+  };
+
+  const startEdit = (profile) => {
+    setEditingId(profile.id);
+    setForm(toBrandForm(profile));
+    setError('');
+    setNotice('');
+  };
+
+  const saveProfile = async () => {
+    setNotice('');
+    const profile = { ...form, name: form.name.trim() };
+    if (!profile.name) {
+      setError('Give the brand voice a name.');
+      return;
+    }
+    try {
+      if (editingId) {
+        await brandProfiles.update(editingId, profile);
+      } else {
+        setEditingId((await brandProfiles.add(profile)).id);
+      }
+      setError('');
+      setNotice(`Saved "${profile.name}".`);
+    } catch (err) {
+      setError(err.message);
     }
   };
 
+  const removeProfile = async (profile) => {
+    if (confirmingId !== profile.id) {
+      setConfirmingId(profile.id);
+      return;
+    }
+    await brandProfiles.remove(profile.id);
+    setConfirmingId(null);
+    if (editingId === profile.id) startNew();
+  };
+
+  const toggleActive = (profile) => {
+    activeBrandStore.set({ profile: activeProfile?.id === profile.id ? null : profile });
+  };
+
   return (
     <div className="space-y-6">
-      <div className="bg-gradient-to-r from-purple-50 to-violet-50 p-6 rounded-xl border border-purple-100">
-        <h2 className="text-xl font-bold text-purple-900 mb-2">AI Article Writer</h2>
-        <p className="text-purple-700/80 text-sm">Generate human-like, SEO-optimized long-form content instantly.</p>
+      <div className="bg-gradient-to-r from-rose-50 to-orange-50 p-6 rounded-xl border border-rose-100">
+        <h2 className="text-xl font-bold text-rose-900 mb-2">Brand Voice</h2>
+        <p className="text-rose-700 text-sm">The active profile is added to every AI tool's instructions, and results are checked for banned words and terminology.</p>
       </div>
 
       <Card className="p-6 space-y-4">
-        <div>
-          <Label>Article Topic</Label>
-          <Input value={topic} onChange={(e) => setTopic(e.target.value)} placeholder="e.g., The Future of Remote Work in 2026" />
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Profiles</h3>
+          {!readOnly && (
+            <Button variant="secondary" onClick={startNew} className="!py-1.5 text-xs">
+              <Plus className="w-3.5 h-3.5 mr-1" /> New Profile
+            </Button>
+          )}
         </div>
-        
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+
+        {brandProfiles.items.length === 0 ? (
+          <p className="text-sm text-slate-400">No brand voices yet.</p>
+        ) : (
+          <div className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+            {brandProfiles.items.map(profile => {
+              const isActive = activeProfile?.id === profile.id;
+              return (
+                <div key={profile.id} className={`flex flex-wrap items-center gap-3 px-4 py-3 ${editingId === profile.id ? 'bg-indigo-50/50' : ''}`}>
+                  <Megaphone className={`w-4 h-4 ${isActive ? 'text-rose-500' : 'text-slate-400'}`} />
+                  <span className="flex-1 text-sm font-medium text-slate-800">
+                    {profile.name}
+                    {isActive && <span className="ml-2 px-2 py-0.5 rounded-full bg-rose-100 text-rose-700 text-xs">Active</span>}
+                  </span>
+                  <div className="flex items-center gap-3 text-xs font-medium">
+                    <button onClick={() => toggleActive(profile)} className="text-indigo-600 hover:text-indigo-800">
+                      {isActive ? 'Deactivate' : 'Set Active'}
+                    </button>
+                    {!readOnly && (
+                      <>
+                        <button onClick={() => startEdit(profile)} className="text-slate-500 hover:text-slate-800">Edit</button>
+                        <button onClick={() => removeProfile(profile)} className="text-red-500 hover:text-red-700">
+                          {confirmingId === profile.id ? 'Confirm delete' : 'Delete'}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card>
+
+      {!readOnly && (
+        <Card className="p-6 space-y-4">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">{editingId ? 'Edit Profile' : 'New Profile'}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Name</Label>
+              <Input value={form.name} onChange={(e) => setFormField('name', e.target.value)} placeholder="e.g., Acme Outdoors" />
+            </div>
+            <div>
+              <Label>Reading Level</Label>
+              <Select value={form.readingLevel} onChange={(e) => setFormField('readingLevel', e.target.value)} options={READING_LEVELS} />
+            </div>
+          </div>
+
           <div>
-            <Label>Target Keywords (Comma separated)</Label>
-            <Input value={keywords} onChange={(e) => setKeywords(e.target.value)} placeholder="e.g., remote work, digital nomad, productivity" />
+            <Label>Style Guide</Label>
+            <TextArea 
+              value={form.styleGuide} 
+              onChange={(e) => setFormField('styleGuide', e.target.value)} 
+              placeholder="Friendly and direct. Short sentences. Second person. No exclamation marks." 
+              rows={4} 
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label>Banned Words (one per line)</Label>
+              <TextArea value={form.bannedWords} onChange={(e) => setFormField('bannedWords', e.target.value)} placeholder={'synergy\ngame-changer\ncheap'} rows={5} />
+            </div>
+            <div>
+              <Label>Preferred Terms (avoid -&gt; use)</Label>
+              <TextArea value={form.preferredTerms} onChange={(e) => setFormField('preferredTerms', e.target.value)} placeholder={'customers -> members\nsign up -> join'} rows={5} className="font-mono" />
+            </div>
           </div>
+
           <div>
-            <Label>Tone of Voice</Label>
-            <select 
-              value={tone} 
-              onChange={(e) => setTone(e.target.value)}
-              className="w-full p-2.5 rounded-lg border border-slate-300 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 text-sm text-slate-800"
-            >
-              <option>Professional</option>
-              <option>Conversational</option>
-              <option>Witty & Fun</option>
-              <option>Authoritative</option>
-              <option>Empathetic</option>
-            </select>
+            <Label>Sample Copy</Label>
+            <TextArea value={form.sampleCopy} onChange={(e) => setFormField('sampleCopy', e.target.value)} placeholder="A paragraph that sounds the way the brand should." rows={4} />
           </div>
-        </div>
 
-        <div className="pt-2">
-          <Button onClick={handleGenerate} loading={loading} disabled={!topic} className="w-full md:w-auto">
-            <Sparkles className="w-4 h-4 mr-2" />
-            Generate Article
-          </Button>
-        </div>
-      </Card>
+          {error && (
+            <div className="flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+          {notice && (
+            <div className="flex items-center gap-2 text-sm text-green-700">
+              <Check className="w-4 h-4" />
+              {notice}
+            </div>
+          )}
 
-      <ResultBox title="Generated Article" content={result} loading={loading} />
+          <Button onClick={saveProfile}>
+            <Check className="w-4 h-4 mr-2" />
+            Save Profile
+          </Button>
+        </Card>
+      )}
     </div>
   );
 };
 
-const AiImprover = () => {
-  const [content, setContent] = useState('');
-  const [goal, setGoal] = useState('Readability');
-  const [result, setResult] = useState('');
-  const [loading, setLoading] = useState(false);
+const USAGE_RANGES = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' }
+];
 
-  const handleImprove = async () => {
-    if (!content) return;
-    setLoading(true);
+const UsageTable = ({ heading, rows, labelOf, max }) => (
+  <Card className="p-6">
+    <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider mb-4">{heading}</h3>
+    {rows.length === 0 ? (
+      <p className="text-sm text-slate-500">No usage in this range.</p>
+    ) : (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-slate-500 uppercase border-b border-slate-200">
+            <th className="py-2 font-medium" />
+            <th className="py-2 font-medium text-right">Requests</th>
+            <th className="py-2 font-medium text-right">Tokens In / Out</th>
+            <th className="py-2 font-medium text-right">Est. Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="border-b border-slate-100">
+              <td className="py-1.5 pr-3 text-slate-800">
+                <div>{labelOf(row)}</div>
+                {max > 0 && (
+                  <div className="h-1 mt-1 rounded-full bg-slate-100 overflow-hidden">
+                    <div className="h-full rounded-full bg-indigo-400" style={{ width: `${((row.promptTokens + row.outputTokens) / max) * 100}%` }} />
+                  </div>
+                )}
+              </td>
+              <td className="py-1.5 text-right text-slate-600">{row.requests}</td>
+              <td className="py-1.5 text-right text-slate-600">{row.promptTokens.toLocaleString()} / {row.outputTokens.toLocaleString()}</td>
+              <td className="py-1.5 text-right text-slate-600">{formatCost(row.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </Card>
+);
+
+const toQuotaForm = (quotas) => ({
+  defaultQuota: String(quotas.defaultQuota),
+  guestQuota: String(quotas.guestQuota),
+  users: Object.entries(quotas.users).map(([uid, quota]) => ({ uid, quota: String(quota) })),
+  admins: quotas.admins.join('\n')
+});
+
+const UsageDashboard = ({ user }) => {
+  const { customTools } = useContext(ToolContext);
+  const quotas = useStore(quotaStore);
+  const ledger = useStore(usageLedgerStore);
+  const [remote, setRemote] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [range, setRange] = useState('7');
+  const [scope, setScope] = useState('me');
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [loadError, setLoadError] = useState('');
+  const [reloads, setReloads] = useState(0);
+  const [claimAdmin, setClaimAdmin] = useState(false);
+  // The quotaAdmin claim is granted at deploy time; listed admins are added by other admins
+  const isAdmin = claimAdmin || quotas.admins.includes(user.uid);
+
+  const refresh = () => setReloads(count => count + 1);
+
+  useEffect(() => {
+    loadQuotaSettings();
+    user.getIdTokenResult()
+      .then(token => setClaimAdmin(token.claims.quotaAdmin === true))
+      .catch(e => console.warn('Could not read account claims', e));
+  }, [user]);
+
+  // Admins see everyone's usage, which may only become clear once settings and claims load
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setLoadError('');
+      try {
+        await loadTodayUsage(user.uid);
+        const records = await listUsage(isAdmin ? null : user.uid);
+        if (!cancelled) setRemote(records);
+      } catch (err) {
+        if (!cancelled) setLoadError(`Could not load usage: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [user.uid, isAdmin, reloads]);
+
+  // Local records written since the last refresh show up straight away
+  const records = useMemo(() => {
+    const known = new Set(remote.map(record => record.id));
+    return [...remote, ...ledger.filter(record => (isAdmin || record.uid === user.uid) && !known.has(record.id))];
+  }, [remote, ledger, isAdmin, user.uid]);
+
+  const days = Array.from({ length: Number(range) }, (_, i) => dayKey(Date.now() - i * DAY_MS));
+  const inRange = records.filter(record => record.day >= days[days.length - 1] && (scope === 'team' || record.uid === user.uid));
+  const byDay = summarizeUsage(inRange, record => record.day);
+  const dayRows = days.map(day => byDay.find(row => row.key === day) || { key: day, requests: 0, promptTokens: 0, outputTokens: 0, cost: 0 });
+  const toolRows = summarizeUsage(inRange, record => record.tool).sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+  const userRows = summarizeUsage(inRange, record => record.uid).sort((a, b) => b.cost - a.cost);
+  const totals = summarizeUsage(inRange, () => 'all')[0] || { requests: 0, promptTokens: 0, outputTokens: 0, cost: 0 };
+  const maxOf = (rows) => Math.max(0, ...rows.map(row => row.promptTokens + row.outputTokens));
+
+  const usedToday = tokensUsedToday(user.uid);
+  const quota = dailyQuota(user, quotas);
+
+  const toolLabel = (tool) =>
+    AI_TASKS[tool]?.label || customTools.items.find(item => customToolId(item) === tool)?.name || 'Custom Tool';
+
+  const userLabel = (uid) => {
+    const sample = records.find(record => record.uid === uid);
+    return `${uid === user.uid ? 'You' : uid}${sample?.anonymous ? ' (guest)' : ''}`;
+  };
+
+  const setFormField = (key, value) => setForm({ ...form, [key]: value });
+
+  const updateOverride = (idx, patch) => {
+    setFormField('users', form.users.map((entry, i) => (i === idx ? { ...entry, ...patch } : entry)));
+  };
+
+  const saveQuotas = async (settings) => {
+    setNotice('');
     try {
-      const prompt = `Content to Improve: ${content}\nGoal: ${goal}`;
-      const systemInstruction = `You are an expert Content Editor and SEO Specialist.
-      Rewrite the provided text to improve it based on the specified goal.
-      - Maintain the original meaning but enhance clarity, flow, and engagement.
-      - Use markdown for formatting.
-      - If the goal is 'SEO', focus on keyword placement and structure.
-      - If the goal is 'Readability', focus on shorter sentences and simple words.
-      - Provide ONLY the rewritten version.`;
-      
-      const improved = await generateContent(prompt, systemInstruction);
-      setResult(improved);
-    } catch (error) {
-      setResult(`Error: ${error.message}`);
-    } finally {
-      setLoading(false);
+      await saveQuotaSettings(settings);
+      setError('');
+      setNotice('Quotas saved.');
+      setForm(null);
+    } catch (err) {
+      setError(`Saved on this device only: ${err.message}`);
     }
   };
 
+  const submitForm = () => {
+    const toQuota = (value) => Math.max(0, parseInt(value, 10) || 0);
+    saveQuotas({
+      defaultQuota: toQuota(form.defaultQuota),
+      guestQuota: toQuota(form.guestQuota),
+      users: Object.fromEntries(form.users.filter(entry => entry.uid.trim()).map(entry => [entry.uid.trim(), toQuota(entry.quota)])),
+      admins: splitLines(form.admins)
+    });
+  };
+
   return (
     <div className="space-y-6">
-      <div className="bg-gradient-to-r from-orange-50 to-amber-50 p-6 rounded-xl border border-orange-100">
-        <h2 className="text-xl font-bold text-orange-900 mb-2">Content Improver</h2>
-        <p className="text-orange-700/80 text-sm">Elevate your existing drafts to professional standards.</p>
+      <div className="bg-gradient-to-r from-slate-50 to-sky-50 p-6 rounded-xl border border-slate-200">
+        <h2 className="text-xl font-bold text-slate-900 mb-2">Usage</h2>
+        <p className="text-slate-600 text-sm">Tokens and estimated cost of every AI request, with the daily quotas that cap them.</p>
       </div>
 
       <Card className="p-6 space-y-4">
-        <div>
-          <Label>Original Content</Label>
-          <TextArea value={content} onChange={(e) => setContent(e.target.value)} placeholder="Paste your draft here..." />
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={range} onChange={(e) => setRange(e.target.value)} options={USAGE_RANGES} className="!w-auto !py-1.5 text-xs" />
+            {isAdmin && (
+              <div className="flex bg-slate-100 rounded-lg p-1">
+                {[{ id: 'me', label: 'Me' }, { id: 'team', label: 'Everyone' }].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setScope(option.id)}
+                    className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+                      scope === option.id ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <Button variant="secondary" onClick={refresh} loading={loading} className="!py-1.5 text-xs">
+            <RefreshCw className="w-3.5 h-3.5 mr-1" /> Refresh
+          </Button>
         </div>
 
-        <div>
-          <Label>Improvement Goal</Label>
-          <div className="flex flex-wrap gap-2">
-            {['Readability', 'SEO Optimization', 'Engagement', 'Persuasion', 'Conciseness'].map(g => (
-              <button
-                key={g}
-                onClick={() => setGoal(g)}
-                className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors border ${
-                  goal === g 
-                  ? "bg-indigo-100 text-indigo-700 border-indigo-200" 
-                  : "bg-white text-slate-600 border-slate-200 hover:border-indigo-300"
-                }`}
-              >
-                {g}
-              </button>
-            ))}
+        {loadError && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {loadError}
           </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            { label: 'Requests', val: totals.requests.toLocaleString() },
+            { label: 'Tokens In', val: totals.promptTokens.toLocaleString() },
+            { label: 'Tokens Out', val: totals.outputTokens.toLocaleString() },
+            { label: 'Est. Cost', val: formatCost(totals.cost) }
+          ].map(stat => (
+            <Card key={stat.label} className="p-4 flex flex-col items-center justify-center bg-slate-50">
+              <span className="text-2xl font-bold text-slate-800">{stat.val}</span>
+              <span className="text-xs text-slate-500 uppercase font-medium mt-1">{stat.label}</span>
+            </Card>
+          ))}
         </div>
 
-        <div className="pt-2">
-          <Button onClick={handleImprove} loading={loading} disabled={!content}>
-            <TrendingUp className="w-4 h-4 mr-2" />
-            Improve Content
-          </Button>
+        <div>
+          <div className="flex justify-between text-xs text-slate-500 mb-1">
+            <span>Your quota today{user.isAnonymous && ' (guest)'}</span>
+            <span>{usedToday.toLocaleString()} of {quota.toLocaleString()} tokens</span>
+          </div>
+          <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+            <div 
+              className={`h-full rounded-full transition-all ${usedToday >= quota ? 'bg-red-500' : 'bg-sky-500'}`} 
+              style={{ width: `${quota ? Math.min(100, (usedToday / quota) * 100) : 100}%` }} 
+            />
+          </div>
         </div>
       </Card>
 
-      <ResultBox title="Polished Version" content={result} loading={loading} />
+      <UsageTable heading="By Day" rows={dayRows} labelOf={row => new Date(`${row.key}T00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })} max={maxOf(dayRows)} />
+      <UsageTable heading="By Tool" rows={toolRows} labelOf={row => toolLabel(row.key)} max={maxOf(toolRows)} />
+      {scope === 'team' && <UsageTable heading="By User" rows={userRows} labelOf={row => userLabel(row.key)} max={maxOf(userRows)} />}
+
+      <Card className="p-6 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Daily Quotas</h3>
+          {isAdmin && !form && (
+            <Button variant="secondary" onClick={() => setForm(toQuotaForm(quotas))} className="!py-1.5 text-xs">Edit Quotas</Button>
+          )}
+        </div>
+
+        {!form && (
+          <div className="text-sm text-slate-600 space-y-1">
+            <p>Signed-in users: {quotas.defaultQuota.toLocaleString()} tokens a day. Guests: {quotas.guestQuota.toLocaleString()}.</p>
+            {Object.keys(quotas.users).length > 0 && <p>{Object.keys(quotas.users).length} user{Object.keys(quotas.users).length === 1 ? ' has' : 's have'} a custom quota.</p>}
+            {!isAdmin && quotas.admins.length > 0 && <p className="text-xs text-slate-400">Only admins can change quotas.</p>}
+            <p className="text-xs text-slate-400">Quotas are advisory: the studio checks them before each request, but calls go straight to the provider. Set hard spending limits on the provider key.</p>
+          </div>
+        )}
+
+        {!isAdmin && quotas.admins.length === 0 && !user.isAnonymous && (
+          <p className="text-xs text-slate-400">
+            No one manages quotas yet. Grant an account the <code>quotaAdmin</code> custom claim with the Firebase Admin SDK, then sign in again to set them.
+          </p>
+        )}
+
+        {form && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label>Signed-in Users (tokens / day)</Label>
+                <Input type="number" value={form.defaultQuota} onChange={(e) => setFormField('defaultQuota', e.target.value)} />
+              </div>
+              <div>
+                <Label>Guests (tokens / day)</Label>
+                <Input type="number" value={form.guestQuota} onChange={(e) => setFormField('guestQuota', e.target.value)} />
+              </div>
+            </div>
+
+            <div>
+              <Label>Per-User Quotas</Label>
+              <div className="space-y-2">
+                {form.users.map((entry, idx) => (
+                  <div key={idx} className="flex items-center gap-2">
+                    <Input value={entry.uid} onChange={(e) => updateOverride(idx, { uid: e.target.value })} placeholder="User ID" className="font-mono" />
+                    <Input type="number" value={entry.quota} onChange={(e) => updateOverride(idx, { quota: e.target.value })} placeholder="Tokens / day" className="!w-40" />
+                    <button onClick={() => setFormField('users', form.users.filter((_, i) => i !== idx))} title="Remove" className="text-slate-400 hover:text-red-600">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <Button variant="secondary" onClick={() => setFormField('users', [...form.users, { uid: '', quota: String(quotas.defaultQuota) }])} className="mt-2 !py-1.5 text-xs">
+                <Plus className="w-3.5 h-3.5 mr-1" /> Add User
+              </Button>
+            </div>
+
+            <div>
+              <Label>Admins (one user ID per line)</Label>
+              <TextArea value={form.admins} onChange={(e) => setFormField('admins', e.target.value)} rows={3} className="font-mono" />
+            </div>
+
+            <div className="flex gap-2">
+              <Button onClick={submitForm}>
+                <Check className="w-4 h-4 mr-2" />
+                Save Quotas
+              </Button>
+              <Button variant="ghost" onClick={() => setForm(null)}>Cancel</Button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+        {notice && (
+          <div className="flex items-center gap-2 text-sm text-green-700">
+            <Check className="w-4 h-4" />
+            {notice}
+          </div>
+        )}
+        <p className="text-xs text-slate-400">Your user ID: <span className="font-mono">{user.uid}</span></p>
+      </Card>
     </div>
   );
 };
 
-const AiProofreader = () => {
-  const [content, setContent] = useState('');
-  const [result, setResult] = useState('');
-  const [loading, setLoading] = useState(false);
+const INVITE_ROLES = WORKSPACE_ROLES.filter(role => role.value !== 'owner');
 
-  const handleProofread = async () => {
-    if (!content) return;
-    setLoading(true);
+const workspaceErrorMessage = (err) => (err?.code === 'permission-denied'
+  ? 'You don\'t have permission to do that in this workspace.'
+  : err?.message || 'Something went wrong. Please try again.');
+
+const WorkspaceManager = ({ user }) => {
+  const { workspaces, workspace: active, selectWorkspace } = useContext(ToolContext);
+  const [name, setName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [confirming, setConfirming] = useState('');
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const current = active && workspaces.items.find(workspace => workspace.id === active.id);
+  const isOwner = current?.members[user.uid]?.role === 'owner';
+  const members = current ? Object.entries(current.members).sort(([, a], [, b]) => a.name.localeCompare(b.name)) : [];
+
+  const loadPendingInvites = async () => {
+    setPendingInvites(isOwner ? await listWorkspaceInvites(current.id).catch(() => []) : []);
+  };
+
+  useEffect(() => {
+    loadPendingInvites();
+  }, [current?.id, isOwner]);
+
+  const attempt = async (key, action, success = '') => {
+    setBusy(key);
+    setError('');
+    setNotice('');
     try {
-      const prompt = `Text to Proofread: ${content}`;
-      const systemInstruction = `You are a strict and meticulous Proofreader using American English.
-      1. Correct all spelling, grammar, punctuation, and syntax errors.
-      2. Fix awkward phrasing.
-      3. Output the corrected text first.
-      4. Below the corrected text, provide a bulleted list of the key changes made (e.g., "Fixed comma splice in paragraph 2", "Corrected spelling of 'recieve'").
-      5. Use Markdown. Separator between text and notes should be a horizontal rule (---).`;
-      
-      const proofed = await generateContent(prompt, systemInstruction);
-      setResult(proofed);
-    } catch (error) {
-      setResult(`Error: ${error.message}`);
+      await action();
+      setNotice(success);
+    } catch (err) {
+      console.error(err);
+      setError(workspaceErrorMessage(err));
     } finally {
-      setLoading(false);
+      setBusy('');
+    }
+  };
+
+  const handleCreate = () => attempt('create', async () => {
+    const workspace = await createWorkspace(user, name);
+    await workspaces.refresh();
+    selectWorkspace(workspace.id, workspace);
+    setName('');
+  }, 'Workspace created. Work you save now is shared with its members.');
+
+  const handleInvite = () => attempt('invite', async () => {
+    const email = normalizeEmail(inviteEmail);
+    if (members.some(([, member]) => member.email === email)) throw new Error(`${email} is already a member.`);
+    await inviteMember(current, email, inviteRole, user);
+    setInviteEmail('');
+    await loadPendingInvites();
+  }, `Invited ${normalizeEmail(inviteEmail)}. They'll see the invite under Workspaces after signing in with that email.`);
+
+  const handleAccept = (invite) => attempt(`accept-${invite.workspaceId}`, async () => {
+    await acceptInvite(user, invite);
+    await workspaces.refresh();
+  }, `You joined ${invite.workspaceName}.`);
+
+  const handleDecline = (invite) => attempt(`decline-${invite.workspaceId}`, async () => {
+    await revokeInvite(invite);
+    await workspaces.refresh();
+  });
+
+  const handleRevoke = (invite) => attempt(`revoke-${invite.email}`, async () => {
+    await revokeInvite(invite);
+    await loadPendingInvites();
+  });
+
+  const handleRole = (uid, role) => attempt(`role-${uid}`, async () => {
+    await setMemberRole(current.id, uid, role);
+    await workspaces.refresh();
+  });
+
+  const handleRemove = (uid) => {
+    if (confirming !== uid) {
+      setConfirming(uid);
+      return;
     }
+    setConfirming('');
+    attempt(`remove-${uid}`, async () => {
+      await removeMember(current.id, uid);
+      if (uid === user.uid) selectWorkspace('');
+      await workspaces.refresh();
+    });
+  };
+
+  const handleDelete = () => {
+    if (confirming !== 'workspace') {
+      setConfirming('workspace');
+      return;
+    }
+    setConfirming('');
+    attempt('delete', async () => {
+      await deleteWorkspace(current.id);
+      selectWorkspace('');
+      await workspaces.refresh();
+    }, 'Workspace deleted.');
   };
 
   return (
     <div className="space-y-6">
-      <div className="bg-gradient-to-r from-blue-50 to-cyan-50 p-6 rounded-xl border border-blue-100">
-        <h2 className="text-xl font-bold text-blue-900 mb-2">Smart Proofreader</h2>
-        <p className="text-blue-700/80 text-sm">Grammar check, spell check, and syntax correction with detailed change logs.</p>
+      <div className="bg-gradient-to-r from-teal-50 to-emerald-50 p-6 rounded-xl border border-teal-100">
+        <h2 className="text-xl font-bold text-teal-900 mb-2">Workspaces</h2>
+        <p className="text-teal-700/80 text-sm">Share saved documents, brand voices, custom tools, pipelines and URL rules with your team.</p>
       </div>
 
-      <Card className="p-6 space-y-4">
-        <div>
-          <Label>Text to Proofread</Label>
-          <TextArea value={content} onChange={(e) => setContent(e.target.value)} placeholder="Paste text to check..." />
-        </div>
+      {user.isAnonymous ? (
+        <Card className="p-6 text-sm text-slate-600">
+          Workspaces need an account, so teammates can invite you by email. Create one from the profile menu; your guest work comes with you.
+        </Card>
+      ) : (
+        <>
+          {workspaces.invites.length > 0 && (
+            <Card className="p-6 space-y-3">
+              <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Invitations</h3>
+              {workspaces.invites.map(invite => (
+                <div key={invite.workspaceId} className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg border border-teal-100 bg-teal-50/50">
+                  <span className="text-sm text-slate-700">
+                    <span className="font-medium">{invite.invitedBy}</span> invited you to <span className="font-medium">{invite.workspaceName}</span> as {invite.role === 'editor' ? 'an editor' : 'a viewer'}.
+                  </span>
+                  <div className="flex gap-2">
+                    <Button onClick={() => handleAccept(invite)} loading={busy === `accept-${invite.workspaceId}`} disabled={Boolean(busy)} className="!px-3 !py-1 text-xs">Accept</Button>
+                    <Button variant="ghost" onClick={() => handleDecline(invite)} disabled={Boolean(busy)} className="!px-3 !py-1 text-xs">Decline</Button>
+                  </div>
+                </div>
+              ))}
+            </Card>
+          )}
+          {!user.emailVerified && (
+            <div className="p-4 rounded-xl border border-amber-100 bg-amber-50 flex items-center gap-2 text-sm text-amber-800">
+              <Mail className="w-4 h-4 shrink-0" />
+              Verify your email from the profile menu to see invitations sent to {user.email}.
+            </div>
+          )}
 
-        <Button onClick={handleProofread} loading={loading} disabled={!content}>
-          <CheckCircle className="w-4 h-4 mr-2" />
-          Proofread Now
-        </Button>
-      </Card>
+          <Card className="p-6 space-y-4">
+            <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">Your Workspaces</h3>
+            {workspaces.loading ? (
+              <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+            ) : workspaces.items.length === 0 ? (
+              <p className="text-sm text-slate-400">You're not in any workspaces yet.</p>
+            ) : (
+              <div className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+                {workspaces.items.map(workspace => (
+                  <div key={workspace.id} className={`flex flex-wrap items-center gap-3 px-4 py-3 ${active?.id === workspace.id ? 'bg-teal-50/50' : ''}`}>
+                    <Users className="w-4 h-4 text-slate-400" />
+                    <span className="flex-1 text-sm font-medium text-slate-800">{workspace.name}</span>
+                    <span className="text-xs text-slate-500">
+                      {workspace.memberIds.length} member{workspace.memberIds.length === 1 ? '' : 's'} · {WORKSPACE_ROLES.find(role => role.value === workspace.members[user.uid]?.role)?.label}
+                    </span>
+                    {active?.id === workspace.id ? (
+                      <span className="px-2 py-0.5 rounded-full bg-teal-100 text-teal-700 text-xs font-medium">Active</span>
+                    ) : (
+                      <button onClick={() => selectWorkspace(workspace.id)} className="text-xs font-medium text-indigo-600 hover:text-indigo-800">Switch to</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex gap-2">
+              <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="New workspace name, e.g., Acme Marketing" />
+              <Button onClick={handleCreate} loading={busy === 'create'} disabled={!name.trim() || Boolean(busy)} className="shrink-0">
+                <Plus className="w-4 h-4 mr-1" /> Create
+              </Button>
+            </div>
+          </Card>
 
-      <ResultBox title="Corrected Text & Notes" content={result} loading={loading} />
+          {current && (
+            <Card className="p-6 space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <h3 className="text-sm font-semibold text-slate-700 uppercase tracking-wider">{current.name} Members</h3>
+                {current.ownerId === user.uid ? (
+                  <Button variant="danger" onClick={handleDelete} loading={busy === 'delete'} className="!py-1.5 text-xs">
+                    <Trash2 className="w-3.5 h-3.5 mr-1" />
+                    {confirming === 'workspace' ? 'Confirm Delete Workspace' : 'Delete Workspace'}
+                  </Button>
+                ) : (
+                  <Button variant="secondary" onClick={() => handleRemove(user.uid)} className="!py-1.5 text-xs">
+                    <LogOut className="w-3.5 h-3.5 mr-1" />
+                    {confirming === user.uid ? 'Confirm Leave' : 'Leave Workspace'}
+                  </Button>
+                )}
+              </div>
+
+              <div className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+                {members.map(([uid, member]) => (
+                  <div key={uid} className="flex flex-wrap items-center gap-3 px-4 py-3">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-slate-800 truncate">{member.name}{uid === user.uid && ' (you)'}</div>
+                      <div className="text-xs text-slate-500 truncate">{member.email}</div>
+                    </div>
+                    {isOwner && uid !== current.ownerId ? (
+                      <>
+                        <Select value={member.role} onChange={(e) => handleRole(uid, e.target.value)} options={WORKSPACE_ROLES} className="!w-28 !py-1 text-xs" />
+                        <button onClick={() => handleRemove(uid)} className="text-xs font-medium text-red-500 hover:text-red-700">
+                          {confirming === uid ? 'Confirm remove' : 'Remove'}
+                        </button>
+                      </>
+                    ) : (
+                      <span className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 text-xs font-medium">
+                        {uid === current.ownerId ? 'Creator' : WORKSPACE_ROLES.find(role => role.value === member.role)?.label}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {isOwner && (
+                <div className="space-y-3 pt-2">
+                  <Label>Invite by Email</Label>
+                  <div className="flex flex-wrap gap-2">
+                    <div className="flex-1 min-w-[12rem]">
+                      <Input type="email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} placeholder="teammate@company.com" />
+                    </div>
+                    <Select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} options={INVITE_ROLES} className="!w-28" />
+                    <Button onClick={handleInvite} loading={busy === 'invite'} disabled={!inviteEmail.trim() || Boolean(busy)}>
+                      <UserPlus className="w-4 h-4 mr-1" /> Invite
+                    </Button>
+                  </div>
+                  {pendingInvites.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {pendingInvites.map(invite => (
+                        <span key={invite.email} className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-slate-100 text-xs text-slate-600">
+                          {invite.email} · {invite.role} (pending)
+                          <button onClick={() => handleRevoke(invite)} title="Revoke invite" className="text-slate-400 hover:text-red-600">
+                            <X className="w-3 h-3" />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <p className="text-xs text-slate-400">Editors can generate and change shared work. Viewers can read it but not generate. Owners also manage members.</p>
+                </div>
+              )}
+            </Card>
+          )}
+        </>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="flex items-center gap-2 text-sm text-green-700">
+          <Check className="w-4 h-4" />
+          {notice}
+        </div>
+      )}
     </div>
   );
 };
 
-const StrategyMaker = () => {
-  const [bizType, setBizType] = useState('');
-  const [audience, setAudience] = useState('');
-  const [goals, setGoals] = useState('');
-  const [result, setResult] = useState('');
-  const [loading, setLoading] = useState(false);
+const HistoryView = ({ onOpenTool }) => {
+  const { customTools, scope, workspace, readOnly } = useContext(ToolContext);
+  const history = useCollection(historyStore, scope);
+  const [search, setSearch] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const [confirmingId, setConfirmingId] = useState(null);
 
-  const handleStrategize = async () => {
-    if (!bizType) return;
-    setLoading(true);
-    try {
-      const prompt = `Business: ${bizType}\nAudience: ${audience}\nGoals: ${goals}`;
-      const systemInstruction = `You are a Chief Marketing Officer (CMO). Create a detailed Content Marketing Strategy.
-      Include the following sections using Markdown:
-      1. **Executive Summary**: Brief overview of the strategy.
-      2. **Audience Persona**: Deep dive into pain points and needs based on the input.
-      3. **Content Pillars**: 3-5 core topics to focus on.
-      4. **Channel Strategy**: Where to post (Blog, LinkedIn, Instagram, etc.) and why.
-      5. **Content Calendar Idea**: A sample 1-week plan.
-      6. **KPIs**: Metrics to track success.`;
-      
-      const strategy = await generateContent(prompt, systemInstruction);
-      setResult(strategy);
-    } catch (error) {
-      setResult(`Error: ${error.message}`);
-    } finally {
-      setLoading(false);
+  const query = search.trim().toLowerCase();
+  const entries = history.items
+    .filter(entry => !query || [entry.title, entry.output, ...Object.values(entry.inputs || {})]
+      .some(value => String(value ?? '').toLowerCase().includes(query)))
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  const startRename = (entry) => {
+    setEditingId(entry.id);
+    setEditTitle(entry.title);
+  };
+
+  const saveRename = async (entry) => {
+    if (editTitle.trim() && editTitle.trim() !== entry.title) {
+      await history.update(entry.id, { title: editTitle.trim() });
+    }
+    setEditingId(null);
+  };
+
+  const duplicate = (entry) => history.add({
+    tool: entry.tool,
+    title: `${entry.title} (copy)`,
+    inputs: entry.inputs,
+    output: entry.output
+  });
+
+  const remove = async (entry) => {
+    if (confirmingId !== entry.id) {
+      setConfirmingId(entry.id);
+      return;
     }
+    setConfirmingId(null);
+    await history.remove(entry.id);
   };
 
   return (
     <div className="space-y-6">
-      <div className="bg-gradient-to-r from-pink-50 to-rose-50 p-6 rounded-xl border border-pink-100">
-        <h2 className="text-xl font-bold text-pink-900 mb-2">Content Strategy AI</h2>
-        <p className="text-pink-700/80 text-sm">Generate a comprehensive marketing roadmap tailored to your business.</p>
+      <div className="bg-gradient-to-r from-sky-50 to-indigo-50 p-6 rounded-xl border border-sky-100">
+        <h2 className="text-xl font-bold text-sky-900 mb-2">Document History</h2>
+        <p className="text-sky-700/80 text-sm">
+          {workspace
+            ? `Work saved in ${workspace.name}, shared with every member. Search, reopen, rename, duplicate or delete it.`
+            : 'Every generation you run is saved here. Search, reopen, rename, duplicate or delete past work.'}
+        </p>
       </div>
 
-      <Card className="p-6 space-y-4">
-        <div>
-          <Label>Business Type / Niche</Label>
-          <Input value={bizType} onChange={(e) => setBizType(e.target.value)} placeholder="e.g., SaaS for Dentists, Vegan Bakery, Personal Finance Blog" />
-        </div>
-        
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <Label>Target Audience</Label>
-            <Input value={audience} onChange={(e) => setAudience(e.target.value)} placeholder="e.g., Small business owners, Gen Z students" />
-          </div>
-          <div>
-            <Label>Primary Goals</Label>
-            <Input value={goals} onChange={(e) => setGoals(e.target.value)} placeholder="e.g., Brand awareness, Lead generation" />
-          </div>
+      <Card className="p-4">
+        <div className="relative">
+          <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search titles, inputs and outputs..." className="pl-9" />
         </div>
+      </Card>
 
-        <div className="pt-2">
-          <Button onClick={handleStrategize} loading={loading} disabled={!bizType} className="w-full md:w-auto">
-            <LayoutDashboard className="w-4 h-4 mr-2" />
-            Generate Strategy
-          </Button>
+      {history.error && (
+        <div className="flex items-center gap-2 text-sm text-red-600">
+          <AlertCircle className="w-4 h-4" />
+          Could not load saved documents: {history.error.message}
         </div>
-      </Card>
+      )}
 
-      <ResultBox title="Your Custom Strategy" content={result} loading={loading} />
+      {history.loading ? (
+        <div className="flex justify-center py-12 text-slate-400">
+          <Loader2 className="w-6 h-6 animate-spin" />
+        </div>
+      ) : entries.length === 0 ? (
+        <Card className="p-8 text-center text-sm text-slate-500">
+          {query ? 'No saved documents match your search.' : 'Nothing saved yet. Results from the AI tools will appear here.'}
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {entries.map(entry => (
+            <Card key={entry.id} className="p-4">
+              <div className="flex flex-col md:flex-row md:items-start justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  {editingId === entry.id ? (
+                    <div className="flex gap-2">
+                      <Input value={editTitle} onChange={(e) => setEditTitle(e.target.value)} />
+                      <Button onClick={() => saveRename(entry)} className="!px-3">
+                        <Check className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  ) : (
+                    <h3 className="font-semibold text-slate-800 truncate">{entry.title}</h3>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-slate-500">
+                    <span className="px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 font-medium">
+                      {AI_TASKS[entry.tool]?.label || customTools.items.find(tool => customToolId(tool) === entry.tool)?.name || 'Custom Tool'}
+                    </span>
+                    <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                    {entry.localOnly && <span className="text-amber-600">Saved on this device only</span>}
+                  </div>
+                  <p className="mt-2 text-sm text-slate-600 line-clamp-2">{entry.output}</p>
+                </div>
+                <div className="flex flex-wrap gap-1 shrink-0">
+                  <Button variant="secondary" onClick={() => onOpenTool(entry.tool, { inputs: entry.inputs, output: entry.output })} className="!px-3 !py-1.5 text-xs">
+                    <FolderOpen className="w-3.5 h-3.5 mr-1" />
+                    Open
+                  </Button>
+                  {!readOnly && (
+                    <>
+                      <Button variant="ghost" onClick={() => startRename(entry)} className="!px-2 !py-1.5" title="Rename">
+                        <Pencil className="w-3.5 h-3.5" />
+                      </Button>
+                      <Button variant="ghost" onClick={() => duplicate(entry)} className="!px-2 !py-1.5" title="Duplicate">
+                        <CopyPlus className="w-3.5 h-3.5" />
+                      </Button>
+                      <Button variant="danger" onClick={() => remove(entry)} className="!px-2 !py-1.5 text-xs" title="Delete">
+                        <Trash2 className="w-3.5 h-3.5" />
+                        {confirmingId === entry.id && <span className="ml-1">Confirm</span>}
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -590,6 +10470,18 @@ const App = () => {
   const [loginError, setLoginError] = useState('');
   const [activeTab, setActiveTab] = useState('writer');
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [, setAccountRevision] = useState(0);
+  const llmSettings = useStore(llmSettingsStore);
+  const workspaces = useWorkspaces(user);
+  const { workspace: selectedWorkspace } = useStore(activeWorkspaceStore);
+  const workspace = selectedWorkspace && selectedWorkspace.uid === user?.uid ? selectedWorkspace : null;
+  const scope = workspace ? workspaceScope(workspace.id) : user?.uid;
+  const readOnly = Boolean(workspace) && !canEditWorkspace(workspace.role);
+  const customTools = useCollection(customToolStore, scope);
+  const brandProfiles = useCollection(brandProfileStore, scope);
+  const { profile: activeBrand } = useStore(activeBrandStore);
 
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (u) => {
@@ -599,22 +10491,28 @@ const App = () => {
     return () => unsubscribe();
   }, []);
 
-  const handleLogin = async () => {
+  // Quotas are enforced client-side, so fetch the shared settings and today's usage per sign-in
+  useEffect(() => {
+    if (!user) return;
+    loadQuotaSettings();
+    loadTodayUsage(user.uid);
+  }, [user?.uid]);
+
+  const handleGuest = async () => {
     setAuthLoading(true);
     setLoginError('');
     try {
-      if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-        await signInWithCustomToken(auth, __initial_auth_token);
-      } else {
-        await signInAnonymously(auth);
-      }
+      await signInAsGuest();
     } catch (err) {
       console.error(err);
-      setLoginError('Failed to sign in. Please try again.');
+      setLoginError(authErrorMessage(err));
       setAuthLoading(false);
     }
   };
 
+  // Linking and profile edits mutate the same user object without an auth event, so re-render by hand
+  const refreshAccount = () => setAccountRevision(revision => revision + 1);
+
   const handleLogout = async () => {
     try {
       await signOut(auth);
@@ -623,16 +10521,70 @@ const App = () => {
     }
   };
 
+  // Keep the active brand snapshot in step with edits and deletions
+  useEffect(() => {
+    if (!activeBrand || brandProfiles.loading) return;
+    const current = brandProfiles.items.find(profile => profile.id === activeBrand.id);
+    if (!current) {
+      activeBrandStore.set({ profile: null });
+    } else if (current.updatedAt !== activeBrand.updatedAt) {
+      activeBrandStore.set({ profile: current });
+    }
+  }, [brandProfiles.items, brandProfiles.loading, activeBrand]);
+
+  const selectBrand = (id) => {
+    activeBrandStore.set({ profile: brandProfiles.items.find(profile => profile.id === id) || null });
+  };
+
+  // `known` covers a workspace created a moment ago that isn't in the list yet
+  const selectWorkspace = (id, known = null) => {
+    const next = known || workspaces.items.find(item => item.id === id);
+    activeWorkspaceStore.set({ workspace: next ? workspaceSnapshot(next, user.uid) : null });
+  };
+
+  // Switches tool, optionally prefilling it with saved inputs and output
+  const openTool = (toolId, nextDraft = null) => {
+    setDraft(nextDraft && { ...nextDraft, key: createId() });
+    setActiveTab(toolId);
+    setIsSidebarOpen(false);
+  };
+
   const tools = [
-    { id: 'writer', label: 'Article Writer', icon: Type, component: AiWriter },
-    { id: 'improver', label: 'Article Improver', icon: TrendingUp, component: AiImprover },
-    { id: 'proofreader', label: 'Proofreader', icon: CheckCircle, component: AiProofreader },
-    { id: 'strategy', label: 'Strategy Maker', icon: LayoutDashboard, component: StrategyMaker },
-    { id: 'counter', label: 'Word Counter', icon: Hash, component: WordCounter },
-    { id: 'trimmer', label: 'URL Cleaner', icon: Scissors, component: UrlTrimmer },
+    { id: 'writer', label: 'Article Writer', icon: Type, component: AiWriter, section: 'AI Tools' },
+    { id: 'improver', label: 'Article Improver', icon: TrendingUp, component: AiImprover, section: 'AI Tools' },
+    { id: 'proofreader', label: 'Proofreader', icon: CheckCircle, component: AiProofreader, section: 'AI Tools' },
+    { id: 'translate', label: 'Translator', icon: Languages, component: Translator, section: 'AI Tools' },
+    { id: 'strategy', label: 'Strategy Maker', icon: LayoutDashboard, component: StrategyMaker, section: 'AI Tools' },
+    { id: 'serp', label: 'SERP Snippets', icon: Search, component: SerpSnippetGenerator, section: 'AI Tools' },
+    { id: 'schema', label: 'Schema Markup', icon: Braces, component: SchemaBuilder, section: 'AI Tools' },
+    { id: 'pipelines', label: 'Pipelines', icon: Workflow, component: PipelineView, section: 'AI Tools' },
+    { id: 'bulk', label: 'Bulk Generator', icon: Rows3, component: BulkGenerator, section: 'AI Tools' },
+    { id: 'counter', label: 'Word Counter', icon: Hash, component: WordCounter, section: 'Utilities' },
+    { id: 'trimmer', label: 'URL Cleaner', icon: Scissors, component: UrlTrimmer, section: 'Utilities' },
+    { id: 'redirects', label: 'Redirect Mapper', icon: ArrowRightLeft, component: RedirectMapper, section: 'Utilities' },
+    { id: 'audit', label: 'On-Page Auditor', icon: ClipboardCheck, component: OnPageAuditor, section: 'Utilities' },
+    { id: 'clusters', label: 'Keyword Clusterer', icon: Layers, component: KeywordClusterer, section: 'Utilities' },
+    { id: 'linker', label: 'Internal Linker', icon: Link2, component: InternalLinker, section: 'Utilities' },
+    { id: 'sitemap', label: 'Sitemap & Robots', icon: Globe, component: SitemapRobotsTool, section: 'Utilities' },
+    { id: 'history', label: 'History', icon: History, component: HistoryView, section: 'Library' },
+    { id: 'builder', label: 'Tool Builder', icon: Wrench, component: ToolBuilder, section: 'Library' },
+    { id: 'brands', label: 'Brand Voice', icon: Megaphone, component: BrandVoiceManager, section: 'Library' },
+    { id: 'usage', label: 'Usage', icon: Gauge, component: UsageDashboard, section: 'Library' },
+    { id: 'workspaces', label: 'Workspaces', icon: Users, component: WorkspaceManager, section: 'Library' },
+    ...customTools.items.map(tool => ({
+      id: customToolId(tool),
+      label: tool.name,
+      icon: CUSTOM_TOOL_ICONS[tool.icon] || Sparkles,
+      component: CustomToolRunner,
+      section: 'Custom Tools',
+      tool
+    }))
   ];
+  const sections = [...new Set(tools.map(t => t.section))];
 
-  const ActiveComponent = tools.find(t => t.id === activeTab)?.component || AiWriter;
+  const activeEntry = tools.find(t => t.id === activeTab);
+  const ActiveComponent = activeEntry?.component || AiWriter;
+  const activeProvider = getActiveProvider(llmSettings);
 
   if (authLoading && !user) {
     return (
@@ -643,7 +10595,7 @@ const App = () => {
   }
 
   if (!user) {
-    return <LoginScreen onLogin={handleLogin} loading={authLoading} error={loginError} />;
+    return <LoginScreen onGuest={handleGuest} loading={authLoading} error={loginError} onSignedIn={refreshAccount} />;
   }
 
   return (
@@ -674,44 +10626,40 @@ const App = () => {
           </div>
 
           <nav className="flex-1 overflow-y-auto p-4 space-y-1">
-            <div className="px-3 mb-2 text-xs font-semibold text-slate-400 uppercase tracking-wider">AI Tools</div>
-            {tools.slice(0, 4).map((tool) => (
-              <button
-                key={tool.id}
-                onClick={() => { setActiveTab(tool.id); setIsSidebarOpen(false); }}
-                className={`w-full flex items-center gap-3 px-3 py-2.5 text-sm font-medium rounded-lg transition-colors ${
-                  activeTab === tool.id 
-                    ? 'bg-indigo-50 text-indigo-700' 
-                    : 'text-slate-600 hover:bg-slate-50 hover:text-slate-900'
-                }`}
-              >
-                <tool.icon className={`w-4 h-4 ${activeTab === tool.id ? 'text-indigo-600' : 'text-slate-400'}`} />
-                {tool.label}
-              </button>
-            ))}
-
-            <div className="px-3 mt-6 mb-2 text-xs font-semibold text-slate-400 uppercase tracking-wider">Utilities</div>
-            {tools.slice(4).map((tool) => (
-              <button
-                key={tool.id}
-                onClick={() => { setActiveTab(tool.id); setIsSidebarOpen(false); }}
-                className={`w-full flex items-center gap-3 px-3 py-2.5 text-sm font-medium rounded-lg transition-colors ${
-                  activeTab === tool.id 
-                    ? 'bg-indigo-50 text-indigo-700' 
-                    : 'text-slate-600 hover:bg-slate-50 hover:text-slate-900'
-                }`}
-              >
-                <tool.icon className={`w-4 h-4 ${activeTab === tool.id ? 'text-indigo-600' : 'text-slate-400'}`} />
-                {tool.label}
-              </button>
+            {sections.map((section, idx) => (
+              <div key={section} className="space-y-1">
+                <div className={`px-3 ${idx > 0 ? 'mt-6' : ''} mb-2 text-xs font-semibold text-slate-400 uppercase tracking-wider`}>{section}</div>
+                {tools.filter(t => t.section === section).map((tool) => (
+                  <button
+                    key={tool.id}
+                    onClick={() => openTool(tool.id)}
+                    className={`w-full flex items-center gap-3 px-3 py-2.5 text-sm font-medium rounded-lg transition-colors ${
+                      activeTab === tool.id 
+                        ? 'bg-indigo-50 text-indigo-700' 
+                        : 'text-slate-600 hover:bg-slate-50 hover:text-slate-900'
+                    }`}
+                  >
+                    <tool.icon className={`w-4 h-4 ${activeTab === tool.id ? 'text-indigo-600' : 'text-slate-400'}`} />
+                    {tool.label}
+                  </button>
+                ))}
+              </div>
             ))}
           </nav>
 
           <div className="p-4 border-t border-slate-100 space-y-4">
             <div className="bg-slate-50 rounded-lg p-3 text-xs text-slate-500 text-center">
-              <p>Powered by Gemini 2.5 Flash</p>
+              <p>Powered by {activeProvider.provider.label}</p>
+              <p className="mt-0.5 font-mono truncate" title={activeProvider.config.model}>{activeProvider.config.model}</p>
               <p className="mt-1">v1.1.0 Enterprise</p>
             </div>
+            <button 
+              onClick={() => setIsSettingsOpen(true)}
+              className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-slate-600 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors"
+            >
+              <Settings className="w-4 h-4" />
+              AI Settings
+            </button>
             <button 
               onClick={handleLogout}
               className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-colors"
@@ -738,27 +10686,60 @@ const App = () => {
             </h1>
           </div>
           <div className="flex items-center gap-3">
+             <div className="flex items-center gap-1.5" title="Brand voice applied to every AI tool">
+               <Megaphone className={`w-4 h-4 ${activeBrand ? 'text-rose-500' : 'text-slate-400'}`} />
+               <select
+                 value={activeBrand?.id || ''}
+                 onChange={(e) => selectBrand(e.target.value)}
+                 className="max-w-[10rem] text-xs font-medium text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+               >
+                 <option value="">No brand voice</option>
+                 {brandProfiles.items.map(profile => (
+                   <option key={profile.id} value={profile.id}>{profile.name}</option>
+                 ))}
+               </select>
+             </div>
              <div className="hidden md:flex items-center gap-2 text-xs font-medium text-green-600 bg-green-50 px-2 py-1 rounded-full border border-green-100">
                 <div className="w-1.5 h-1.5 rounded-full bg-green-500 animate-pulse"></div>
                 System Operational
              </div>
-             <div className="flex items-center gap-2 px-3 py-1.5 bg-slate-100 rounded-full">
-               <div className="w-6 h-6 rounded-full bg-indigo-600 flex items-center justify-center text-white text-xs font-bold">
-                 {user.isAnonymous ? 'G' : 'U'}
+             {!user.isAnonymous && (
+               <div className="flex items-center gap-1.5" title="Work is saved to and shared with this workspace">
+                 <Users className={`w-4 h-4 ${workspace ? 'text-teal-600' : 'text-slate-400'}`} />
+                 <select
+                   value={workspace?.id || ''}
+                   onChange={(e) => selectWorkspace(e.target.value)}
+                   className="max-w-[10rem] text-xs font-medium text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                 >
+                   <option value="">Personal</option>
+                   {workspaces.items.map(item => (
+                     <option key={item.id} value={item.id}>{item.name}</option>
+                   ))}
+                 </select>
+                 {readOnly && <span className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-500 text-xs font-medium">View only</span>}
                </div>
-               <span className="text-xs font-medium text-slate-600">
-                 {user.isAnonymous ? 'Guest User' : 'User'}
-               </span>
-             </div>
+             )}
+             <ProfileMenu user={user} onChange={refreshAccount} onSignOut={handleLogout} />
           </div>
         </header>
 
         <div className="flex-1 overflow-auto p-4 md:p-8">
           <div className="max-w-4xl mx-auto">
-            <ActiveComponent />
+            {readOnly && (
+              <div className="mb-6 p-3 bg-slate-100 border border-slate-200 rounded-lg flex items-center gap-2 text-sm text-slate-600">
+                <Eye className="w-4 h-4 shrink-0" />
+                You're a viewer in {workspace.name}: you can read and export its work, but not generate or edit.
+              </div>
+            )}
+            <ToolContext.Provider value={{ activeTool: activeTab, openTool, customTools, brandProfiles, workspaces, workspace, scope, readOnly, selectWorkspace }}>
+              {/* Remount on scope changes so each tool lists the newly selected space */}
+              <ActiveComponent key={`${scope}:${draft?.key}`} draft={draft} user={user} onOpenTool={openTool} tool={activeEntry?.tool} />
+            </ToolContext.Provider>
           </div>
         </div>
       </main>
+
+      {isSettingsOpen && <SettingsPanel onClose={() => setIsSettingsOpen(false)} />}
     </div>
   );
 };
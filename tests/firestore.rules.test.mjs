@@ -0,0 +1,244 @@
+// Firestore rules tests. Run them with `npm run test:rules`, which starts the Firestore
+// emulator, runs this file and stops it again.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  arrayRemove,
+  arrayUnion,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  serverTimestamp,
+  setDoc,
+  updateDoc
+} from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const WORKSPACE_ID = 'team';
+
+const member = (role, email) => ({ role, email, name: email });
+
+// alice owns the workspace, erin edits, vic views; olivia is an outsider
+const SEED_WORKSPACE = {
+  name: 'Team',
+  ownerId: 'alice',
+  memberIds: ['alice', 'erin', 'vic'],
+  members: {
+    alice: member('owner', 'alice@example.com'),
+    erin: member('editor', 'erin@example.com'),
+    vic: member('viewer', 'vic@example.com')
+  },
+  urlRules: null,
+  createdAt: 1
+};
+
+let env;
+
+const accounts = {
+  alice: { email: 'alice@example.com', email_verified: true },
+  erin: { email: 'erin@example.com', email_verified: true },
+  vic: { email: 'vic@example.com', email_verified: true },
+  olivia: { email: 'olivia@example.com', email_verified: true },
+  bob: { email: 'bob@example.com', email_verified: true }
+};
+
+const db = (uid, token = {}) => env.authenticatedContext(uid, { ...accounts[uid], ...token }).firestore();
+const guestDb = (uid) => env.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+
+const path = (...segments) => ['artifacts', APP_ID, ...segments].join('/');
+const workspaceRef = (firestore) => doc(firestore, path('workspaces', WORKSPACE_ID));
+const sharedRef = (firestore) => doc(firestore, path('workspaces', WORKSPACE_ID, 'history', 'entry'));
+const inviteRef = (firestore, email) => doc(firestore, path('invites', `${WORKSPACE_ID}_${email}`));
+
+const invite = (email, role) => ({
+  workspaceId: WORKSPACE_ID,
+  workspaceName: 'Team',
+  email,
+  role,
+  invitedBy: 'alice@example.com',
+  createdAt: 1
+});
+
+const join = (firestore, uid, role) => updateDoc(workspaceRef(firestore), {
+  memberIds: arrayUnion(uid),
+  [`members.${uid}`]: member(role, accounts[uid].email)
+});
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-seo-studio',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(async () => {
+  await env?.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const firestore = context.firestore();
+    await setDoc(workspaceRef(firestore), SEED_WORKSPACE);
+    await setDoc(sharedRef(firestore), { title: 'Shared draft' });
+    await setDoc(inviteRef(firestore, 'bob@example.com'), invite('bob@example.com', 'editor'));
+  });
+});
+
+describe('personal collections', () => {
+  it('are only open to their owner', async () => {
+    await assertSucceeds(setDoc(doc(db('alice'), path('users', 'alice', 'history', 'one')), { title: 'Mine' }));
+    await assertFails(getDoc(doc(db('erin'), path('users', 'alice', 'history', 'one'))));
+    await assertFails(setDoc(doc(db('erin'), path('users', 'alice', 'history', 'two')), { title: 'Not mine' }));
+  });
+});
+
+describe('workspaces', () => {
+  it('can be created by accounts but not by guests', async () => {
+    const workspace = (uid) => ({
+      name: 'New',
+      ownerId: uid,
+      memberIds: [uid],
+      members: { [uid]: member('owner', `${uid}@example.com`) },
+      urlRules: null,
+      createdAt: 1
+    });
+    await assertSucceeds(setDoc(doc(db('olivia'), path('workspaces', 'new')), workspace('olivia')));
+    await assertFails(setDoc(doc(guestDb('guest'), path('workspaces', 'guest')), workspace('guest')));
+  });
+
+  it('refuse to be created on behalf of someone else', async () => {
+    await assertFails(setDoc(doc(db('olivia'), path('workspaces', 'forged')), { ...SEED_WORKSPACE, ownerId: 'alice' }));
+  });
+
+  it('are readable by every member and no one else', async () => {
+    await assertSucceeds(getDoc(workspaceRef(db('alice'))));
+    await assertSucceeds(getDoc(workspaceRef(db('erin'))));
+    await assertSucceeds(getDoc(workspaceRef(db('vic'))));
+    await assertFails(getDoc(workspaceRef(db('olivia'))));
+  });
+
+  it('let the owner rename and change roles', async () => {
+    await assertSucceeds(updateDoc(workspaceRef(db('alice')), { name: 'Renamed' }));
+    await assertSucceeds(updateDoc(workspaceRef(db('alice')), { 'members.vic.role': 'editor' }));
+  });
+
+  it('keep the creator an owner', async () => {
+    await env.withSecurityRulesDisabled(context => updateDoc(workspaceRef(context.firestore()), { 'members.erin.role': 'owner' }));
+    await assertFails(updateDoc(workspaceRef(db('erin')), { 'members.alice.role': 'viewer' }));
+    await assertFails(updateDoc(workspaceRef(db('erin')), { memberIds: arrayRemove('alice'), 'members.alice': deleteField() }));
+  });
+
+  it('let editors change only the URL rules', async () => {
+    await assertSucceeds(updateDoc(workspaceRef(db('erin')), { urlRules: { dedupe: true } }));
+    await assertFails(updateDoc(workspaceRef(db('erin')), { name: 'Renamed' }));
+    await assertFails(updateDoc(workspaceRef(db('erin')), { 'members.vic.role': 'editor' }));
+  });
+
+  it('let viewers change nothing', async () => {
+    await assertFails(updateDoc(workspaceRef(db('vic')), { urlRules: { dedupe: true } }));
+    await assertFails(updateDoc(workspaceRef(db('vic')), { 'members.vic.role': 'editor' }));
+  });
+
+  it('let members other than the creator leave', async () => {
+    await assertSucceeds(updateDoc(workspaceRef(db('vic')), { memberIds: arrayRemove('vic'), 'members.vic': deleteField() }));
+    await assertFails(updateDoc(workspaceRef(db('alice')), { memberIds: arrayRemove('alice'), 'members.alice': deleteField() }));
+  });
+
+  it('can only be deleted by the creator', async () => {
+    await assertFails(deleteDoc(workspaceRef(db('erin'))));
+    await assertSucceeds(deleteDoc(workspaceRef(db('alice'))));
+  });
+});
+
+describe('shared collections', () => {
+  it('are readable by every member and no one else', async () => {
+    await assertSucceeds(getDoc(sharedRef(db('alice'))));
+    await assertSucceeds(getDoc(sharedRef(db('erin'))));
+    await assertSucceeds(getDoc(sharedRef(db('vic'))));
+    await assertFails(getDoc(sharedRef(db('olivia'))));
+  });
+
+  it('are writable by owners and editors only', async () => {
+    await assertSucceeds(setDoc(sharedRef(db('alice')), { title: 'Owner edit' }));
+    await assertSucceeds(setDoc(sharedRef(db('erin')), { title: 'Editor edit' }));
+    await assertFails(setDoc(sharedRef(db('vic')), { title: 'Viewer edit' }));
+    await assertFails(deleteDoc(sharedRef(db('vic'))));
+    await assertFails(setDoc(sharedRef(db('olivia')), { title: 'Outsider edit' }));
+  });
+});
+
+describe('invites', () => {
+  it('can only be sent by the owner', async () => {
+    await assertSucceeds(setDoc(inviteRef(db('alice'), 'new@example.com'), invite('new@example.com', 'viewer')));
+    await assertFails(setDoc(inviteRef(db('erin'), 'new@example.com'), invite('new@example.com', 'viewer')));
+    await assertFails(setDoc(inviteRef(db('vic'), 'new@example.com'), invite('new@example.com', 'viewer')));
+  });
+
+  it('need a known role and a lower-case email', async () => {
+    await assertFails(setDoc(inviteRef(db('alice'), 'new@example.com'), invite('new@example.com', 'admin')));
+    await assertFails(setDoc(inviteRef(db('alice'), 'New@example.com'), invite('New@example.com', 'viewer')));
+  });
+
+  it('are readable by the owner and the verified invitee', async () => {
+    await assertSucceeds(getDoc(inviteRef(db('alice'), 'bob@example.com')));
+    await assertSucceeds(getDoc(inviteRef(db('bob'), 'bob@example.com')));
+    await assertFails(getDoc(inviteRef(db('erin'), 'bob@example.com')));
+    await assertFails(getDoc(inviteRef(db('bob', { email_verified: false }), 'bob@example.com')));
+  });
+
+  it('let the invitee join with exactly the invited role', async () => {
+    await assertFails(join(db('bob'), 'bob', 'owner'));
+    await assertFails(join(db('bob', { email_verified: false }), 'bob', 'editor'));
+    await assertSucceeds(join(db('bob'), 'bob', 'editor'));
+    await assertSucceeds(setDoc(sharedRef(db('bob')), { title: 'New editor edit' }));
+  });
+
+  it('do not let anyone else join', async () => {
+    await assertFails(join(db('olivia'), 'olivia', 'viewer'));
+  });
+});
+
+describe('usage and quotas', () => {
+  const usage = (uid, overrides = {}) => ({
+    id: 'u1',
+    uid,
+    anonymous: false,
+    tool: 'writer',
+    provider: 'gemini',
+    model: 'gemini-2.5-pro',
+    promptTokens: 120,
+    outputTokens: 800,
+    cost: 0.01,
+    estimated: false,
+    finishReason: 'STOP',
+    day: '2026-01-05',
+    createdAt: 1767600000000,
+    syncedAt: serverTimestamp(),
+    ...overrides
+  });
+  const usageRef = (firestore) => doc(firestore, path('public', 'data', 'usage', 'u1'));
+  const quotasRef = (firestore) => doc(firestore, path('public', 'data', 'settings', 'quotas'));
+  const quotas = { defaultQuota: 1000, guestQuota: 100, users: {}, admins: [] };
+
+  it('accepts well-formed records of your own usage', async () => {
+    await assertSucceeds(setDoc(usageRef(db('alice')), usage('alice')));
+  });
+
+  it('rejects forged or malformed records', async () => {
+    await assertFails(setDoc(usageRef(db('alice')), usage('erin')));
+    await assertFails(setDoc(usageRef(db('alice')), usage('alice', { outputTokens: -800 })));
+    await assertFails(setDoc(usageRef(db('alice')), usage('alice', { promptTokens: '120' })));
+    await assertFails(setDoc(usageRef(db('alice')), usage('alice', { syncedAt: 1 })));
+    await assertFails(setDoc(usageRef(db('alice')), usage('alice', { admin: true })));
+  });
+
+  it('only lets quota admins write the quota settings', async () => {
+    await assertFails(setDoc(quotasRef(db('alice')), { ...quotas, admins: ['alice'] }));
+    await assertSucceeds(setDoc(quotasRef(db('alice', { quotaAdmin: true })), { ...quotas, admins: ['erin'] }));
+    await assertSucceeds(updateDoc(quotasRef(db('erin')), { defaultQuota: 2000 }));
+    await assertFails(updateDoc(quotasRef(db('vic')), { admins: ['vic'] }));
+  });
+});